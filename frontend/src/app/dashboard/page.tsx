@@ -28,6 +28,7 @@ import {
 } from 'recharts';
 import { getStoredUser } from '@/lib/auth';
 import { userAPI } from '@/lib/api';
+import { formatRelativeTime } from '@/lib/utils';
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
 
@@ -43,8 +44,6 @@ interface DashboardData {
   recentAlerts: Array<{ id: string; title: string; severity: string; time: string }>;
 }
 
-const COLORS = ['#3B82F6', '#EF4444', '#F59E0B', '#10B981', '#8B5CF6'];
-
 export default function DashboardPage() {
   const [data, setData] = useState<DashboardData | null>(null);
   const [loading, setLoading] = useState(true);
@@ -55,45 +54,8 @@ export default function DashboardPage() {
       if (!user?.id) return;
       
       try {
-        const response = await userAPI.getProfile(user.id);
-        
-        // Mock data for demonstration - replace with actual API response
-        const mockData: DashboardData = {
-          totalReports: 12,
-          threatsBlocked: 45,
-          safetyScore: 87,
-          pendingCases: 3,
-          resolvedCases: 9,
-          crimeTypeDistribution: [
-            { name: 'Phishing', value: 35, color: COLORS[0] },
-            { name: 'Financial Fraud', value: 25, color: COLORS[1] },
-            { name: 'Identity Theft', value: 20, color: COLORS[2] },
-            { name: 'Ransomware', value: 15, color: COLORS[3] },
-            { name: 'Others', value: 5, color: COLORS[4] },
-          ],
-          timeWiseData: [
-            { month: 'Aug', reports: 4 },
-            { month: 'Sep', reports: 7 },
-            { month: 'Oct', reports: 12 },
-            { month: 'Nov', reports: 8 },
-            { month: 'Dec', reports: 15 },
-            { month: 'Jan', reports: 12 },
-          ],
-          areaWiseData: [
-            { area: 'Indore', reports: 25 },
-            { area: 'Bhopal', reports: 18 },
-            { area: 'Gwalior', reports: 12 },
-            { area: 'Jabalpur', reports: 8 },
-            { area: 'Ujjain', reports: 5 },
-          ],
-          recentAlerts: [
-            { id: '1', title: 'New phishing campaign detected', severity: 'high', time: '2 hours ago' },
-            { id: '2', title: 'Suspicious UPI transactions reported', severity: 'medium', time: '5 hours ago' },
-            { id: '3', title: 'Fake job portal identified', severity: 'low', time: '1 day ago' },
-          ],
-        };
-        
-        setData(mockData);
+        const response = await userAPI.getDashboard(user.id);
+        setData(response.data);
       } catch (error) {
         console.error('Failed to fetch dashboard data:', error);
       } finally {
@@ -320,7 +282,7 @@ export default function DashboardPage() {
                     </div>
                     <div className="flex-1">
                       <p className="text-sm font-medium text-gray-900">{alert.title}</p>
-                      <p className="text-xs text-gray-500">{alert.time}</p>
+                      <p className="text-xs text-gray-500">{formatRelativeTime(alert.time)}</p>
                     </div>
                   </motion.div>
                 ))}
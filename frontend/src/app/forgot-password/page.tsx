@@ -0,0 +1,105 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { motion } from 'framer-motion';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import Link from 'next/link';
+import { KeyRound, Send } from 'lucide-react';
+import { authAPI } from '@/lib/api';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import toast from 'react-hot-toast';
+
+const forgotSchema = z.object({
+  identifier: z.string().min(1, 'Email or phone number is required'),
+});
+
+type ForgotForm = z.infer<typeof forgotSchema>;
+
+export default function ForgotPasswordPage() {
+  const [loading, setLoading] = useState(false);
+  const router = useRouter();
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm<ForgotForm>({
+    resolver: zodResolver(forgotSchema),
+  });
+
+  const onSubmit = async (data: ForgotForm) => {
+    setLoading(true);
+    try {
+      const response = await authAPI.forgotPassword(data);
+      toast.success(response.data.message);
+
+      // Store identifier for the reset step
+      localStorage.setItem('reset_identifier', data.identifier);
+      router.push('/reset-password');
+    } catch (error: any) {
+      console.error('Forgot password failed:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 px-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="max-w-md w-full space-y-8"
+      >
+        <div className="text-center">
+          <motion.div
+            initial={{ scale: 0 }}
+            animate={{ scale: 1 }}
+            transition={{ delay: 0.2, type: 'spring', stiffness: 200 }}
+            className="mx-auto h-12 w-12 bg-blue-600 rounded-full flex items-center justify-center"
+          >
+            <KeyRound className="h-6 w-6 text-white" />
+          </motion.div>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">Forgot Password</h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Enter the email or phone number registered with your account
+          </p>
+        </div>
+
+        <motion.form
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          transition={{ delay: 0.3 }}
+          className="mt-8 space-y-6 bg-white p-8 rounded-xl shadow-lg"
+          onSubmit={handleSubmit(onSubmit)}
+        >
+          <Input
+            label="Email or Phone Number"
+            {...register('identifier')}
+            error={errors.identifier?.message}
+            placeholder="e.g., you@example.com or 9876543210"
+          />
+
+          <Button
+            type="submit"
+            loading={loading}
+            className="w-full flex items-center justify-center space-x-2"
+          >
+            <Send className="h-4 w-4" />
+            <span>Send OTP</span>
+          </Button>
+
+          <div className="text-center">
+            <Link href="/login" className="text-sm text-blue-600 hover:text-blue-500">
+              Back to sign in
+            </Link>
+          </div>
+        </motion.form>
+      </motion.div>
+    </div>
+  );
+}
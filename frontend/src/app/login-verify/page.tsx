@@ -21,6 +21,7 @@ type VerifyForm = z.infer<typeof verifySchema>;
 
 export default function LoginVerifyPage() {
   const [loading, setLoading] = useState(false);
+  const [resending, setResending] = useState(false);
   const [userId, setUserId] = useState<string | null>(null);
   const router = useRouter();
 
@@ -53,7 +54,7 @@ export default function LoginVerifyPage() {
       });
       
       // Store auth data
-      setAuthData(response.data.token, response.data.user);
+      setAuthData(response.data.token, response.data.user, response.data.refresh_token);
       
       toast.success('Login successful!');
       localStorage.removeItem('login_user_id');
@@ -65,6 +66,20 @@ export default function LoginVerifyPage() {
     }
   };
 
+  const handleResend = async () => {
+    if (!userId) return;
+
+    setResending(true);
+    try {
+      await authAPI.resendOTP({ user_id: userId });
+      toast.success('A new OTP has been sent');
+    } catch (error: any) {
+      console.error('Resend OTP failed:', error);
+    } finally {
+      setResending(false);
+    }
+  };
+
   if (!userId) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -124,8 +139,13 @@ export default function LoginVerifyPage() {
           <div className="text-center">
             <p className="text-sm text-gray-600">
               Didn't receive OTP?{' '}
-              <button className="font-medium text-blue-600 hover:text-blue-500">
-                Resend OTP
+              <button
+                type="button"
+                onClick={handleResend}
+                disabled={resending}
+                className="font-medium text-blue-600 hover:text-blue-500 disabled:opacity-50"
+              >
+                {resending ? 'Sending...' : 'Resend OTP'}
               </button>
             </p>
           </div>
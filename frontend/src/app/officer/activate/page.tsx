@@ -0,0 +1,119 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { motion } from 'framer-motion';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { KeyRound } from 'lucide-react';
+import { officerAPI } from '@/lib/api';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import toast from 'react-hot-toast';
+
+const activateSchema = z.object({
+  password: z.string().min(8, 'Password must be at least 8 characters'),
+  confirmPassword: z.string(),
+}).refine((data) => data.password === data.confirmPassword, {
+  message: "Passwords don't match",
+  path: ["confirmPassword"],
+});
+
+type ActivateForm = z.infer<typeof activateSchema>;
+
+export default function OfficerActivatePage() {
+  const [loading, setLoading] = useState(false);
+  const router = useRouter();
+  const token = useSearchParams().get('token');
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm<ActivateForm>({
+    resolver: zodResolver(activateSchema),
+  });
+
+  const onSubmit = async (data: ActivateForm) => {
+    if (!token) return;
+
+    setLoading(true);
+    try {
+      const response = await officerAPI.activate({
+        token,
+        password: data.password,
+      });
+
+      toast.success(`Account activated. Your officer ID is ${response.data.user_id}`);
+      router.push('/login');
+    } catch (error: any) {
+      console.error('Officer activation failed:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 px-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="max-w-md w-full space-y-8"
+      >
+        <div className="text-center">
+          <motion.div
+            initial={{ scale: 0 }}
+            animate={{ scale: 1 }}
+            transition={{ delay: 0.2, type: 'spring', stiffness: 200 }}
+            className="mx-auto h-12 w-12 bg-blue-600 rounded-full flex items-center justify-center"
+          >
+            <KeyRound className="h-6 w-6 text-white" />
+          </motion.div>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">Activate Officer Account</h2>
+          <p className="mt-2 text-sm text-gray-600">
+            {token ? 'Set a password to complete your onboarding' : 'This activation link is invalid'}
+          </p>
+        </div>
+
+        {token && (
+          <motion.form
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            transition={{ delay: 0.3 }}
+            className="mt-8 space-y-6 bg-white p-8 rounded-xl shadow-lg"
+            onSubmit={handleSubmit(onSubmit)}
+          >
+            <div className="space-y-4">
+              <Input
+                label="Create Password"
+                type="password"
+                {...register('password')}
+                error={errors.password?.message}
+                placeholder="Create a secure password"
+              />
+
+              <Input
+                label="Confirm Password"
+                type="password"
+                {...register('confirmPassword')}
+                error={errors.confirmPassword?.message}
+                placeholder="Confirm your password"
+              />
+            </div>
+
+            <Button
+              type="submit"
+              loading={loading}
+              className="w-full flex items-center justify-center space-x-2"
+            >
+              <KeyRound className="h-4 w-4" />
+              <span>Activate Account</span>
+            </Button>
+          </motion.form>
+        )}
+      </motion.div>
+    </div>
+  );
+}
@@ -29,93 +29,74 @@ import {
   Area
 } from 'recharts';
 import { getStoredUser } from '@/lib/auth';
-import { officerAPI } from '@/lib/api';
+import { exportAPI, officerAPI } from '@/lib/api';
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
 
 interface AnalyticsData {
+  filters: { from: string; to: string; district: string | null; districts: string[] };
   totalReports: number;
   activeInvestigations: number;
   resolvedCases: number;
   threatsNeutralized: number;
   crimeTypeDistribution: Array<{ name: string; value: number; color: string }>;
   monthlyTrends: Array<{ month: string; reports: number; resolved: number }>;
-  regionWiseData: Array<{ region: string; reports: number; severity: number }>;
+  regionWiseData: Array<{ region: string; reports: number; severity: number | null }>;
   priorityDistribution: Array<{ priority: string; count: number }>;
-  responseTimeData: Array<{ week: string; avgResponseTime: number }>;
+  responseTimeData: Array<{ week: string; avgResponseTime: number | null }>;
 }
 
-const COLORS = ['#3B82F6', '#EF4444', '#F59E0B', '#10B981', '#8B5CF6', '#EC4899'];
-
 export default function AnalyticsPage() {
   const [data, setData] = useState<AnalyticsData | null>(null);
   const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ from: '', to: '', district: '' });
+  const [exporting, setExporting] = useState(false);
   const user = getStoredUser();
 
   useEffect(() => {
     const fetchAnalytics = async () => {
+      setLoading(true);
       try {
-        const response = await officerAPI.getDashboard();
-        
-        // Mock data for demonstration
-        const mockData: AnalyticsData = {
-          totalReports: 1247,
-          activeInvestigations: 89,
-          resolvedCases: 1158,
-          threatsNeutralized: 234,
-          crimeTypeDistribution: [
-            { name: 'Financial Fraud', value: 35, color: COLORS[0] },
-            { name: 'Phishing', value: 25, color: COLORS[1] },
-            { name: 'Identity Theft', value: 20, color: COLORS[2] },
-            { name: 'Cyber Bullying', value: 12, color: COLORS[3] },
-            { name: 'Ransomware', value: 5, color: COLORS[4] },
-            { name: 'Others', value: 3, color: COLORS[5] },
-          ],
-          monthlyTrends: [
-            { month: 'Aug', reports: 98, resolved: 92 },
-            { month: 'Sep', reports: 112, resolved: 108 },
-            { month: 'Oct', reports: 134, resolved: 125 },
-            { month: 'Nov', reports: 156, resolved: 148 },
-            { month: 'Dec', reports: 189, resolved: 175 },
-            { month: 'Jan', reports: 167, resolved: 152 },
-          ],
-          regionWiseData: [
-            { region: 'Indore', reports: 345, severity: 7.2 },
-            { region: 'Bhopal', reports: 289, severity: 6.8 },
-            { region: 'Gwalior', reports: 198, severity: 5.9 },
-            { region: 'Jabalpur', reports: 167, severity: 6.1 },
-            { region: 'Ujjain', reports: 134, severity: 5.4 },
-            { region: 'Sagar', reports: 114, severity: 5.8 },
-          ],
-          priorityDistribution: [
-            { priority: 'Very High', count: 45 },
-            { priority: 'High', count: 123 },
-            { priority: 'Medium', count: 456 },
-            { priority: 'Low', count: 389 },
-            { priority: 'Very Low', count: 234 },
-          ],
-          responseTimeData: [
-            { week: 'Week 1', avgResponseTime: 4.2 },
-            { week: 'Week 2', avgResponseTime: 3.8 },
-            { week: 'Week 3', avgResponseTime: 4.1 },
-            { week: 'Week 4', avgResponseTime: 3.5 },
-            { week: 'Week 5', avgResponseTime: 3.9 },
-            { week: 'Week 6', avgResponseTime: 3.2 },
-          ],
-        };
-        
-        setData(mockData);
+        const response = await officerAPI.getAnalytics({
+          from: filters.from || undefined,
+          to: filters.to || undefined,
+          district: filters.district || undefined,
+        });
+        setData(response.data);
       } catch (error) {
         console.error('Failed to fetch analytics:', error);
+        setData(null);
       } finally {
         setLoading(false);
       }
     };
 
     fetchAnalytics();
-  }, []);
+  }, [filters]);
+
+  const downloadExport = async (format: 'csv' | 'xlsx') => {
+    setExporting(true);
+    try {
+      const { data: file } = await exportAPI.download('analytics', {
+        format,
+        from: filters.from || undefined,
+        to: filters.to || undefined,
+        district: filters.district || undefined,
+      });
+      const url = URL.createObjectURL(file);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `analytics-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export analytics:', error);
+    } finally {
+      setExporting(false);
+    }
+  };
 
-  if (user?.role !== 'OFFICER') {
+  if (user?.role !== 'OFFICER' && user?.role !== 'ADMIN') {
     return (
       <div className="text-center py-12">
         <p className="text-red-600">Access denied. Officer privileges required.</p>
@@ -183,6 +164,65 @@ export default function AnalyticsPage() {
         </p>
       </motion.div>
 
+      {/* Filters */}
+      <Card>
+        <CardContent className="p-4">
+          <div className="flex flex-wrap items-end gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+              <input
+                type="date"
+                value={filters.from || data.filters.from.slice(0, 10)}
+                onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">District</label>
+              <select
+                value={filters.district}
+                onChange={(e) => setFilters({ ...filters, district: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">All districts</option>
+                {data.filters.districts.map((district) => (
+                  <option key={district} value={district}>{district}</option>
+                ))}
+              </select>
+            </div>
+            {(filters.from || filters.to || filters.district) && (
+              <button
+                onClick={() => setFilters({ from: '', to: '', district: '' })}
+                className="px-3 py-2 text-sm text-blue-600 hover:text-blue-800"
+              >
+                Reset
+              </button>
+            )}
+            <div className="ml-auto flex gap-2">
+              {(['csv', 'xlsx'] as const).map((format) => (
+                <button
+                  key={format}
+                  onClick={() => downloadExport(format)}
+                  disabled={exporting}
+                  className="px-3 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Export {format.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
       {/* Stats Cards */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         {statCards.map((stat, index) => {
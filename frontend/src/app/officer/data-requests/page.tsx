@@ -5,7 +5,7 @@ import { motion } from 'framer-motion';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
-import { FileText, Plus, Search, Filter, Calendar } from 'lucide-react';
+import { FileText, Plus, Search, Filter, Calendar, Check, X, Clock, Download } from 'lucide-react';
 import { getStoredUser } from '@/lib/auth';
 import { officerAPI } from '@/lib/api';
 import Button from '@/components/ui/Button';
@@ -16,6 +16,7 @@ import { formatDate } from '@/lib/utils';
 import toast from 'react-hot-toast';
 
 const dataRequestSchema = z.object({
+  report_id: z.string().min(1, 'Case reference is required'),
   request_type: z.string().min(1, 'Request type is required'),
   target_entity: z.string().min(1, 'Target entity is required'),
   justification: z.string().min(20, 'Justification must be at least 20 characters'),
@@ -26,14 +27,31 @@ type DataRequestForm = z.infer<typeof dataRequestSchema>;
 
 interface DataRequest {
   id: string;
+  officer_id: string | null;
+  officer_name: string | null;
+  report_id: string | null;
+  reference_number: string | null;
   request_type: string;
   target_entity: string;
   status: string;
   created_at: string;
   urgency: string;
   justification: string;
+  requires_senior_approval: boolean;
+  remarks: string | null;
+  expires_at: string | null;
 }
 
+type Scope = 'mine' | 'approvals';
+
+const STATUS_LABELS: Record<string, string> = {
+  pending: 'Awaiting supervisor',
+  pending_senior: 'Awaiting senior sign-off',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  expired: 'Expired',
+};
+
 export default function DataRequestsPage() {
   const [requests, setRequests] = useState<DataRequest[]>([]);
   const [loading, setLoading] = useState(true);
@@ -55,50 +73,71 @@ export default function DataRequestsPage() {
     },
   });
 
+  const [scope, setScope] = useState<Scope>('mine');
+  const [deciding, setDeciding] = useState<string | null>(null);
+
+  const fetchDataRequests = async (currentScope: Scope) => {
+    setLoading(true);
+    try {
+      const response = await officerAPI.getDataRequests({ scope: currentScope });
+      setRequests(response.data);
+    } catch (error) {
+      console.error('Failed to fetch data requests:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   useEffect(() => {
-    const fetchDataRequests = async () => {
-      try {
-        const response = await officerAPI.getDataRequests();
-        // Mock data for demonstration
-        const mockRequests: DataRequest[] = [
-          {
-            id: 'DR001',
-            request_type: 'Phone Records',
-            target_entity: '+91 9876543210',
-            status: 'pending',
-            created_at: '2025-01-15T10:30:00Z',
-            urgency: 'high',
-            justification: 'Suspected involvement in financial fraud case #FR2025001',
-          },
-          {
-            id: 'DR002',
-            request_type: 'Bank Transaction History',
-            target_entity: 'Account: 1234567890',
-            status: 'approved',
-            created_at: '2025-01-14T14:20:00Z',
-            urgency: 'medium',
-            justification: 'Required for ongoing investigation into UPI fraud',
-          },
-          {
-            id: 'DR003',
-            request_type: 'Social Media Data',
-            target_entity: '@suspicious_user',
-            status: 'rejected',
-            created_at: '2025-01-13T09:15:00Z',
-            urgency: 'low',
-            justification: 'Insufficient evidence provided for data request',
-          },
-        ];
-        setRequests(mockRequests);
-      } catch (error) {
-        console.error('Failed to fetch data requests:', error);
-      } finally {
-        setLoading(false);
+    fetchDataRequests(scope);
+  }, [scope]);
+
+  const decide = async (request: DataRequest, approve: boolean) => {
+    const remarks = window.prompt(approve ? 'Remarks (optional)' : 'Reason for rejecting this request');
+    if (remarks === null) return;
+    if (!approve && !remarks.trim()) {
+      toast.error('Remarks are required to reject a request');
+      return;
+    }
+
+    setDeciding(request.id);
+    try {
+      if (approve) {
+        await officerAPI.approveDataRequest(request.id, remarks.trim() || undefined);
+        toast.success('Request approved');
+      } else {
+        await officerAPI.rejectDataRequest(request.id, remarks.trim());
+        toast.success('Request rejected');
       }
-    };
+      await fetchDataRequests(scope);
+    } catch (error) {
+      console.error('Failed to decide data request:', error);
+    } finally {
+      setDeciding(null);
+    }
+  };
+
+  const issueNotice = async (request: DataRequest) => {
+    const recipientName = window.prompt('Issue the notice to (bank, telecom operator or platform)');
+    if (!recipientName?.trim()) return;
 
-    fetchDataRequests();
-  }, []);
+    setDeciding(request.id);
+    try {
+      const { data: notice } = await officerAPI.issueNotice(request.id, { recipient_name: recipientName.trim() });
+      const { data: pdf } = await officerAPI.downloadNotice(notice.id);
+      const url = URL.createObjectURL(pdf);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${notice.notice_number.replace(/\//g, '-')}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+      toast.success(`Notice ${notice.notice_number} issued`);
+    } catch (error) {
+      console.error('Failed to issue notice:', error);
+    } finally {
+      setDeciding(null);
+    }
+  };
 
   const onSubmit = async (data: DataRequestForm) => {
     setSubmitting(true);
@@ -107,9 +146,11 @@ export default function DataRequestsPage() {
       toast.success('Data request submitted successfully!');
       setShowForm(false);
       reset();
-      
-      // Refresh the list
-      window.location.reload();
+      if (scope === 'mine') {
+        await fetchDataRequests(scope);
+      } else {
+        setScope('mine');
+      }
     } catch (error) {
       console.error('Failed to create data request:', error);
     } finally {
@@ -118,8 +159,10 @@ export default function DataRequestsPage() {
   };
 
   const filteredRequests = requests.filter(request => {
-    const matchesSearch = request.target_entity.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         request.request_type.toLowerCase().includes(searchTerm.toLowerCase());
+    const term = searchTerm.toLowerCase();
+    const matchesSearch = request.target_entity.toLowerCase().includes(term) ||
+                         request.request_type.toLowerCase().includes(term) ||
+                         (request.reference_number || '').toLowerCase().includes(term);
     const matchesStatus = statusFilter === 'all' || request.status === statusFilter;
     return matchesSearch && matchesStatus;
   });
@@ -127,6 +170,7 @@ export default function DataRequestsPage() {
   const getStatusColor = (status: string) => {
     switch (status) {
       case 'pending': return 'bg-yellow-100 text-yellow-800';
+      case 'pending_senior': return 'bg-orange-100 text-orange-800';
       case 'approved': return 'bg-green-100 text-green-800';
       case 'rejected': return 'bg-red-100 text-red-800';
       default: return 'bg-gray-100 text-gray-800';
@@ -142,7 +186,7 @@ export default function DataRequestsPage() {
     }
   };
 
-  if (user?.role !== 'OFFICER') {
+  if (user?.role !== 'OFFICER' && user?.role !== 'ADMIN') {
     return (
       <div className="text-center py-12">
         <p className="text-red-600">Access denied. Officer privileges required.</p>
@@ -183,6 +227,13 @@ export default function DataRequestsPage() {
             </CardHeader>
             <CardContent>
               <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+                <Input
+                  label="Case"
+                  {...register('report_id')}
+                  error={errors.report_id?.message}
+                  placeholder="Report reference number, e.g. CG-20250115-1A2B3C4D"
+                />
+
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   <div className="space-y-1">
                     <label className="block text-sm font-medium text-gray-700">
@@ -224,6 +275,9 @@ export default function DataRequestsPage() {
                     <option value="medium">Medium</option>
                     <option value="high">High</option>
                   </select>
+                  <p className="text-xs text-gray-500">
+                    High urgency, phone record and bank transaction requests also need senior authority sign-off.
+                  </p>
                 </div>
 
                 <div className="space-y-1">
@@ -271,6 +325,18 @@ export default function DataRequestsPage() {
         <Card>
           <CardContent className="p-4">
             <div className="flex flex-col sm:flex-row gap-4">
+              <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+                {(['mine', 'approvals'] as Scope[]).map((value) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => setScope(value)}
+                    className={`px-4 py-2 text-sm font-medium ${scope === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                  >
+                    {value === 'mine' ? 'My Requests' : 'Awaiting My Approval'}
+                  </button>
+                ))}
+              </div>
               <div className="flex-1">
                 <div className="relative">
                   <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
@@ -291,9 +357,9 @@ export default function DataRequestsPage() {
                   className="px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
                 >
                   <option value="all">All Status</option>
-                  <option value="pending">Pending</option>
-                  <option value="approved">Approved</option>
-                  <option value="rejected">Rejected</option>
+                  {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
                 </select>
               </div>
             </div>
@@ -336,7 +402,7 @@ export default function DataRequestsPage() {
                           {request.request_type}
                         </h3>
                         <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(request.status)}`}>
-                          {request.status.toUpperCase()}
+                          {(STATUS_LABELS[request.status] || request.status).toUpperCase()}
                         </span>
                         <span className={`px-2 py-1 rounded-full text-xs font-medium ${getUrgencyColor(request.urgency)}`}>
                           {request.urgency.toUpperCase()}
@@ -345,20 +411,82 @@ export default function DataRequestsPage() {
                       
                       <p className="text-gray-600 mb-2">
                         <strong>Target:</strong> {request.target_entity}
+                        {request.reference_number && (
+                          <span className="ml-4"><strong>Case:</strong> {request.reference_number}</span>
+                        )}
                       </p>
+
+                      {scope === 'approvals' && request.officer_name && (
+                        <p className="text-gray-600 mb-2">
+                          <strong>Requested by:</strong> {request.officer_name}
+                        </p>
+                      )}
                       
                       <p className="text-gray-600 mb-3">
                         {request.justification}
                       </p>
+
+                      {request.remarks && (
+                        <p className="text-gray-600 mb-3">
+                          <strong>Remarks:</strong> {request.remarks}
+                        </p>
+                      )}
                       
                       <div className="flex items-center space-x-4 text-sm text-gray-500">
                         <div className="flex items-center space-x-1">
                           <Calendar className="h-4 w-4" />
                           <span>{formatDate(request.created_at)}</span>
                         </div>
+                        {request.expires_at && ['pending', 'pending_senior', 'approved'].includes(request.status) && (
+                          <div className="flex items-center space-x-1">
+                            <Clock className="h-4 w-4" />
+                            <span>
+                              {request.status === 'approved' ? 'Valid until' : 'Expires'} {formatDate(request.expires_at)}
+                            </span>
+                          </div>
+                        )}
                         <span>ID: {request.id}</span>
                       </div>
                     </div>
+
+                    {scope === 'mine' && request.status === 'approved' && (
+                      <div className="ml-4">
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => issueNotice(request)}
+                          loading={deciding === request.id}
+                          className="flex items-center space-x-1"
+                        >
+                          <Download className="h-4 w-4" />
+                          <span>Issue Notice</span>
+                        </Button>
+                      </div>
+                    )}
+
+                    {scope === 'approvals' && ['pending', 'pending_senior'].includes(request.status) && (
+                      <div className="flex space-x-2 ml-4">
+                        <Button
+                          size="sm"
+                          onClick={() => decide(request, true)}
+                          loading={deciding === request.id}
+                          className="flex items-center space-x-1"
+                        >
+                          <Check className="h-4 w-4" />
+                          <span>Approve</span>
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="danger"
+                          onClick={() => decide(request, false)}
+                          disabled={deciding === request.id}
+                          className="flex items-center space-x-1"
+                        >
+                          <X className="h-4 w-4" />
+                          <span>Reject</span>
+                        </Button>
+                      </div>
+                    )}
                   </div>
                 </CardContent>
               </Card>
@@ -19,7 +19,6 @@ const registerSchema = z.object({
   phone_number: z.string().min(10, 'Phone number must be at least 10 digits'),
   email: z.string().email('Invalid email address'),
   address: z.string().min(10, 'Address must be at least 10 characters'),
-  role: z.enum(['USER', 'OFFICER']),
 });
 
 type RegisterForm = z.infer<typeof registerSchema>;
@@ -34,9 +33,6 @@ export default function RegisterPage() {
     formState: { errors },
   } = useForm<RegisterForm>({
     resolver: zodResolver(registerSchema),
-    defaultValues: {
-      role: 'USER',
-    },
   });
 
   const onSubmit = async (data: RegisterForm) => {
@@ -130,19 +126,6 @@ export default function RegisterPage() {
                 <p className="text-sm text-red-600">{errors.address.message}</p>
               )}
             </div>
-
-            <div className="space-y-1">
-              <label className="block text-sm font-medium text-gray-700">
-                Role
-              </label>
-              <select
-                {...register('role')}
-                className="block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-              >
-                <option value="USER">User</option>
-                <option value="OFFICER">Officer</option>
-              </select>
-            </div>
           </div>
 
           <Button
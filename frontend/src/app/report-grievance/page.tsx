@@ -19,6 +19,7 @@ const grievanceSchema = z.object({
   subcategory: z.string().min(1, 'Subcategory is required'),
   description: z.string().min(20, 'Description must be at least 20 characters'),
   location: z.string().min(5, 'Location is required'),
+  amount_lost: z.string().regex(/^\d*(\.\d{1,2})?$/, 'Enter the amount in rupees').optional(),
   anonymous: z.boolean(),
 });
 
@@ -104,6 +105,7 @@ export default function ReportGrievancePage() {
     try {
       const formData = new FormData();
       Object.entries(data).forEach(([key, value]) => {
+        if (value === undefined) return;
         formData.append(key, value.toString());
       });
 
@@ -113,8 +115,12 @@ export default function ReportGrievancePage() {
         });
       }
 
-      await userAPI.reportGrievance(user.id, formData);
-      toast.success('Grievance reported successfully!');
+      const response = await userAPI.reportGrievance(user.id, formData);
+      if (response.data.duplicate_of) {
+        toast(response.data.message, { duration: 8000 });
+      } else {
+        toast.success(`Grievance reported successfully! Reference ${response.data.reference_number}`);
+      }
       
       // Reset form
       window.location.reload();
@@ -220,6 +226,14 @@ export default function ReportGrievancePage() {
                 className="flex items-center"
               />
 
+              <Input
+                label="Amount lost (₹, optional)"
+                inputMode="decimal"
+                {...register('amount_lost')}
+                error={errors.amount_lost?.message}
+                placeholder="e.g., 25000"
+              />
+
               <div className="space-y-4">
                 <div className="flex items-center space-x-3">
                   <input
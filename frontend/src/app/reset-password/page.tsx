@@ -0,0 +1,178 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { motion } from 'framer-motion';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { KeyRound, CheckCircle } from 'lucide-react';
+import { authAPI } from '@/lib/api';
+import { clearAuthData } from '@/lib/auth';
+import Button from '@/components/ui/Button';
+import Input from '@/components/ui/Input';
+import toast from 'react-hot-toast';
+
+const resetSchema = z.object({
+  otp: z.string().length(6, 'OTP must be 6 digits'),
+  password: z.string().min(6, 'Password must be at least 6 characters'),
+  confirmPassword: z.string(),
+}).refine((data) => data.password === data.confirmPassword, {
+  message: "Passwords don't match",
+  path: ["confirmPassword"],
+});
+
+type ResetForm = z.infer<typeof resetSchema>;
+
+export default function ResetPasswordPage() {
+  const [loading, setLoading] = useState(false);
+  const [resending, setResending] = useState(false);
+  const [identifier, setIdentifier] = useState<string | null>(null);
+  const router = useRouter();
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm<ResetForm>({
+    resolver: zodResolver(resetSchema),
+  });
+
+  useEffect(() => {
+    const resetIdentifier = localStorage.getItem('reset_identifier');
+    if (!resetIdentifier) {
+      toast.error('No pending password reset found');
+      router.push('/forgot-password');
+      return;
+    }
+    setIdentifier(resetIdentifier);
+  }, [router]);
+
+  const onSubmit = async (data: ResetForm) => {
+    if (!identifier) return;
+
+    setLoading(true);
+    try {
+      await authAPI.resetPassword({
+        identifier,
+        otp: data.otp,
+        password: data.password,
+      });
+
+      toast.success('Password reset successfully!');
+      localStorage.removeItem('reset_identifier');
+      clearAuthData();
+      router.push('/login');
+    } catch (error: any) {
+      console.error('Password reset failed:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResend = async () => {
+    if (!identifier) return;
+
+    setResending(true);
+    try {
+      await authAPI.forgotPassword({ identifier });
+      toast.success('A new OTP has been sent');
+    } catch (error: any) {
+      console.error('Resend OTP failed:', error);
+    } finally {
+      setResending(false);
+    }
+  };
+
+  if (!identifier) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 px-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="max-w-md w-full space-y-8"
+      >
+        <div className="text-center">
+          <motion.div
+            initial={{ scale: 0 }}
+            animate={{ scale: 1 }}
+            transition={{ delay: 0.2, type: 'spring', stiffness: 200 }}
+            className="mx-auto h-12 w-12 bg-blue-600 rounded-full flex items-center justify-center"
+          >
+            <KeyRound className="h-6 w-6 text-white" />
+          </motion.div>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">Reset Password</h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Enter the OTP sent to your registered phone or email and choose a new password
+          </p>
+        </div>
+
+        <motion.form
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          transition={{ delay: 0.3 }}
+          className="mt-8 space-y-6 bg-white p-8 rounded-xl shadow-lg"
+          onSubmit={handleSubmit(onSubmit)}
+        >
+          <div className="space-y-4">
+            <Input
+              label="OTP Code"
+              {...register('otp')}
+              error={errors.otp?.message}
+              placeholder="Enter 6-digit OTP"
+              maxLength={6}
+              className="text-center text-lg tracking-widest"
+            />
+
+            <Input
+              label="New Password"
+              type="password"
+              {...register('password')}
+              error={errors.password?.message}
+              placeholder="Create a secure password"
+            />
+
+            <Input
+              label="Confirm Password"
+              type="password"
+              {...register('confirmPassword')}
+              error={errors.confirmPassword?.message}
+              placeholder="Confirm your password"
+            />
+          </div>
+
+          <Button
+            type="submit"
+            loading={loading}
+            className="w-full flex items-center justify-center space-x-2"
+          >
+            <CheckCircle className="h-4 w-4" />
+            <span>Reset Password</span>
+          </Button>
+
+          <div className="text-center">
+            <p className="text-sm text-gray-600">
+              Didn't receive OTP?{' '}
+              <button
+                type="button"
+                onClick={handleResend}
+                disabled={resending}
+                className="font-medium text-blue-600 hover:text-blue-500 disabled:opacity-50"
+              >
+                {resending ? 'Sending...' : 'Resend OTP'}
+              </button>
+            </p>
+          </div>
+        </motion.form>
+      </motion.div>
+    </div>
+  );
+}
@@ -25,6 +25,7 @@ type VerifyForm = z.infer<typeof verifySchema>;
 
 export default function VerifyOTPPage() {
   const [loading, setLoading] = useState(false);
+  const [resending, setResending] = useState(false);
   const [userId, setUserId] = useState<string | null>(null);
   const router = useRouter();
 
@@ -67,6 +68,20 @@ export default function VerifyOTPPage() {
     }
   };
 
+  const handleResend = async () => {
+    if (!userId) return;
+
+    setResending(true);
+    try {
+      await authAPI.resendOTP({ user_id: userId });
+      toast.success('A new OTP has been sent');
+    } catch (error: any) {
+      console.error('Resend OTP failed:', error);
+    } finally {
+      setResending(false);
+    }
+  };
+
   if (!userId) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -144,8 +159,13 @@ export default function VerifyOTPPage() {
           <div className="text-center">
             <p className="text-sm text-gray-600">
               Didn't receive OTP?{' '}
-              <button className="font-medium text-blue-600 hover:text-blue-500">
-                Resend OTP
+              <button
+                type="button"
+                onClick={handleResend}
+                disabled={resending}
+                className="font-medium text-blue-600 hover:text-blue-500 disabled:opacity-50"
+              >
+                {resending ? 'Sending...' : 'Resend OTP'}
               </button>
             </p>
           </div>
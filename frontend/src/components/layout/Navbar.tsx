@@ -16,6 +16,7 @@ import {
   BarChart3
 } from 'lucide-react';
 import { getStoredUser, clearAuthData } from '@/lib/auth';
+import { authAPI } from '@/lib/api';
 import Button from '@/components/ui/Button';
 import toast from 'react-hot-toast';
 
@@ -24,7 +25,12 @@ export default function Navbar() {
   const router = useRouter();
   const user = getStoredUser();
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    try {
+      await authAPI.logout();
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
     clearAuthData();
     toast.success('Logged out successfully');
     router.push('/login');
@@ -1,5 +1,6 @@
-import axios from 'axios';
+import axios, { InternalAxiosRequestConfig } from 'axios';
 import toast from 'react-hot-toast';
+import { clearAuthData, getStoredRefreshToken, setTokens } from './auth';
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL || 'http://localhost:5001';
 
@@ -21,19 +22,62 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+// Requests whose 401 means bad credentials rather than an expired access token
+const NO_REFRESH_URLS = [
+  '/api/auth/login',
+  '/api/auth/login-verify',
+  '/api/auth/refresh',
+  '/api/officer/login',
+  '/api/officer/activate',
+];
+
+// Shared between concurrent 401s so the refresh token is only rotated once
+let refreshPromise: Promise<string> | null = null;
+
+const refreshAccessToken = (): Promise<string> => {
+  if (!refreshPromise) {
+    const refreshToken = getStoredRefreshToken();
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/api/auth/refresh`, { refresh_token: refreshToken })
+          .then((response) => {
+            setTokens(response.data.token, response.data.refresh_token);
+            return response.data.token as string;
+          })
+      : Promise.reject(new Error('No refresh token'))
+    ).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const original = error.config as (InternalAxiosRequestConfig & { _retried?: boolean }) | undefined;
+
+    if (
+      error.response?.status === 401 &&
+      original &&
+      !original._retried &&
+      !NO_REFRESH_URLS.includes(original.url || '')
+    ) {
+      original._retried = true;
+      try {
+        const token = await refreshAccessToken();
+        original.headers.Authorization = `Bearer ${token}`;
+        return api(original);
+      } catch {
+        clearAuthData();
+        window.location.href = '/login';
+        return Promise.reject(error);
+      }
+    }
+
     const message = error.response?.data?.error || error.message || 'An error occurred';
     toast.error(message);
-    
-    if (error.response?.status === 401) {
-      localStorage.removeItem('auth_token');
-      localStorage.removeItem('user_data');
-      window.location.href = '/login';
-    }
-    
+
     return Promise.reject(error);
   }
 );
@@ -44,13 +88,25 @@ export const authAPI = {
   verifyOTP: (data: any) => api.post('/api/auth/verify-otp', data),
   login: (data: any) => api.post('/api/auth/login', data),
   loginVerify: (data: any) => api.post('/api/auth/login-verify', data),
+  resendOTP: (data: any) => api.post('/api/auth/resend-otp', data),
+  forgotPassword: (data: any) => api.post('/api/auth/forgot-password', data),
+  resetPassword: (data: any) => api.post('/api/auth/reset-password', data),
+  logout: () => api.post('/api/auth/logout'),
+  getSessions: () => api.get('/api/auth/sessions'),
+  revokeSession: (sessionId: string) => api.delete(`/api/auth/sessions/${sessionId}`),
   officerLogin: (data: any) => api.post('/api/officer/login', data),
 };
 
 // User API calls
 export const userAPI = {
   getProfile: (userID: string) => api.get(`/api/user/${userID}`),
+  getCases: (userID: string) => api.get(`/api/user/${userID}/cases`),
+  getDashboard: (userID: string) => api.get(`/api/user/${userID}/dashboard`),
   updateProfile: (userID: string, data: any) => api.patch(`/api/user/${userID}/profile`, data),
+  getAadhaarAccessLog: (userID: string) => api.get(`/api/user/${userID}/aadhaar/access-log`),
+  getNotificationPreferences: (userID: string) => api.get(`/api/user/${userID}/notification-preferences`),
+  updateNotificationPreferences: (userID: string, data: { email?: boolean; sms?: boolean }) =>
+    api.put(`/api/user/${userID}/notification-preferences`, data),
   reportGrievance: (userID: string, data: any) => api.post(`/api/user/${userID}/report_grievance`, data),
   reportSuspicious: (userID: string, data: any) => api.post(`/api/user/${userID}/report_suspicious`, data),
 };
@@ -59,21 +115,72 @@ export const userAPI = {
 export const reportsAPI = {
   getReports: (params?: any) => api.get('/api/reports', { params }),
   updateReport: (id: string, data: any) => api.put(`/api/reports/${id}`, data),
-  deleteReport: (id: string) => api.delete(`/api/reports/${id}`),
+  deleteReport: (id: string, reason?: string) => api.delete(`/api/reports/${id}`, { data: { reason } }),
+  getReportHistory: (id: string) => api.get(`/api/reports/${id}/history`),
+  getReportEvidence: (id: string) => api.get(`/api/reports/${id}/evidence`),
+  assignReport: (id: string, data: { officer_id?: string; reason?: string }) =>
+    api.post(`/api/reports/${id}/assign`, data),
+  getReportAssignments: (id: string) => api.get(`/api/reports/${id}/assignments`),
+  getSimilarCases: (id: string, params?: { limit?: number; threshold?: number }) =>
+    api.get(`/api/reports/${id}/similar`, { params }),
+  getReportLinks: (id: string) => api.get(`/api/reports/${id}/links`),
+  markDuplicate: (id: string, data: { original_id: string; reason: string }) =>
+    api.post(`/api/reports/${id}/duplicate`, data),
+  unmarkDuplicate: (id: string, reason: string) => api.delete(`/api/reports/${id}/duplicate`, { data: { reason } }),
+  getMessages: (id: string) => api.get(`/api/reports/${id}/messages`),
+  // FormData with `body`, optional `kind`, `visibility`, `parent_id`,
+  // `requested_items` and `evidence` files
+  postMessage: (id: string, data: FormData) => api.post(`/api/reports/${id}/messages`, data),
+  markMessagesRead: (id: string, messageIds?: string[]) =>
+    api.post(`/api/reports/${id}/messages/read`, { message_ids: messageIds }),
+};
+
+// Evidence API calls
+export const evidenceAPI = {
+  getEvidence: (id: string) => api.get(`/api/evidence/${id}`),
+  download: (id: string) => api.get(`/api/evidence/${id}/download`, { responseType: 'blob' }),
+  getCustodyLog: (id: string) => api.get(`/api/evidence/${id}/custody`),
+};
+
+// Job API calls
+export const jobsAPI = {
+  getJob: (jobId: string) => api.get(`/api/jobs/${jobId}`),
+};
+
+const JOB_POLL_INTERVAL_MS = 2000;
+
+// Polls a background job until it finishes and resolves with its result
+export const waitForJob = async (jobId: string) => {
+  for (;;) {
+    const { data: job } = await jobsAPI.getJob(jobId);
+    if (job.status === 'succeeded') return job.result;
+    if (job.status === 'failed') {
+      toast.error(job.error || 'Background job failed');
+      throw new Error(job.error || 'Background job failed');
+    }
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+  }
 };
 
 // AI API calls
+// AI endpoints can run longer than the request timeout, so they are queued
+// as background jobs and polled; resolves with an axios-like { data }
+const runAIJob = async (url: string, data: any) => {
+  const response = await api.post(url, data, { params: { async: true } });
+  return { data: await waitForJob(response.data.job_id) };
+};
+
 export const aiAPI = {
-  analyzeComplaint: (data: any) => api.post('/api/ai/analyze-complaint', data),
-  checkSimilarity: (data: any) => api.post('/api/ai/check-similarity-advanced', data),
-  detectContradiction: (data: any) => api.post('/api/ai/contradiction', data),
-  chat: (data: any) => api.post('/api/ai/chat-enhanced', data),
-  analyzeAudio: (data: any) => api.post('/api/ai/analyze-audio', data),
-  analyzeVideo: (data: any) => api.post('/api/ai/analyze-video', data),
-  analyzeImage: (data: any) => api.post('/api/ai/analyze-image', data),
-  analyzePdf: (data: any) => api.post('/api/ai/analyze-pdf', data),
-  detectCallScam: (data: any) => api.post('/api/ai/detect-call-scam', data),
-  completeAnalysis: (data: any) => api.post('/api/ai/complete-analysis', data),
+  analyzeComplaint: (data: any) => runAIJob('/api/ai/analyze-complaint', data),
+  checkSimilarity: (data: any) => runAIJob('/api/ai/check-similarity-advanced', data),
+  detectContradiction: (data: any) => runAIJob('/api/ai/contradiction', data),
+  chat: (data: any) => runAIJob('/api/ai/chat-enhanced', data),
+  analyzeAudio: (data: any) => runAIJob('/api/ai/analyze-audio', data),
+  analyzeVideo: (data: any) => runAIJob('/api/ai/analyze-video', data),
+  analyzeImage: (data: any) => runAIJob('/api/ai/analyze-image', data),
+  analyzePdf: (data: any) => runAIJob('/api/ai/analyze-pdf', data),
+  detectCallScam: (data: any) => runAIJob('/api/ai/detect-call-scam', data),
+  completeAnalysis: (data: any) => runAIJob('/api/ai/complete-analysis', data),
 };
 
 // Meta API calls
@@ -82,11 +189,75 @@ export const metaAPI = {
   getSuspiciousEntityTypes: () => api.get('/api/meta/suspicious-entity-types'),
 };
 
+// Scam network intelligence (officers/admins). `format: 'graphml'` downloads
+// the graph for Gephi, yEd and similar tools.
+export const intelAPI = {
+  getClusters: (params?: { min_reports?: number; limit?: number; format?: 'json' | 'graphml' }) =>
+    api.get('/api/intel/clusters', { params, responseType: params?.format === 'graphml' ? 'blob' : 'json' }),
+  getGraph: (entity: string, format: 'json' | 'graphml' = 'json') =>
+    api.get(`/api/intel/graph/${encodeURIComponent(entity)}`, {
+      params: { format },
+      responseType: format === 'graphml' ? 'blob' : 'json',
+    }),
+};
+
+// Identifier lookup ("is this number a scam?"), no sign-in needed
+export const lookupAPI = {
+  lookup: (type: string, value: string) => api.get('/api/lookup', { params: { type, value } }),
+};
+
 // Officer API calls
 export const officerAPI = {
-  getDataRequests: () => api.get('/api/data-requests'),
+  getDataRequests: (params?: { scope?: 'mine' | 'approvals' | 'all'; status?: string; report_id?: string }) =>
+    api.get('/api/data-requests', { params }),
+  getDataRequest: (id: string) => api.get(`/api/data-requests/${id}`),
   createDataRequest: (data: any) => api.post('/api/data-request', data),
+  approveDataRequest: (id: string, remarks?: string) => api.post(`/api/data-requests/${id}/approve`, { remarks }),
+  rejectDataRequest: (id: string, remarks: string) => api.post(`/api/data-requests/${id}/reject`, { remarks }),
+  getNotices: (requestId: string) => api.get(`/api/data-requests/${requestId}/notices`),
+  issueNotice: (requestId: string, data: { recipient_name: string; recipient_address?: string; recipient_type?: string; legal_provision?: string }) =>
+    api.post(`/api/data-requests/${requestId}/notices`, data),
+  downloadNotice: (noticeId: string) => api.get(`/api/legal-notices/${noticeId}/pdf`, { responseType: 'blob' }),
+  dispatchNotice: (noticeId: string, data: { method: 'email' | 'post' | 'portal' | 'hand'; reference?: string }) =>
+    api.post(`/api/legal-notices/${noticeId}/dispatch`, data),
+  // FormData with `notes` and any `evidence` files received
+  recordNoticeResponse: (noticeId: string, data: FormData) => api.post(`/api/legal-notices/${noticeId}/response`, data),
   getDashboard: () => api.get('/api/admin/dashboard'),
+  getAnalytics: (params?: { from?: string; to?: string; district?: string }) =>
+    api.get('/api/officer/analytics', { params }),
+  getCases: (params?: { scope?: 'mine' | 'team' | 'escalated'; status?: string }) =>
+    api.get('/api/officer/cases', { params }),
+  activate: (data: any) => api.post('/api/officer/activate', data),
+  revealAadhaar: (userID: string, reason: string) =>
+    api.post(`/api/officer/users/${userID}/aadhaar/reveal`, { reason }),
+};
+
+// Export API calls (downloads as Blob)
+export const exportAPI = {
+  download: (dataset: 'reports' | 'entities' | 'analytics', params?: Record<string, string | undefined> & { format?: 'csv' | 'xlsx' | 'json' }) =>
+    api.get(`/api/exports/${dataset}`, { params, responseType: 'blob' }),
+};
+
+// Admin API calls
+export const adminAPI = {
+  getOfficers: () => api.get('/api/admin/officers'),
+  getOfficer: (officerId: string) => api.get(`/api/admin/officers/${officerId}`),
+  inviteOfficer: (data: any) => api.post('/api/admin/officers', data),
+  updateOfficer: (officerId: string, data: any) => api.patch(`/api/admin/officers/${officerId}`, data),
+  deactivateOfficer: (officerId: string) => api.post(`/api/admin/officers/${officerId}/deactivate`),
+  getExports: (params?: { actor_id?: string; dataset?: string; limit?: number }) => api.get('/api/admin/exports', { params }),
+  getAuditLog: (params?: {
+    actor_id?: string;
+    action?: string;
+    target_type?: string;
+    target_id?: string;
+    ip_address?: string;
+    from?: string;
+    to?: string;
+    limit?: number;
+    cursor?: string;
+  }) => api.get('/api/admin/audit', { params }),
+  verifyAuditLog: () => api.get('/api/admin/audit/verify'),
 };
 
 export default api;
\ No newline at end of file
@@ -3,7 +3,7 @@ export interface User {
   full_name: string;
   email: string;
   phone_number: string;
-  role: 'USER' | 'OFFICER';
+  role: 'USER' | 'OFFICER' | 'ADMIN';
   aadhaar_number?: string;
   address?: string;
 }
@@ -21,13 +21,28 @@ export const getStoredToken = (): string | null => {
   return localStorage.getItem('auth_token');
 };
 
-export const setAuthData = (token: string, user: User) => {
+export const getStoredRefreshToken = (): string | null => {
+  if (typeof window === 'undefined') return null;
+
+  return localStorage.getItem('refresh_token');
+};
+
+export const setAuthData = (token: string, user: User, refreshToken?: string) => {
   localStorage.setItem('auth_token', token);
   localStorage.setItem('user_data', JSON.stringify(user));
+  if (refreshToken) {
+    localStorage.setItem('refresh_token', refreshToken);
+  }
+};
+
+export const setTokens = (token: string, refreshToken: string) => {
+  localStorage.setItem('auth_token', token);
+  localStorage.setItem('refresh_token', refreshToken);
 };
 
 export const clearAuthData = () => {
   localStorage.removeItem('auth_token');
+  localStorage.removeItem('refresh_token');
   localStorage.removeItem('user_data');
 };
 
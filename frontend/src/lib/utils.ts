@@ -18,4 +18,21 @@ export function formatCurrency(amount: number) {
     style: 'currency',
     currency: 'INR',
   }).format(amount);
-}
\ No newline at end of file
+}
+
+export function formatRelativeTime(date: string | Date) {
+  const seconds = Math.round((new Date(date).getTime() - Date.now()) / 1000);
+  const units: Array<[Intl.RelativeTimeFormatUnit, number]> = [
+    ['day', 86400],
+    ['hour', 3600],
+    ['minute', 60],
+  ];
+  const formatter = new Intl.RelativeTimeFormat('en-IN', { numeric: 'auto' });
+
+  for (const [unit, size] of units) {
+    if (Math.abs(seconds) >= size) {
+      return formatter.format(Math.round(seconds / size), unit);
+    }
+  }
+  return formatter.format(seconds, 'second');
+}
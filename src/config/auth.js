@@ -0,0 +1,14 @@
+import "dotenv/config";
+
+export const JWT_SECRET = process.env.JWT_SECRET;
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const PLACEHOLDER_SECRETS = ['fallback-secret', 'your_jwt_secret_key_here'];
+
+// Throws unless JWT_SECRET is set to something that is not a known placeholder
+export const assertJwtSecret = () => {
+  if (!JWT_SECRET || PLACEHOLDER_SECRETS.includes(JWT_SECRET) || JWT_SECRET.length < 32) {
+    throw new Error('JWT_SECRET must be set to a random value of at least 32 characters');
+  }
+};
@@ -0,0 +1,15 @@
+import "dotenv/config";
+
+// 32-byte keys, hex encoded. The encryption key protects Aadhaar numbers at
+// rest; the hash key produces the lookup hash used for uniqueness checks.
+export const AADHAAR_ENCRYPTION_KEY = process.env.AADHAAR_ENCRYPTION_KEY;
+export const AADHAAR_HASH_KEY = process.env.AADHAAR_HASH_KEY;
+
+const isHexKey = (value) => typeof value === 'string' && /^[0-9a-fA-F]{64}$/.test(value);
+
+// Throws unless both Aadhaar keys are configured as 64 hex characters
+export const assertAadhaarKeys = () => {
+  if (!isHexKey(AADHAAR_ENCRYPTION_KEY) || !isHexKey(AADHAAR_HASH_KEY)) {
+    throw new Error('AADHAAR_ENCRYPTION_KEY and AADHAAR_HASH_KEY must each be 64 hex characters (32 bytes)');
+  }
+};
@@ -1,3 +1,5 @@
 import {neon} from '@neondatabase/serverless';
 import "dotenv/config"
-export const sql = neon(process.env.DATABASE_URL);
\ No newline at end of file
+export const sql = neon(process.env.DATABASE_URL);
+// Escapes LIKE wildcards so user input matches literally; use with ESCAPE '\'
+export const escapeLike = (text) => String(text).replace(/[\\%_]/g, '\\$&');
@@ -0,0 +1,12 @@
+import nodemailer from 'nodemailer';
+import "dotenv/config";
+
+export const transporter = nodemailer.createTransport({
+  host: process.env.MAILERSEND_SMTP_HOST,
+  port: process.env.MAILERSEND_SMTP_PORT,
+  secure: false,
+  auth: {
+    user: process.env.MAILERSEND_SMTP_USER,
+    pass: process.env.MAILERSEND_SMTP_PASS
+  }
+});
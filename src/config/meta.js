@@ -0,0 +1,42 @@
+// Reference data served by /api/meta/* and used to label stored ids
+
+export const COMPLAINT_CATEGORIES = [
+  {
+    id: 'financial',
+    name: 'Financial Fraud',
+    subcategories: [
+      { id: 'upi_fraud', name: 'UPI Fraud' },
+      { id: 'credit_card', name: 'Credit Card Fraud' },
+      { id: 'investment_scam', name: 'Investment Scam' },
+    ],
+  },
+  {
+    id: 'identity',
+    name: 'Identity Theft',
+    subcategories: [
+      { id: 'aadhaar_misuse', name: 'Aadhaar Misuse' },
+      { id: 'social_media', name: 'Social Media Impersonation' },
+    ],
+  },
+  {
+    id: 'cyber_bullying',
+    name: 'Cyber Bullying',
+    subcategories: [
+      { id: 'harassment', name: 'Online Harassment' },
+      { id: 'stalking', name: 'Cyber Stalking' },
+    ],
+  },
+];
+
+export const SUSPICIOUS_ENTITY_TYPES = [
+  { id: 'phone', name: 'Phone Number', placeholder: 'e.g., +91 9876543210' },
+  { id: 'email', name: 'Email Address', placeholder: 'e.g., scammer@example.com' },
+  { id: 'website', name: 'Website/URL', placeholder: 'e.g., https://suspicious-site.com' },
+  { id: 'upi', name: 'UPI ID', placeholder: 'e.g., scammer@paytm' },
+  { id: 'bank_account', name: 'Bank Account', placeholder: 'e.g., 1234567890' },
+  { id: 'social_media', name: 'Social Media Profile', placeholder: 'e.g., @suspicious_user' },
+  { id: 'crypto_wallet', name: 'Crypto Wallet', placeholder: 'e.g., 1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa' },
+];
+
+export const categoryName = (categoryId) =>
+  COMPLAINT_CATEGORIES.find((category) => category.id === categoryId)?.name || categoryId || 'Other';
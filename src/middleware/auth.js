@@ -0,0 +1,85 @@
+import jwt from 'jsonwebtoken';
+import { JWT_SECRET } from '../config/auth.js';
+import { sql } from '../config/db.js';
+import { SessionService } from '../services/SessionService.js';
+
+export const ROLES = Object.freeze({
+    USER: 'USER',
+    OFFICER: 'OFFICER',
+    ADMIN: 'ADMIN',
+});
+
+// Verifies the bearer token sent by the frontend, checks that its session has
+// not been revoked and exposes its claims as req.user
+export const requireAuth = async (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ error: "Authentication required" });
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        const message = error.name === 'TokenExpiredError' ? "Token expired" : "Invalid token";
+        return res.status(401).json({ error: message });
+    }
+
+    let active;
+    try {
+        active = Boolean(payload.sid) && await SessionService.isActive(payload.sid);
+    } catch (error) {
+        console.error("Auth middleware error:", error)
+        return next(error)
+    }
+    if (!active) {
+        return res.status(401).json({ error: "Session expired or revoked" });
+    }
+
+    req.user = { id: payload.userId, role: payload.role, sessionId: payload.sid };
+    next();
+};
+
+// Whether the user's role is one of `roles`. The OFFICER role only counts
+// with an officer profile, which only admin invites create.
+const hasRole = async (user, roles) => {
+    if (!roles.includes(user.role)) return false;
+    if (user.role !== ROLES.OFFICER) return true;
+    const profile = await sql`SELECT 1 FROM officer_profiles WHERE user_id = ${user.id}`;
+    return profile.length > 0;
+};
+
+// Allows the request through only for the given roles
+export const requireRole = (...roles) => async (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: "Authentication required" });
+    }
+    try {
+        if (!await hasRole(req.user, roles)) {
+            return res.status(403).json({ error: "Insufficient permissions" });
+        }
+    } catch (error) {
+        console.error("Role check error:", error)
+        return next(error)
+    }
+    next();
+};
+
+// Citizens may only act on their own :userID; the given roles may act on anyone's
+export const requireSelfOrRole = (...roles) => async (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: "Authentication required" });
+    }
+    if (req.params.userID === req.user.id) {
+        return next();
+    }
+    try {
+        if (!await hasRole(req.user, roles)) {
+            return res.status(403).json({ error: "You can only access your own resources" });
+        }
+    } catch (error) {
+        console.error("Role check error:", error)
+        return next(error)
+    }
+    next();
+};
@@ -0,0 +1,341 @@
+"""Long-lived AI worker for AIService.
+
+Speaks line-delimited JSON-RPC 2.0 over stdio: one request per line on stdin,
+one response per line on stdout. Requests are handled one at a time; the
+Node pool runs several workers for concurrency and cancels a request by
+killing the worker. Models, indexes and datasets are loaded on first use and
+kept in memory for later requests.
+"""
+
+import json
+import os
+import sys
+import traceback
+
+MODELS_DIR = os.path.dirname(os.path.abspath(__file__))
+SUMMARIZER_DIR = os.path.join(MODELS_DIR, 'summarizer')
+DATABASE_DIR = os.path.join(MODELS_DIR, 'database_similarity')
+CHATBOT_DIR = os.path.join(MODELS_DIR, 'chatbot')
+CALL_DETECTOR_DIR = os.path.join(MODELS_DIR, 'call scam detector')
+
+for directory in (SUMMARIZER_DIR, DATABASE_DIR, CHATBOT_DIR, CALL_DETECTOR_DIR):
+    sys.path.append(directory)
+
+# The model code prints progress messages; keep stdout for the protocol only
+PROTOCOL_OUT = sys.stdout
+sys.stdout = sys.stderr
+
+_cache = {}
+
+
+def cached(key, load):
+    if key not in _cache:
+        _cache[key] = load()
+    return _cache[key]
+
+
+## -----------------------------------------------------------------------------
+## Evidence text extraction
+## -----------------------------------------------------------------------------
+
+def _evidence_texts(params):
+    from image_to_text import extract_text_from_image
+    from pdf_to_text import extract_text_from_pdf
+    from audio_to_text import extract_text_from_audio
+    from video_to_text import extract_details_from_video
+
+    image_path = params.get('image_path')
+    pdf_path = params.get('pdf_path')
+    audio_path = params.get('audio_path')
+    video_path = params.get('video_path')
+
+    video_details = extract_details_from_video(video_path) if video_path else {"transcribed_audio": "", "text_from_frames": []}
+    return (
+        extract_text_from_image(image_path) if image_path else '',
+        extract_text_from_pdf(pdf_path) if pdf_path else '',
+        extract_text_from_audio(audio_path) if audio_path else '',
+        video_details.get('transcribed_audio', ''),
+        ' '.join(video_details.get('text_from_frames', [])),
+    )
+
+
+def _require_file(path, kind):
+    if not path or not os.path.exists(path):
+        return {"error": f"{kind} file not found"}
+    return None
+
+
+## -----------------------------------------------------------------------------
+## Methods
+## -----------------------------------------------------------------------------
+
+def ping(params):
+    return {"ok": True, "pid": os.getpid(), "loaded": sorted(_cache.keys())}
+
+
+def analyze_complaint(params):
+    from summarizer import get_incident_details_from_text, get_narrative_summary
+
+    complaint = params.get('complaint', '')
+    texts = _evidence_texts(params)
+    details = get_incident_details_from_text(complaint, *texts)
+    summary = get_narrative_summary(complaint, *texts)
+    return {"details": details, "summary": summary}
+
+
+def _load_similarity_databases():
+    import database as db
+
+    db1 = db.ensure_all_columns(db.load_csv_safe(os.path.join(DATABASE_DIR, 'victim_reports.csv')))
+    db2 = db.ensure_all_columns(db.load_csv_safe(os.path.join(DATABASE_DIR, 'official_scam_records.csv')))
+
+    # Normalize set-like fields
+    set_fields = ['phones', 'bank_accounts', 'upi_ids', 'emails', 'websites', 'social_handles', 'ip_addresses', 'crypto_wallets', 'contact_methods']
+    for df in [db1, db2]:
+        for field in set_fields:
+            if 'phone' in field and field != 'contact_methods':
+                df[field] = df[field].apply(lambda x: set(db.normalize_phone(p) for p in str(x).split('|') if p and p != 'nan'))
+            elif 'email' in field:
+                df[field] = df[field].apply(lambda x: set(db.normalize_email(e) for e in str(x).split('|') if e and e != 'nan'))
+            elif 'website' in field:
+                df[field] = df[field].apply(lambda x: set(db.normalize_website(w) for w in str(x).split('|') if w and w != 'nan'))
+            else:
+                df[field] = df[field].apply(db.normalize_field)
+    return db1, db2
+
+
+def check_similarity(params):
+    import database as db
+
+    db1, db2 = cached('similarity_databases', _load_similarity_databases)
+    thresholds = params.get('thresholds', {}) if isinstance(params, dict) else {}
+    cross = db.cross_db_match(db1, db2, threshold=thresholds.get('cross_threshold', 0.5))
+    within = db.within_db_match(db1, threshold=thresholds.get('within_threshold', 0.3))
+    return {"cross_db_matches": cross, "within_db_matches": within}
+
+
+# Shared by the chatbot index and description embeddings (same model as
+# database_similarity's match_score)
+EMBEDDING_MODEL = 'all-mpnet-base-v2'
+
+
+def _load_embedder():
+    # database_similarity loads this model when it is imported; reuse that
+    # instance rather than holding a second copy in the same worker
+    import database as db
+
+    return db.model
+
+
+def embed(params):
+    texts = [str(text or '') for text in params.get('texts', [])]
+    if not texts:
+        return {"model": EMBEDDING_MODEL, "embeddings": []}
+    vectors = cached('embedder', _load_embedder).encode(texts, normalize_embeddings=True)
+    return {"model": EMBEDDING_MODEL, "embeddings": [vector.tolist() for vector in vectors]}
+
+
+def _load_chatbot():
+    import chatbot as cb
+
+    embedding_model = cached('embedder', _load_embedder)
+    docs = cb.get_pdf_text_and_metadata([os.path.join(CHATBOT_DIR, p) for p in cb.PDF_FILES])
+    chunks = cb.chunk_documents(docs, chunk_size=1000, chunk_overlap=200)
+    index = cb.create_vector_index(chunks, embedding_model)
+    return embedding_model, chunks, index
+
+
+def chat(params):
+    import chatbot as cb
+    import groq
+    from tavily import TavilyClient
+
+    query = params.get('query', '')
+    embedding_model, chunks, index = cached('chatbot', _load_chatbot)
+    results = cb.search_index(query, embedding_model, index, chunks, k=5)
+
+    groq_key = os.environ.get('GROQ_API_KEY')
+    groq_client = groq.Groq(api_key=groq_key) if groq_key else None
+    tav_key = os.environ.get('TAVILY_API_KEY')
+    tav_client = TavilyClient(api_key=tav_key) if tav_key else None
+
+    answer = cb.generate_synthesized_answer(query, results, embedding_model, groq_client, tav_client)
+    return {"answer": answer, "sources": [r.get('source') for r in results]}
+
+
+def extract_text(params):
+    file_path = params.get('file_path')
+    file_type = (params.get('file_type') or '').lower()
+
+    if file_type == 'pdf':
+        from pdf_to_text import extract_text_from_pdf
+        return {"text": extract_text_from_pdf(file_path)}
+    if file_type == 'image':
+        from image_to_text import extract_text_from_image
+        return {"text": extract_text_from_image(file_path)}
+    if file_type == 'audio':
+        from audio_to_text import extract_text_from_audio
+        return {"text": extract_text_from_audio(file_path)}
+    if file_type == 'video':
+        from video_to_text import extract_details_from_video
+        return extract_details_from_video(file_path)
+    raise ValueError(f"Unsupported file type: {file_type}")
+
+
+def classify(params):
+    from classifier import classify_cybercrime
+
+    # Expect a dict with keys like: crime_type, financial_loss_inr, victims_affected, is_ongoing
+    priority, score = classify_cybercrime(params)
+    return {"priority": priority, "score": score}
+
+
+def find_contradictions(params):
+    from contradict import contradiction_in_complain_and_evidences
+
+    analysis, has_contradiction = contradiction_in_complain_and_evidences(params.get('complaint', ''), *_evidence_texts(params))
+    return {"analysis": analysis, "has_contradiction": has_contradiction}
+
+
+def detect_call_scam(params):
+    from call import analyze_text_with_groq
+    from vosk import Model, KaldiRecognizer
+    from pydub import AudioSegment
+
+    audio_file_path = params.get('audio_file_path', '')
+    language = (params.get('language') or 'en').lower()
+
+    missing = _require_file(audio_file_path, 'Audio')
+    if missing:
+        return missing
+
+    # Select Vosk model directory
+    vosk_model_path = os.path.join(CALL_DETECTOR_DIR, 'model-hi' if language.startswith('hi') else 'model-en')
+    if not os.path.exists(vosk_model_path):
+        return {"error": f"Vosk model not found at {vosk_model_path}"}
+
+    try:
+        audio = AudioSegment.from_file(audio_file_path)
+        audio = audio.set_frame_rate(16000).set_channels(1)
+        model = cached(f'vosk:{vosk_model_path}', lambda: Model(vosk_model_path))
+        recognizer = KaldiRecognizer(model, 16000)
+        recognizer.AcceptWaveform(audio.raw_data)
+        transcript = json.loads(recognizer.FinalResult()).get('text', '').strip()
+    except Exception as e:
+        return {"error": f"Transcription failed: {e}"}
+
+    classification, reason = analyze_text_with_groq(transcript)
+    return {
+        "transcript": transcript,
+        "classification": classification,
+        "reason": reason,
+        "language": language,
+        "audio_file": audio_file_path
+    }
+
+
+def complete_analysis(params):
+    from summarizer import get_incident_details_from_text, get_narrative_summary
+    from classifier import classify_cybercrime
+    from contradict import contradiction_in_complain_and_evidences
+
+    complaint = params.get('complaint', '')
+    texts = _evidence_texts(params)
+
+    contradiction_analysis, has_contradiction = contradiction_in_complain_and_evidences(complaint, *texts)
+    incident_details = get_incident_details_from_text(complaint, *texts)
+    narrative_summary = get_narrative_summary(complaint, *texts)
+    classification, score = classify_cybercrime(incident_details) if incident_details else ("Unknown", 0)
+
+    return {
+        "contradiction_analysis": contradiction_analysis,
+        "has_contradiction": has_contradiction,
+        "incident_details": incident_details,
+        "narrative_summary": narrative_summary,
+        "classification": classification,
+        "priority_score": score
+    }
+
+
+def analyze_audio(params):
+    from audio_to_text import extract_text_from_audio
+
+    missing = _require_file(params.get('audio_file_path'), 'Audio')
+    return missing or {"transcribed_text": extract_text_from_audio(params['audio_file_path'])}
+
+
+def analyze_video(params):
+    from video_to_text import extract_details_from_video
+
+    missing = _require_file(params.get('video_file_path'), 'Video')
+    return missing or extract_details_from_video(params['video_file_path'])
+
+
+def analyze_image(params):
+    from image_to_text import extract_text_from_image
+
+    missing = _require_file(params.get('image_file_path'), 'Image')
+    return missing or {"extracted_text": extract_text_from_image(params['image_file_path'])}
+
+
+def analyze_pdf(params):
+    from pdf_to_text import extract_text_from_pdf
+
+    missing = _require_file(params.get('pdf_file_path'), 'PDF')
+    return missing or {"extracted_text": extract_text_from_pdf(params['pdf_file_path'])}
+
+
+METHODS = {
+    'ping': ping,
+    'analyze_complaint': analyze_complaint,
+    'check_similarity': check_similarity,
+    'embed': embed,
+    'chat': chat,
+    'extract_text': extract_text,
+    'classify': classify,
+    'find_contradictions': find_contradictions,
+    'detect_call_scam': detect_call_scam,
+    'complete_analysis': complete_analysis,
+    'analyze_audio': analyze_audio,
+    'analyze_video': analyze_video,
+    'analyze_image': analyze_image,
+    'analyze_pdf': analyze_pdf,
+}
+
+
+## -----------------------------------------------------------------------------
+## JSON-RPC loop
+## -----------------------------------------------------------------------------
+
+def respond(message):
+    PROTOCOL_OUT.write(json.dumps(message, default=str) + '\n')
+    PROTOCOL_OUT.flush()
+
+
+def handle(line):
+    try:
+        request = json.loads(line)
+    except ValueError as e:
+        return respond({"jsonrpc": "2.0", "id": None, "error": {"code": -32700, "message": f"Parse error: {e}"}})
+
+    request_id = request.get('id')
+    method = METHODS.get(request.get('method'))
+    if method is None:
+        return respond({"jsonrpc": "2.0", "id": request_id, "error": {"code": -32601, "message": f"Method not found: {request.get('method')}"}})
+
+    try:
+        result = method(request.get('params') or {})
+        respond({"jsonrpc": "2.0", "id": request_id, "result": result})
+    except Exception as e:
+        traceback.print_exc()
+        respond({"jsonrpc": "2.0", "id": request_id, "error": {"code": -32000, "message": str(e)}})
+
+
+def main():
+    for line in sys.stdin:
+        if line.strip():
+            handle(line)
+
+
+if __name__ == "__main__":
+    main()
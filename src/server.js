@@ -4,15 +4,40 @@ import helmet from 'helmet';
 import compression from 'compression';
 import bodyParser from 'body-parser';
 import multer from 'multer';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { sql } from './config/db.js';
 import rateLimiter from './middleware/rateLimiter.js';
+import { ROLES, requireAuth, requireRole, requireSelfOrRole } from './middleware/auth.js';
 import { AIService } from './services/AIService.js';
+import { OTPService, OTP_PURPOSES } from './services/OTPService.js';
+import { SessionService } from './services/SessionService.js';
+import { OfficerService } from './services/OfficerService.js';
+import { AadhaarService } from './services/AadhaarService.js';
+import { ReportService, REPORT_STATUSES } from './services/ReportService.js';
+import { EvidenceService } from './services/EvidenceService.js';
+import { DashboardService } from './services/DashboardService.js';
+import { TriageService } from './services/TriageService.js';
+import { JobService } from './services/JobService.js';
+import { CaseService } from './services/CaseService.js';
+import { MessageService } from './services/MessageService.js';
+import { NotificationService } from './services/NotificationService.js';
+import { EntityService, normalizeEntity } from './services/EntityService.js';
+import { SimilarityService, SIMILARITY_SOURCES } from './services/SimilarityService.js';
+import { IntelService } from './services/IntelService.js';
+import { DuplicateService } from './services/DuplicateService.js';
+import { DataRequestService } from './services/DataRequestService.js';
+import { LegalNoticeService } from './services/LegalNoticeService.js';
+import { ExportService } from './services/ExportService.js';
+import { AUDIT_ACTIONS, AuditService } from './services/AuditService.js';
+import { ServiceError } from './services/errors.js';
+import { assertJwtSecret } from './config/auth.js';
+import { assertAadhaarKeys } from './config/crypto.js';
+import { assertOtpProvider } from './services/delivery/index.js';
+import { COMPLAINT_CATEGORIES, SUSPICIOUS_ENTITY_TYPES } from './config/meta.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
-import nodemailer from 'nodemailer';
 import 'dotenv/config';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -33,34 +58,85 @@ app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
 app.use(rateLimiter);
 
 // File upload configuration
+fs.mkdirSync('uploads', { recursive: true });
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, 'uploads/');
   },
   filename: (req, file, cb) => {
-    cb(null, `${Date.now()}-${file.originalname}`);
+    // The original name is kept in the evidence table, never used as a path
+    cb(null, `${Date.now()}-${uuidv4()}${path.extname(file.originalname)}`);
   }
 });
 const upload = multer({ storage });
 
-// Email configuration
-const transporter = nodemailer.createTransporter({
-  host: process.env.MAILERSEND_SMTP_HOST,
-  port: process.env.MAILERSEND_SMTP_PORT,
-  secure: false,
-  auth: {
-    user: process.env.MAILERSEND_SMTP_USER,
-    pass: process.env.MAILERSEND_SMTP_PASS
+// Helper functions
+const sendServiceError = (res, error) => {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
   }
-});
+  return res.status(error.status).json({ error: error.message, retry_after: error.retryAfter });
+};
 
-// Helper functions
-const generateOTP = () => Math.floor(100000 + Math.random() * 900000).toString();
+// Loads req.report for routes under /api/reports/:id, checking the caller
+// may see it. Runs before multer so refused uploads never reach the disk.
+const loadReportForActor = async (req, res, next) => {
+  try {
+    req.report = await ReportService.getForActor(req.params.id, req.user);
+    next();
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Load report error:', error);
+    res.status(500).json({ error: 'Failed to load report' });
+  }
+};
+
+// Removes uploaded files that were not attached as evidence
+const discardUploads = (files = []) => {
+  for (const file of files) {
+    fs.rm(file.path, { force: true }, (error) => {
+      if (error) console.error(`Could not remove upload ${file.path}:`, error);
+    });
+  }
+};
 
-const sendOTP = async (phoneNumber, otp) => {
-  // Mock OTP sending - replace with actual SMS service
-  console.log(`Sending OTP ${otp} to ${phoneNumber}`);
-  return true;
+// Background job handlers, called as handler(payload, { signal, progress })
+const AI_JOBS = {
+  'ai.analyze_complaint': (payload, options) => AIService.analyzeComplaint(payload, options),
+  'ai.check_similarity': (payload, options) => AIService.checkDatabaseSimilarity(payload, options),
+  'ai.chat': ({ query }, options) => AIService.getChatbotResponse(query, '', options),
+  'ai.analyze_audio': (payload, options) => AIService.analyzeAudioFile(payload, options),
+  'ai.analyze_video': (payload, options) => AIService.analyzeVideoFile(payload, options),
+  'ai.analyze_image': (payload, options) => AIService.analyzeImageFile(payload, options),
+  'ai.analyze_pdf': (payload, options) => AIService.analyzePdfFile(payload, options),
+  'ai.detect_call_scam': (payload, options) => AIService.detectCallScam(payload, options),
+  'ai.complete_analysis': (payload, options) => AIService.completeAnalysis(payload, options),
+  'ai.contradiction': (payload, options) => AIService.findContradictions(payload, options),
+};
+Object.entries(AI_JOBS).forEach(([type, handler]) => JobService.register(type, handler));
+JobService.register('report.triage', ({ report_id }, options) => TriageService.analyzeReport(report_id, options));
+JobService.register('similarity.index', ({ source_type, source_id }, options) => (
+  SimilarityService.index(source_type, source_id, options)
+));
+JobService.register('similarity.index_missing', (payload, options) => SimilarityService.indexMissing(options));
+JobService.register('similarity.find', ({ source_type, source_id, ...filters }, options) => (
+  SimilarityService.findSimilar(source_type, source_id, filters, options)
+));
+
+// Clients opt in to background processing with ?async=true or `Prefer: respond-async`
+const wantsAsync = (req) => req.query.async === 'true' || /\brespond-async\b/.test(req.get('prefer') || '');
+
+// Answers 202 with a job id when the client asked for async processing,
+// otherwise runs the AI task inline
+const runAITask = async (req, res, type, payload) => {
+  if (wantsAsync(req)) {
+    const job = await JobService.enqueue(type, payload, { createdBy: req.user.id });
+    return res.status(202).location(`/api/jobs/${job.id}`).json({ job_id: job.id, status: job.status });
+  }
+  const result = await JobService.getHandler(type)(payload, {});
+  res.json(result);
 };
 
 // Database initialization
@@ -71,20 +147,127 @@ const initializeDatabase = async () => {
       CREATE TABLE IF NOT EXISTS users (
         id VARCHAR(255) PRIMARY KEY,
         full_name VARCHAR(255) NOT NULL,
-        aadhaar_number VARCHAR(12) UNIQUE NOT NULL,
+        aadhaar_number VARCHAR(12) UNIQUE,
+        aadhaar_encrypted TEXT,
+        aadhaar_hash VARCHAR(64) UNIQUE,
+        aadhaar_last4 VARCHAR(4),
         phone_number VARCHAR(15) NOT NULL,
         email VARCHAR(255) UNIQUE NOT NULL,
-        address TEXT NOT NULL,
+        address TEXT,
         role VARCHAR(20) DEFAULT 'USER',
         password_hash VARCHAR(255),
         is_verified BOOLEAN DEFAULT FALSE,
-        otp VARCHAR(6),
+        is_active BOOLEAN DEFAULT TRUE,
+        otp VARCHAR(255),
         otp_expires_at TIMESTAMP,
+        otp_purpose VARCHAR(20),
+        otp_attempts INTEGER DEFAULT 0,
+        otp_last_sent_at TIMESTAMP,
+        otp_send_count INTEGER DEFAULT 0,
+        otp_window_started_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `;
 
+    // OTPs are stored as bcrypt hashes and carry throttling state
+    await sql`ALTER TABLE users ALTER COLUMN otp TYPE VARCHAR(255)`;
+    await sql`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS otp_purpose VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS otp_attempts INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS otp_last_sent_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS otp_send_count INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS otp_window_started_at TIMESTAMP
+    `;
+
+    // Officers are provisioned by admins and have no Aadhaar/address on file
+    await sql`
+      ALTER TABLE users
+        ALTER COLUMN aadhaar_number DROP NOT NULL,
+        ALTER COLUMN address DROP NOT NULL,
+        ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE
+    `;
+
+    // Aadhaar numbers are stored encrypted with a keyed hash for lookups;
+    // aadhaar_number is only kept for rows created before encryption
+    await sql`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS aadhaar_encrypted TEXT,
+        ADD COLUMN IF NOT EXISTS aadhaar_hash VARCHAR(64) UNIQUE,
+        ADD COLUMN IF NOT EXISTS aadhaar_last4 VARCHAR(4)
+    `;
+    const migrated = await AadhaarService.migratePlaintext();
+    if (migrated > 0) {
+      console.log(`Encrypted ${migrated} plaintext Aadhaar numbers`);
+    }
+
+    // Create aadhaar_access_log table (every officer reveal of a full number)
+    await sql`
+      CREATE TABLE IF NOT EXISTS aadhaar_access_log (
+        id VARCHAR(255) PRIMARY KEY,
+        user_id VARCHAR(255) REFERENCES users(id) NOT NULL,
+        actor_id VARCHAR(255) REFERENCES users(id) NOT NULL,
+        actor_role VARCHAR(20) NOT NULL,
+        reason TEXT NOT NULL,
+        ip_address VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create officer_profiles table
+    await sql`
+      CREATE TABLE IF NOT EXISTS officer_profiles (
+        user_id VARCHAR(255) PRIMARY KEY REFERENCES users(id),
+        badge_number VARCHAR(50) UNIQUE NOT NULL,
+        rank VARCHAR(100) NOT NULL,
+        police_station VARCHAR(255) NOT NULL,
+        district VARCHAR(100) NOT NULL,
+        specializations TEXT[] NOT NULL DEFAULT '{}',
+        supervisor_id VARCHAR(255) REFERENCES users(id),
+        invited_by VARCHAR(255) REFERENCES users(id),
+        invite_token_hash VARCHAR(64),
+        invite_expires_at TIMESTAMP,
+        invited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        activated_at TIMESTAMP,
+        deactivated_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS officer_profiles_supervisor_idx ON officer_profiles (supervisor_id)`;
+    await sql`ALTER TABLE officer_profiles ADD COLUMN IF NOT EXISTS specializations TEXT[] NOT NULL DEFAULT '{}'`;
+
+    // Create sessions table (one row per refresh token family)
+    await sql`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id VARCHAR(255) PRIMARY KEY,
+        user_id VARCHAR(255) REFERENCES users(id) NOT NULL,
+        refresh_token_hash VARCHAR(64) NOT NULL,
+        user_agent TEXT,
+        ip_address VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS sessions_user_id_idx ON sessions (user_id)`;
+
+    // Accounts that registered themselves as OFFICER before officers were
+    // invite-only have no profile; they become citizens and are signed out
+    const demoted = await sql`
+      UPDATE users SET role = 'USER', updated_at = CURRENT_TIMESTAMP
+      WHERE role = 'OFFICER' AND NOT EXISTS (SELECT 1 FROM officer_profiles p WHERE p.user_id = users.id)
+      RETURNING id
+    `;
+    if (demoted.length > 0) {
+      await sql`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+        WHERE user_id = ANY(${demoted.map((user) => user.id)}) AND revoked_at IS NULL
+      `;
+      console.log(`Demoted ${demoted.length} self-registered officer account(s) without an officer profile`);
+    }
+
     // Create reports table
     await sql`
       CREATE TABLE IF NOT EXISTS reports (
@@ -97,11 +280,135 @@ const initializeDatabase = async () => {
         anonymous BOOLEAN DEFAULT FALSE,
         status VARCHAR(50) DEFAULT 'pending',
         priority VARCHAR(20) DEFAULT 'medium',
+        priority_set_by VARCHAR(255) REFERENCES users(id),
+        reference_number VARCHAR(32) UNIQUE,
+        amount_lost NUMERIC(14, 2),
+        duplicate_of VARCHAR(255) REFERENCES reports(id),
+        assigned_officer_id VARCHAR(255) REFERENCES users(id),
+        assigned_at TIMESTAMP,
+        sla_due_at TIMESTAMP,
+        escalated_at TIMESTAMP,
+        escalated_to VARCHAR(255) REFERENCES users(id),
+        deleted_at TIMESTAMP,
+        deleted_by VARCHAR(255) REFERENCES users(id),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `;
 
+    // Reports are soft-deleted so their history stays intact
+    await sql`
+      ALTER TABLE reports
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(255) REFERENCES users(id)
+    `;
+
+    // Case ownership and SLA tracking
+    await sql`
+      ALTER TABLE reports
+        ADD COLUMN IF NOT EXISTS assigned_officer_id VARCHAR(255) REFERENCES users(id),
+        ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS sla_due_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS escalated_to VARCHAR(255) REFERENCES users(id)
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS reports_assigned_officer_idx ON reports (assigned_officer_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS reports_escalated_to_idx ON reports (escalated_to)`;
+
+    // Money the complainant says they lost, used for scam network totals
+    await sql`ALTER TABLE reports ADD COLUMN IF NOT EXISTS amount_lost NUMERIC(14, 2)`;
+
+    // Citizen-facing reference numbers, backfilled for older reports
+    await sql`ALTER TABLE reports ADD COLUMN IF NOT EXISTS reference_number VARCHAR(32) UNIQUE`;
+    await sql`
+      UPDATE reports
+      SET reference_number = 'CG-' || to_char(created_at, 'YYYYMMDD') || '-' || upper(substr(id, 1, 8))
+      WHERE reference_number IS NULL
+    `;
+
+    // Who last set the priority by hand; AI triage leaves such priorities alone
+    await sql`ALTER TABLE reports ADD COLUMN IF NOT EXISTS priority_set_by VARCHAR(255) REFERENCES users(id)`;
+
+    // Duplicates point at the report they repeat
+    await sql`ALTER TABLE reports ADD COLUMN IF NOT EXISTS duplicate_of VARCHAR(255) REFERENCES reports(id)`;
+
+    // Create report_links table (duplicate and related reports found at
+    // submission, from the new report to the earlier one)
+    await sql`
+      CREATE TABLE IF NOT EXISTS report_links (
+        report_id VARCHAR(255) NOT NULL REFERENCES reports(id),
+        linked_report_id VARCHAR(255) NOT NULL REFERENCES reports(id),
+        kind VARCHAR(20) NOT NULL,
+        similarity REAL,
+        reasons JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (report_id, linked_report_id)
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS report_links_linked_report_idx ON report_links (linked_report_id)`;
+
+    // Create case_assignments table (who held a case, and why it moved)
+    await sql`
+      CREATE TABLE IF NOT EXISTS case_assignments (
+        id VARCHAR(255) PRIMARY KEY,
+        report_id VARCHAR(255) REFERENCES reports(id) NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        officer_id VARCHAR(255) REFERENCES users(id),
+        previous_officer_id VARCHAR(255) REFERENCES users(id),
+        reason TEXT,
+        actor_id VARCHAR(255) REFERENCES users(id),
+        actor_role VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS case_assignments_report_idx ON case_assignments (report_id)`;
+
+    // Create report_status_history table
+    await sql`
+      CREATE TABLE IF NOT EXISTS report_status_history (
+        id VARCHAR(255) PRIMARY KEY,
+        report_id VARCHAR(255) REFERENCES reports(id) NOT NULL,
+        from_status VARCHAR(50),
+        to_status VARCHAR(50) NOT NULL,
+        reason TEXT NOT NULL,
+        actor_id VARCHAR(255) REFERENCES users(id),
+        actor_role VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS report_status_history_report_idx ON report_status_history (report_id)`;
+
+    // Indexes for the officer queue: keyset pagination and full-text search
+    await sql`CREATE INDEX IF NOT EXISTS reports_created_at_idx ON reports (created_at DESC, id DESC)`;
+    await sql`
+      CREATE INDEX IF NOT EXISTS reports_description_fts_idx
+      ON reports USING GIN (to_tsvector('english', description))
+    `;
+
+    // Create entities table (registry of normalized scam identifiers)
+    await sql`
+      CREATE TABLE IF NOT EXISTS entities (
+        id VARCHAR(255) PRIMARY KEY,
+        entity_type VARCHAR(50) NOT NULL,
+        normalized_value VARCHAR(512) NOT NULL,
+        first_reported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_reported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (entity_type, normalized_value)
+      )
+    `;
+
+    // Create report_entities table (identifiers named in a grievance)
+    await sql`
+      CREATE TABLE IF NOT EXISTS report_entities (
+        report_id VARCHAR(255) NOT NULL REFERENCES reports(id),
+        entity_id VARCHAR(255) NOT NULL REFERENCES entities(id),
+        source VARCHAR(20) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (report_id, entity_id)
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS report_entities_entity_idx ON report_entities (entity_id)`;
+
     // Create suspicious_entities table
     await sql`
       CREATE TABLE IF NOT EXISTS suspicious_entities (
@@ -109,30 +416,361 @@ const initializeDatabase = async () => {
         user_id VARCHAR(255) REFERENCES users(id),
         entity_type VARCHAR(50) NOT NULL,
         entity_value VARCHAR(255) NOT NULL,
+        normalized_value VARCHAR(512),
+        entity_id VARCHAR(255) REFERENCES entities(id),
         description TEXT NOT NULL,
         status VARCHAR(50) DEFAULT 'pending',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `;
 
+    // Older submissions are linked to the registry on startup
+    await sql`
+      ALTER TABLE suspicious_entities
+        ADD COLUMN IF NOT EXISTS normalized_value VARCHAR(512),
+        ADD COLUMN IF NOT EXISTS entity_id VARCHAR(255) REFERENCES entities(id)
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS suspicious_entities_entity_idx ON suspicious_entities (entity_id)`;
+    await EntityService.backfillSuspiciousEntities();
+
+    // Create report_messages table (the citizen/officer thread on a report)
+    await sql`
+      CREATE TABLE IF NOT EXISTS report_messages (
+        id VARCHAR(255) PRIMARY KEY,
+        report_id VARCHAR(255) REFERENCES reports(id) NOT NULL,
+        parent_id VARCHAR(255) REFERENCES report_messages(id),
+        author_id VARCHAR(255) REFERENCES users(id),
+        author_role VARCHAR(20) NOT NULL,
+        kind VARCHAR(20) NOT NULL DEFAULT 'message',
+        visibility VARCHAR(20) NOT NULL DEFAULT 'public',
+        body TEXT NOT NULL,
+        requested_items TEXT[],
+        resolved_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS report_messages_report_idx ON report_messages (report_id, created_at)`;
+
+    // Create report_message_reads table (read receipts)
+    await sql`
+      CREATE TABLE IF NOT EXISTS report_message_reads (
+        message_id VARCHAR(255) REFERENCES report_messages(id) NOT NULL,
+        user_id VARCHAR(255) REFERENCES users(id) NOT NULL,
+        read_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (message_id, user_id)
+      )
+    `;
+
+    // Create evidence table (files attached to a report or a suspicious entity)
+    await sql`
+      CREATE TABLE IF NOT EXISTS evidence (
+        id VARCHAR(255) PRIMARY KEY,
+        report_id VARCHAR(255) REFERENCES reports(id),
+        suspicious_entity_id VARCHAR(255) REFERENCES suspicious_entities(id),
+        message_id VARCHAR(255) REFERENCES report_messages(id),
+        original_name VARCHAR(255) NOT NULL,
+        stored_path TEXT NOT NULL,
+        mime_type VARCHAR(255),
+        size_bytes BIGINT NOT NULL,
+        sha256 VARCHAR(64) NOT NULL,
+        uploaded_by VARCHAR(255) REFERENCES users(id),
+        uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (report_id IS NOT NULL OR suspicious_entity_id IS NOT NULL)
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS evidence_report_idx ON evidence (report_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS evidence_entity_idx ON evidence (suspicious_entity_id)`;
+    await sql`ALTER TABLE evidence ADD COLUMN IF NOT EXISTS message_id VARCHAR(255) REFERENCES report_messages(id)`;
+
+    // Create evidence_custody_log table; a trigger rejects UPDATE and DELETE
+    await sql`
+      CREATE TABLE IF NOT EXISTS evidence_custody_log (
+        id VARCHAR(255) PRIMARY KEY,
+        evidence_id VARCHAR(255) REFERENCES evidence(id) NOT NULL,
+        action VARCHAR(30) NOT NULL,
+        actor_id VARCHAR(255) REFERENCES users(id),
+        actor_role VARCHAR(20),
+        ip_address VARCHAR(64),
+        user_agent TEXT,
+        details TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await sql`
+      CREATE OR REPLACE FUNCTION reject_custody_log_changes() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'evidence_custody_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `;
+    await sql`DROP TRIGGER IF EXISTS evidence_custody_log_append_only ON evidence_custody_log`;
+    await sql`
+      CREATE TRIGGER evidence_custody_log_append_only
+      BEFORE UPDATE OR DELETE ON evidence_custody_log
+      FOR EACH ROW EXECUTE FUNCTION reject_custody_log_changes()
+    `;
+
+    // Create report_analysis table (one AI triage result per report)
+    await sql`
+      CREATE TABLE IF NOT EXISTS report_analysis (
+        id VARCHAR(255) PRIMARY KEY,
+        report_id VARCHAR(255) REFERENCES reports(id) UNIQUE NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        priority_level VARCHAR(50),
+        priority_score NUMERIC(4, 2),
+        priority VARCHAR(20),
+        incident_details JSONB,
+        narrative_summary TEXT,
+        contradiction_analysis JSONB,
+        has_contradiction BOOLEAN,
+        error TEXT,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Create jobs table (background work such as AI analysis)
+    await sql`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id VARCHAR(255) PRIMARY KEY,
+        type VARCHAR(100) NOT NULL,
+        payload JSONB NOT NULL DEFAULT '{}',
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        progress INTEGER NOT NULL DEFAULT 0,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 3,
+        timeout_ms INTEGER NOT NULL,
+        run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        locked_by VARCHAR(255),
+        locked_at TIMESTAMP,
+        result JSONB,
+        error TEXT,
+        created_by VARCHAR(255) REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS jobs_queue_idx ON jobs (status, run_at)`;
+
+    // Create notification_outbox table (every email/SMS, sent or not)
+    await sql`
+      CREATE TABLE IF NOT EXISTS notification_outbox (
+        id VARCHAR(255) PRIMARY KEY,
+        user_id VARCHAR(255) REFERENCES users(id),
+        channel VARCHAR(10) NOT NULL,
+        recipient VARCHAR(255) NOT NULL,
+        template VARCHAR(100) NOT NULL,
+        subject VARCHAR(255),
+        body TEXT NOT NULL,
+        payload JSONB NOT NULL DEFAULT '{}',
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 5,
+        next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        locked_at TIMESTAMP,
+        last_error TEXT,
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS notification_outbox_queue_idx ON notification_outbox (status, next_attempt_at)`;
+
+    // Create notification_preferences table (absent row = every channel on)
+    await sql`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id VARCHAR(255) PRIMARY KEY REFERENCES users(id),
+        email BOOLEAN NOT NULL DEFAULT TRUE,
+        sms BOOLEAN NOT NULL DEFAULT TRUE,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
     // Create data_requests table
     await sql`
       CREATE TABLE IF NOT EXISTS data_requests (
         id VARCHAR(255) PRIMARY KEY,
         officer_id VARCHAR(255) REFERENCES users(id),
+        report_id VARCHAR(255) REFERENCES reports(id),
         request_type VARCHAR(100) NOT NULL,
         target_entity VARCHAR(255) NOT NULL,
         justification TEXT NOT NULL,
         urgency VARCHAR(20) DEFAULT 'medium',
         status VARCHAR(50) DEFAULT 'pending',
+        requires_senior_approval BOOLEAN NOT NULL DEFAULT FALSE,
+        supervisor_approved_by VARCHAR(255) REFERENCES users(id),
+        decided_by VARCHAR(255) REFERENCES users(id),
+        decided_at TIMESTAMP,
+        remarks TEXT,
+        expires_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `;
 
+    // Approval workflow: the case, both sign-offs and the expiry deadline
+    await sql`
+      ALTER TABLE data_requests
+        ADD COLUMN IF NOT EXISTS report_id VARCHAR(255) REFERENCES reports(id),
+        ADD COLUMN IF NOT EXISTS requires_senior_approval BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS supervisor_approved_by VARCHAR(255) REFERENCES users(id),
+        ADD COLUMN IF NOT EXISTS decided_by VARCHAR(255) REFERENCES users(id),
+        ADD COLUMN IF NOT EXISTS decided_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS remarks TEXT,
+        ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS data_requests_officer_idx ON data_requests (officer_id)`;
+    await sql`CREATE INDEX IF NOT EXISTS data_requests_status_expires_idx ON data_requests (status, expires_at)`;
+
+    // Create data_request_history table
+    await sql`
+      CREATE TABLE IF NOT EXISTS data_request_history (
+        id VARCHAR(255) PRIMARY KEY,
+        request_id VARCHAR(255) REFERENCES data_requests(id) NOT NULL,
+        from_status VARCHAR(50),
+        to_status VARCHAR(50) NOT NULL,
+        remarks TEXT NOT NULL,
+        actor_id VARCHAR(255) REFERENCES users(id),
+        actor_role VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS data_request_history_request_idx ON data_request_history (request_id)`;
+
+    // Create legal_notices table (numbered PDF notices for approved data
+    // requests, with dispatch and response tracking)
+    await sql`CREATE SEQUENCE IF NOT EXISTS legal_notice_number_seq`;
+    await sql`
+      CREATE TABLE IF NOT EXISTS legal_notices (
+        id VARCHAR(255) PRIMARY KEY,
+        notice_number VARCHAR(32) UNIQUE NOT NULL,
+        request_id VARCHAR(255) REFERENCES data_requests(id) NOT NULL,
+        report_id VARCHAR(255) REFERENCES reports(id),
+        recipient_type VARCHAR(20) NOT NULL,
+        recipient_name VARCHAR(255) NOT NULL,
+        recipient_address TEXT,
+        legal_provision TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'issued',
+        stored_path TEXT NOT NULL,
+        sha256 VARCHAR(64) NOT NULL,
+        issued_by VARCHAR(255) REFERENCES users(id),
+        issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        response_due_at TIMESTAMP,
+        dispatch_method VARCHAR(20),
+        dispatch_reference VARCHAR(255),
+        dispatched_by VARCHAR(255) REFERENCES users(id),
+        dispatched_at TIMESTAMP,
+        response_notes TEXT,
+        response_evidence_ids TEXT[],
+        response_recorded_by VARCHAR(255) REFERENCES users(id),
+        responded_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS legal_notices_request_idx ON legal_notices (request_id)`;
+
+    // Create data_exports table (who exported what, with which filters)
+    await sql`
+      CREATE TABLE IF NOT EXISTS data_exports (
+        id VARCHAR(255) PRIMARY KEY,
+        actor_id VARCHAR(255) REFERENCES users(id) NOT NULL,
+        actor_role VARCHAR(20) NOT NULL,
+        dataset VARCHAR(30) NOT NULL,
+        format VARCHAR(10) NOT NULL,
+        filters JSONB NOT NULL DEFAULT '{}',
+        redacted BOOLEAN NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        row_count INTEGER,
+        error TEXT,
+        ip_address VARCHAR(64),
+        user_agent TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS data_exports_actor_idx ON data_exports (actor_id, created_at)`;
+
+    // Create audit_log table (hash-chained record of logins, PII access, case
+    // changes and data-request actions). Rows can't be updated or deleted.
+    await sql`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        seq BIGSERIAL PRIMARY KEY,
+        id VARCHAR(255) UNIQUE NOT NULL,
+        actor_id VARCHAR(255),
+        actor_role VARCHAR(20) NOT NULL,
+        action VARCHAR(64) NOT NULL,
+        target_type VARCHAR(50),
+        target_id VARCHAR(255),
+        ip_address VARCHAR(64),
+        user_agent TEXT,
+        details JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMPTZ NOT NULL,
+        prev_hash VARCHAR(64),
+        hash VARCHAR(64) NOT NULL
+      )
+    `;
+    await sql`CREATE INDEX IF NOT EXISTS audit_log_actor_idx ON audit_log (actor_id, seq)`;
+    await sql`CREATE INDEX IF NOT EXISTS audit_log_target_idx ON audit_log (target_type, target_id, seq)`;
+    await sql`CREATE INDEX IF NOT EXISTS audit_log_action_idx ON audit_log (action, seq)`;
+    await sql`
+      CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `;
+    await sql`DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log`;
+    await sql`
+      CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE OR TRUNCATE ON audit_log
+      FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only()
+    `;
+
+    // Priorities officers changed before priority_set_by existed, from the audit trail
+    await sql`
+      UPDATE reports r
+      SET priority_set_by = a.actor_id
+      FROM (
+        SELECT DISTINCT ON (target_id) target_id, actor_id
+        FROM audit_log
+        WHERE action = ${AUDIT_ACTIONS.CASE_UPDATED} AND details->'fields' ? 'priority'
+        ORDER BY target_id, seq DESC
+      ) a
+      WHERE r.id = a.target_id AND r.priority_set_by IS NULL
+        AND EXISTS (SELECT 1 FROM users u WHERE u.id = a.actor_id)
+    `;
+
     console.log('Database tables initialized successfully');
   } catch (error) {
     console.error('Database initialization error:', error);
+    return;
+  }
+
+  // pgvector is optional, so it gets its own try: without it similar-case
+  // search matches on identifiers, location and category only
+  try {
+    // Create description_embeddings table (all-mpnet-base-v2 vectors of
+    // report and suspicious-entity descriptions, searched with pgvector)
+    await sql`CREATE EXTENSION IF NOT EXISTS vector`;
+    await sql`
+      CREATE TABLE IF NOT EXISTS description_embeddings (
+        source_type VARCHAR(30) NOT NULL,
+        source_id VARCHAR(255) NOT NULL,
+        model VARCHAR(100) NOT NULL,
+        embedding vector(768) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (source_type, source_id)
+      )
+    `;
+    await sql`
+      CREATE INDEX IF NOT EXISTS description_embeddings_hnsw_idx
+      ON description_embeddings USING hnsw (embedding vector_cosine_ops)
+    `;
+  } catch (error) {
+    console.error('pgvector is unavailable; semantic similarity search is disabled:', error.message);
+    SimilarityService.disableSemanticSearch();
   }
 };
 
@@ -140,42 +778,46 @@ const initializeDatabase = async () => {
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  res.json({ status: 'OK', timestamp: new Date().toISOString(), ai_workers: AIService.workerStats() });
 });
 
 // Auth routes
 app.post('/api/auth/register', async (req, res) => {
   try {
-    const { full_name, aadhaar_number, phone_number, email, address, role = 'USER' } = req.body;
+    const { full_name, aadhaar_number, phone_number, email, address } = req.body;
 
     // Validate required fields
     if (!full_name || !aadhaar_number || !phone_number || !email || !address) {
       return res.status(400).json({ error: 'All fields are required' });
     }
 
+    if (!AadhaarService.isValid(aadhaar_number)) {
+      return res.status(400).json({ error: 'Aadhaar number must be 12 digits' });
+    }
+
     // Check if user already exists
+    const aadhaar = AadhaarService.toColumns(aadhaar_number);
     const existingUser = await sql`
       SELECT id FROM users 
-      WHERE aadhaar_number = ${aadhaar_number} OR email = ${email} OR phone_number = ${phone_number}
+      WHERE aadhaar_hash = ${aadhaar.aadhaar_hash} OR email = ${email} OR phone_number = ${phone_number}
     `;
 
     if (existingUser.length > 0) {
       return res.status(409).json({ error: 'User already exists with this Aadhaar, email, or phone number' });
     }
 
-    // Generate user ID and OTP
+    // Generate user ID
     const userId = uuidv4();
-    const otp = generateOTP();
-    const otpExpiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
 
     // Insert user
     await sql`
-      INSERT INTO users (id, full_name, aadhaar_number, phone_number, email, address, role, otp, otp_expires_at)
-      VALUES (${userId}, ${full_name}, ${aadhaar_number}, ${phone_number}, ${email}, ${address}, ${role}, ${otp}, ${otpExpiresAt})
+      INSERT INTO users (id, full_name, aadhaar_encrypted, aadhaar_hash, aadhaar_last4, phone_number, email, address, role)
+      VALUES (${userId}, ${full_name}, ${aadhaar.aadhaar_encrypted}, ${aadhaar.aadhaar_hash}, ${aadhaar.aadhaar_last4},
+              ${phone_number}, ${email}, ${address}, 'USER')
     `;
 
     // Send OTP
-    await sendOTP(phone_number, otp);
+    await OTPService.issue({ id: userId, phone_number, email }, OTP_PURPOSES.REGISTRATION);
 
     res.status(201).json({
       message: 'User registered successfully. OTP sent for verification.',
@@ -195,25 +837,22 @@ app.post('/api/auth/verify-otp', async (req, res) => {
       return res.status(400).json({ error: 'User ID, OTP, and password are required' });
     }
 
-    // Find user and verify OTP
-    const user = await sql`
-      SELECT * FROM users WHERE id = ${user_id} AND otp = ${otp} AND otp_expires_at > NOW()
-    `;
-
-    if (user.length === 0) {
-      return res.status(400).json({ error: 'Invalid or expired OTP' });
-    }
+    // Verify OTP
+    await OTPService.verify(user_id, otp, OTP_PURPOSES.REGISTRATION);
 
     // Hash password and update user
     const passwordHash = await bcrypt.hash(password, 10);
     await sql`
       UPDATE users 
-      SET password_hash = ${passwordHash}, is_verified = TRUE, otp = NULL, otp_expires_at = NULL
+      SET password_hash = ${passwordHash}, is_verified = TRUE
       WHERE id = ${user_id}
     `;
 
     res.json({ message: 'Account verified successfully' });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
     console.error('OTP verification error:', error);
     res.status(500).json({ error: 'OTP verification failed' });
   }
@@ -229,32 +868,29 @@ app.post('/api/auth/login', async (req, res) => {
 
     // Find user
     const user = await sql`
-      SELECT * FROM users WHERE id = ${user_id} AND is_verified = TRUE
+      SELECT * FROM users WHERE id = ${user_id} AND is_verified = TRUE AND is_active = TRUE
     `;
 
     if (user.length === 0) {
+      await AuditService.record(AUDIT_ACTIONS.LOGIN_FAILED, { type: 'user', id: user_id, details: { reason: 'unknown user' } }, null, req);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user[0].password_hash);
     if (!isValidPassword) {
+      await AuditService.record(AUDIT_ACTIONS.LOGIN_FAILED, { type: 'user', id: user_id, details: { reason: 'wrong password' } }, null, req);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate OTP for login verification
-    const otp = generateOTP();
-    const otpExpiresAt = new Date(Date.now() + 10 * 60 * 1000);
-
-    await sql`
-      UPDATE users SET otp = ${otp}, otp_expires_at = ${otpExpiresAt} WHERE id = ${user_id}
-    `;
-
-    // Send OTP
-    await sendOTP(user[0].phone_number, otp);
+    // Send OTP for login verification
+    await OTPService.issue(user[0], OTP_PURPOSES.LOGIN);
 
     res.json({ message: 'OTP sent for login verification' });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
     console.error('Login error:', error);
     res.status(500).json({ error: 'Login failed' });
   }
@@ -269,163 +905,819 @@ app.post('/api/auth/login-verify', async (req, res) => {
     }
 
     // Verify OTP
-    const user = await sql`
-      SELECT * FROM users WHERE id = ${user_id} AND otp = ${otp} AND otp_expires_at > NOW()
-    `;
-
-    if (user.length === 0) {
-      return res.status(400).json({ error: 'Invalid or expired OTP' });
+    let user;
+    try {
+      user = await OTPService.verify(user_id, otp, OTP_PURPOSES.LOGIN);
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        await AuditService.record(AUDIT_ACTIONS.LOGIN_FAILED, { type: 'user', id: user_id, details: { reason: error.message } }, null, req);
+      }
+      throw error;
     }
 
-    // Clear OTP and generate JWT
-    await sql`
-      UPDATE users SET otp = NULL, otp_expires_at = NULL WHERE id = ${user_id}
-    `;
-
-    const token = jwt.sign(
-      { userId: user[0].id, role: user[0].role },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: '24h' }
-    );
+    // Open a session
+    const tokens = await SessionService.create(user, req);
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
-        id: user[0].id,
-        full_name: user[0].full_name,
-        email: user[0].email,
-        phone_number: user[0].phone_number,
-        role: user[0].role,
-        aadhaar_number: user[0].aadhaar_number,
-        address: user[0].address
+        id: user.id,
+        full_name: user.full_name,
+        email: user.email,
+        phone_number: user.phone_number,
+        role: user.role,
+        aadhaar_number: AadhaarService.mask(user.aadhaar_last4),
+        address: user.address
       }
     });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
     console.error('Login verification error:', error);
     res.status(500).json({ error: 'Login verification failed' });
   }
 });
 
-// User routes
-app.get('/api/user/:userID', async (req, res) => {
+app.post('/api/auth/resend-otp', async (req, res) => {
   try {
-    const { userID } = req.params;
-    
-    const user = await sql`
-      SELECT id, full_name, email, phone_number, role, aadhaar_number, address, created_at
-      FROM users WHERE id = ${userID}
-    `;
+    const { user_id } = req.body;
 
-    if (user.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!user_id) {
+      return res.status(400).json({ error: 'User ID is required' });
     }
 
-    res.json(user[0]);
+    await OTPService.resend(user_id);
+
+    res.json({ message: 'OTP resent successfully' });
   } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ error: 'Failed to fetch user' });
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Resend OTP error:', error);
+    res.status(500).json({ error: 'Failed to resend OTP' });
   }
 });
 
-app.patch('/api/user/:userID/profile', async (req, res) => {
+// Password reset: the OTP goes to the registered phone/email of the account
+// matching the identifier. Unknown identifiers get the same response.
+app.post('/api/auth/forgot-password', async (req, res) => {
   try {
-    const { userID } = req.params;
-    const { full_name, email, phone_number, address } = req.body;
+    const { identifier } = req.body;
 
-    await sql`
-      UPDATE users 
-      SET full_name = ${full_name}, email = ${email}, phone_number = ${phone_number}, 
-          address = ${address}, updated_at = CURRENT_TIMESTAMP
-      WHERE id = ${userID}
+    if (!identifier) {
+      return res.status(400).json({ error: 'Email or phone number is required' });
+    }
+
+    const user = await sql`
+      SELECT * FROM users
+      WHERE (email = ${identifier} OR phone_number = ${identifier}) AND is_verified = TRUE AND is_active = TRUE
+      LIMIT 1
     `;
 
-    res.json({ message: 'Profile updated successfully' });
+    // A throttled or failed send for a real account must look the same as
+    // an unknown identifier, so it is only logged
+    if (user.length > 0) {
+      try {
+        await OTPService.issue(user[0], OTP_PURPOSES.PASSWORD_RESET);
+      } catch (error) {
+        console.error(`Password reset OTP for user ${user[0].id} not sent:`, error.message);
+      }
+    }
+
+    res.json({ message: 'If an account matches, an OTP has been sent to its registered phone or email' });
   } catch (error) {
-    console.error('Update profile error:', error);
-    res.status(500).json({ error: 'Failed to update profile' });
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to start password reset' });
   }
 });
 
-app.post('/api/user/:userID/report_grievance', upload.array('evidence'), async (req, res) => {
+app.post('/api/auth/reset-password', async (req, res) => {
   try {
-    const { userID } = req.params;
-    const { category, subcategory, description, location, anonymous } = req.body;
+    const { identifier, otp, password } = req.body;
 
-    const reportId = uuidv4();
-    
-    await sql`
-      INSERT INTO reports (id, user_id, category, subcategory, description, location, anonymous)
-      VALUES (${reportId}, ${userID}, ${category}, ${subcategory}, ${description}, ${location}, ${anonymous === 'true'})
+    if (!identifier || !otp || !password) {
+      return res.status(400).json({ error: 'Identifier, OTP, and new password are required' });
+    }
+
+    const user = await sql`
+      SELECT id FROM users
+      WHERE (email = ${identifier} OR phone_number = ${identifier}) AND is_verified = TRUE AND is_active = TRUE
+      LIMIT 1
     `;
 
-    res.status(201).json({
-      message: 'Grievance reported successfully',
-      report_id: reportId
-    });
-  } catch (error) {
-    console.error('Report grievance error:', error);
+    if (user.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired OTP' });
+    }
+
+    await OTPService.verify(user[0].id, otp, OTP_PURPOSES.PASSWORD_RESET);
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    await sql`
+      UPDATE users SET password_hash = ${passwordHash}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${user[0].id}
+    `;
+
+    // Sign out every device that may have been using the old password
+    await SessionService.revokeAll(user[0].id);
+
+    res.json({ message: 'Password reset successfully. Please log in again.' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+});
+
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const tokens = await SessionService.refresh(refresh_token, req);
+    res.json(tokens);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await SessionService.revoke(req.user.sessionId, req.user.id);
+    await AuditService.record(AUDIT_ACTIONS.LOGOUT, { type: 'session', id: req.user.sessionId }, req.user, req);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+app.get('/api/auth/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = await SessionService.list(req.user.id);
+    res.json(sessions.map((session) => ({ ...session, current: session.id === req.user.sessionId })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+app.delete('/api/auth/sessions/:sessionId', requireAuth, async (req, res) => {
+  try {
+    const revoked = await SessionService.revoke(req.params.sessionId, req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// User routes
+app.get('/api/user/:userID', requireAuth, requireSelfOrRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { userID } = req.params;
+    
+    const user = await sql`
+      SELECT id, full_name, email, phone_number, role, aadhaar_last4, address, created_at
+      FROM users WHERE id = ${userID}
+    `;
+
+    if (user.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (req.user.id !== userID) {
+      await AuditService.record(AUDIT_ACTIONS.PROFILE_VIEWED, { type: 'user', id: userID }, req.user, req);
+    }
+
+    const { aadhaar_last4, ...profile } = user[0];
+    res.json({ ...profile, aadhaar_number: AadhaarService.mask(aadhaar_last4) });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+app.get('/api/user/:userID/cases', requireAuth, requireSelfOrRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const cases = await DashboardService.getCases(req.params.userID);
+    if (req.user.id !== req.params.userID) {
+      await AuditService.record(AUDIT_ACTIONS.CASES_VIEWED, { type: 'user', id: req.params.userID }, req.user, req);
+    }
+    res.json(cases);
+  } catch (error) {
+    console.error('Get user cases error:', error);
+    res.status(500).json({ error: 'Failed to fetch cases' });
+  }
+});
+
+app.get('/api/user/:userID/dashboard', requireAuth, requireSelfOrRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const dashboard = await DashboardService.getUserDashboard(req.params.userID);
+    res.json(dashboard);
+  } catch (error) {
+    console.error('Get user dashboard error:', error);
+    res.status(500).json({ error: 'Failed to fetch dashboard data' });
+  }
+});
+
+app.get('/api/user/:userID/aadhaar/access-log', requireAuth, requireSelfOrRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const log = await AadhaarService.accessLog(req.params.userID);
+    res.json(log);
+  } catch (error) {
+    console.error('Get Aadhaar access log error:', error);
+    res.status(500).json({ error: 'Failed to fetch Aadhaar access log' });
+  }
+});
+
+app.get('/api/user/:userID/notification-preferences', requireAuth, requireSelfOrRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const preferences = await NotificationService.getPreferences(req.params.userID);
+    res.json(preferences);
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+app.put('/api/user/:userID/notification-preferences', requireAuth, requireSelfOrRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const preferences = await NotificationService.updatePreferences(req.params.userID, req.body);
+    res.json(preferences);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+app.patch('/api/user/:userID/profile', requireAuth, requireSelfOrRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { userID } = req.params;
+    const { full_name, email, phone_number, address } = req.body;
+
+    await sql`
+      UPDATE users 
+      SET full_name = ${full_name}, email = ${email}, phone_number = ${phone_number}, 
+          address = ${address}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${userID}
+    `;
+    await AuditService.record(
+      AUDIT_ACTIONS.PROFILE_UPDATED, { type: 'user', id: userID, details: { fields: Object.keys(req.body) } }, req.user, req
+    );
+
+    res.json({ message: 'Profile updated successfully' });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+app.post('/api/user/:userID/report_grievance', requireAuth, requireSelfOrRole(), upload.array('evidence'), async (req, res) => {
+  // Set once the uploads are stored as evidence; until then a failure removes them
+  let evidence = null;
+  try {
+    const { userID } = req.params;
+    const { category, subcategory, description, location, anonymous } = req.body;
+    const identifiers = EntityService.parseIdentifiers(req.body.identifiers);
+    const amountLost = ReportService.parseAmountLost(req.body.amount_lost);
+
+    const reportId = uuidv4();
+    const referenceNumber = ReportService.referenceNumber(reportId);
+
+    // A likely repeat of the citizen's own open report is filed as a
+    // duplicate of it and is neither assigned nor triaged; the original's
+    // officer is told about it instead
+    const matches = await DuplicateService.check({ userId: userID, category, description, identifiers });
+    const { duplicate } = matches;
+    const status = duplicate ? REPORT_STATUSES.DUPLICATE : REPORT_STATUSES.PENDING;
+    
+    await sql`
+      INSERT INTO reports (id, user_id, category, subcategory, description, location, anonymous, reference_number,
+                           amount_lost, status, duplicate_of)
+      VALUES (${reportId}, ${userID}, ${category}, ${subcategory}, ${description}, ${location}, ${anonymous === 'true'},
+              ${referenceNumber}, ${amountLost}, ${status}, ${duplicate?.report_id || null})
+    `;
+    await ReportService.recordHistory(
+      reportId, null, status,
+      duplicate ? `Report submitted; likely duplicate of ${duplicate.reference_number}` : 'Report submitted', req.user
+    );
+    await DuplicateService.recordCheck(reportId, matches);
+    const linkedIdentifiers = await EntityService.linkReport(reportId, identifiers, description, userID);
+    evidence = await EvidenceService.attach(req.files, { reportId }, req.user, req);
+    await JobService.enqueue(
+      'similarity.index', { source_type: SIMILARITY_SOURCES.REPORT, source_id: reportId }, { createdBy: req.user.id }
+    );
+
+    // Related reports are other citizens' complaints; only officers see them
+    // (GET /api/reports/:id/links)
+    if (duplicate) {
+      await DuplicateService.notifyOriginal({ id: reportId, reference_number: referenceNumber }, duplicate);
+      return res.status(201).json({
+        message: `This looks like your existing report ${duplicate.reference_number}. ` +
+          'We have linked it to that case and let the officer handling it know, instead of opening a new one.',
+        report_id: reportId,
+        reference_number: referenceNumber,
+        duplicate_of: {
+          report_id: duplicate.report_id,
+          reference_number: duplicate.reference_number,
+          status: duplicate.status,
+          reasons: duplicate.reasons
+        },
+        identifiers: linkedIdentifiers,
+        evidence
+      });
+    }
+
+    await CaseService.autoAssign(reportId);
+    await NotificationService.notifyUser(userID, 'report_received', {
+      report_id: reportId,
+      reference_number: referenceNumber,
+      category
+    });
+
+    // Triage runs in the background; the citizen doesn't wait on the models
+    const triageJob = await JobService.enqueue('report.triage', { report_id: reportId }, { createdBy: req.user.id });
+
+    res.status(201).json({
+      message: 'Grievance reported successfully',
+      report_id: reportId,
+      reference_number: referenceNumber,
+      duplicate_of: null,
+      identifiers: linkedIdentifiers,
+      evidence,
+      triage_job_id: triageJob.id
+    });
+  } catch (error) {
+    if (!evidence) discardUploads(req.files);
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Report grievance error:', error);
     res.status(500).json({ error: 'Failed to submit grievance' });
   }
 });
 
-app.post('/api/user/:userID/report_suspicious', upload.array('evidence'), async (req, res) => {
+app.post('/api/user/:userID/report_suspicious', requireAuth, requireSelfOrRole(), upload.array('evidence'), async (req, res) => {
+  let evidence = null;
   try {
     const { userID } = req.params;
     const { entity_type, entity_value, description } = req.body;
+    const normalizedValue = normalizeEntity(entity_type, entity_value);
 
     const entityId = uuidv4();
+    const entity = await EntityService.register(entity_type, normalizedValue);
     
     await sql`
-      INSERT INTO suspicious_entities (id, user_id, entity_type, entity_value, description)
-      VALUES (${entityId}, ${userID}, ${entity_type}, ${entity_value}, ${description})
+      INSERT INTO suspicious_entities (id, user_id, entity_type, entity_value, normalized_value, entity_id, description)
+      VALUES (${entityId}, ${userID}, ${entity_type}, ${entity_value}, ${normalizedValue}, ${entity.id}, ${description})
     `;
+    evidence = await EvidenceService.attach(req.files, { entityId }, req.user, req);
+    await JobService.enqueue(
+      'similarity.index', { source_type: SIMILARITY_SOURCES.SUSPICIOUS_ENTITY, source_id: entityId },
+      { createdBy: req.user.id }
+    );
 
     res.status(201).json({
       message: 'Suspicious entity reported successfully',
-      entity_id: entityId
+      entity_id: entityId,
+      normalized_value: normalizedValue,
+      evidence
     });
   } catch (error) {
+    if (!evidence) discardUploads(req.files);
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
     console.error('Report suspicious error:', error);
     res.status(500).json({ error: 'Failed to report suspicious entity' });
   }
 });
 
 // Reports routes
-app.get('/api/reports', async (req, res) => {
+app.get('/api/reports', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
   try {
-    const { status, category, limit = 50 } = req.query;
-    
-    let query = sql`SELECT * FROM reports WHERE 1=1`;
-    
-    if (status) {
-      query = sql`SELECT * FROM reports WHERE status = ${status}`;
-    }
-    
-    const reports = await query;
-    res.json(reports);
+    const result = await ReportService.search(req.query);
+    await AuditService.record(
+      AUDIT_ACTIONS.REPORTS_LISTED,
+      { type: 'report', id: null, details: { filters: req.query, report_ids: result.reports.map((report) => report.id) } },
+      req.user, req
+    );
+    res.json(result);
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
     console.error('Get reports error:', error);
     res.status(500).json({ error: 'Failed to fetch reports' });
   }
 });
 
+app.put('/api/reports/:id', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    let report = await ReportService.update(req.params.id, req.body, req.user);
+    if (req.body.priority !== undefined) {
+      await CaseService.refreshSla(report.id);
+      report = await ReportService.get(report.id);
+    }
+    await AuditService.record(
+      AUDIT_ACTIONS.CASE_UPDATED,
+      { type: 'report', id: report.id, details: { fields: Object.keys(req.body), status: report.status, priority: report.priority } },
+      req.user, req
+    );
+    res.json(report);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Update report error:', error);
+    res.status(500).json({ error: 'Failed to update report' });
+  }
+});
+
+app.delete('/api/reports/:id', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    await ReportService.softDelete(req.params.id, req.body?.reason, req.user);
+    await AuditService.record(
+      AUDIT_ACTIONS.CASE_DELETED, { type: 'report', id: req.params.id, details: { reason: req.body?.reason } }, req.user, req
+    );
+    res.json({ message: 'Report deleted successfully' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Delete report error:', error);
+    res.status(500).json({ error: 'Failed to delete report' });
+  }
+});
+
+app.get('/api/reports/:id/history', requireAuth, async (req, res) => {
+  try {
+    const report = await ReportService.getForActor(req.params.id, req.user);
+    const history = await ReportService.history(report.id);
+
+    res.json({
+      report_id: report.id,
+      status: report.status,
+      allowed_transitions: ReportService.allowedTransitions(report.status),
+      history
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Get report history error:', error);
+    res.status(500).json({ error: 'Failed to fetch report history' });
+  }
+});
+
+app.post('/api/reports/:id/assign', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { officer_id, reason } = req.body;
+    const report = await CaseService.assign(req.params.id, officer_id, reason, req.user);
+    await AuditService.record(
+      AUDIT_ACTIONS.CASE_ASSIGNED,
+      { type: 'report', id: report.id, details: { officer_id: report.assigned_officer_id, reason } },
+      req.user, req
+    );
+    res.json(report);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Assign report error:', error);
+    res.status(500).json({ error: 'Failed to assign report' });
+  }
+});
+
+app.get('/api/reports/:id/assignments', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const report = await ReportService.getForActor(req.params.id, req.user);
+    const assignments = await CaseService.assignments(report.id);
+    res.json({
+      report_id: report.id,
+      assigned_officer_id: report.assigned_officer_id,
+      sla_due_at: report.sla_due_at,
+      escalated_at: report.escalated_at,
+      escalated_to: report.escalated_to,
+      assignments
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Get report assignments error:', error);
+    res.status(500).json({ error: 'Failed to fetch assignments' });
+  }
+});
+
+app.get('/api/reports/:id/links', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const links = await DuplicateService.links(req.params.id);
+    res.json(links);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Get report links error:', error);
+    res.status(500).json({ error: 'Failed to fetch linked reports' });
+  }
+});
+
+app.post('/api/reports/:id/duplicate', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { original_id, reason } = req.body;
+    const report = await DuplicateService.markDuplicate(req.params.id, original_id, reason, req.user);
+    await AuditService.record(
+      AUDIT_ACTIONS.CASE_MARKED_DUPLICATE, { type: 'report', id: report.id, details: { original_id, reason } }, req.user, req
+    );
+    res.json(report);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Mark duplicate error:', error);
+    res.status(500).json({ error: 'Failed to mark report as duplicate' });
+  }
+});
+
+// Reopens a wrongly linked duplicate. Reports filed as duplicates were never
+// assigned or triaged, so that happens now.
+app.delete('/api/reports/:id/duplicate', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const report = await DuplicateService.unmarkDuplicate(req.params.id, req.body?.reason, req.user);
+    await AuditService.record(
+      AUDIT_ACTIONS.CASE_UNMARKED_DUPLICATE, { type: 'report', id: report.id, details: { reason: req.body?.reason } }, req.user, req
+    );
+    if (!report.assigned_officer_id) {
+      await CaseService.autoAssign(report.id);
+    }
+    let triageJob = null;
+    if (!(await TriageService.getAnalysis(report.id))) {
+      triageJob = await JobService.enqueue('report.triage', { report_id: report.id }, { createdBy: req.user.id });
+    }
+    res.json({ ...(await ReportService.get(report.id)), triage_job_id: triageJob?.id || null });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Unmark duplicate error:', error);
+    res.status(500).json({ error: 'Failed to reopen report' });
+  }
+});
+
+// Ranked, explained matches against live reports and suspicious entities.
+// Embeds the report first if needed, so it honours ?async=true.
+app.get('/api/reports/:id/similar', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { limit, threshold } = req.query;
+    await runAITask(req, res, 'similarity.find', {
+      source_type: SIMILARITY_SOURCES.REPORT, source_id: req.params.id, limit, threshold
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Find similar reports error:', error);
+    res.status(500).json({ error: 'Failed to find similar cases' });
+  }
+});
+
+app.get('/api/reports/:id/analysis', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const report = await ReportService.getForActor(req.params.id, req.user);
+    const analysis = await TriageService.getAnalysis(report.id);
+
+    if (!analysis) {
+      return res.status(404).json({ error: 'Report has not been analysed' });
+    }
+
+    res.json(analysis);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Get report analysis error:', error);
+    res.status(500).json({ error: 'Failed to fetch report analysis' });
+  }
+});
+
+app.post('/api/reports/:id/analysis', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const report = await ReportService.getForActor(req.params.id, req.user);
+    const job = await JobService.enqueue('report.triage', { report_id: report.id }, { createdBy: req.user.id });
+    await AuditService.record(
+      AUDIT_ACTIONS.CASE_ANALYSIS_REQUESTED, { type: 'report', id: report.id, details: { job_id: job.id } }, req.user, req
+    );
+    res.status(202).location(`/api/jobs/${job.id}`).json({ job_id: job.id, status: job.status });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Report analysis error:', error);
+    res.status(500).json({ error: 'Report analysis failed' });
+  }
+});
+
+app.get('/api/reports/:id/messages', requireAuth, async (req, res) => {
+  try {
+    const report = await ReportService.getForActor(req.params.id, req.user);
+    const messages = await MessageService.list(report, req.user);
+    if (req.user.id !== report.user_id) {
+      await AuditService.record(AUDIT_ACTIONS.MESSAGES_VIEWED, { type: 'report', id: report.id }, req.user, req);
+    }
+    res.json(messages);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Get report messages error:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+app.post('/api/reports/:id/messages', requireAuth, loadReportForActor, upload.array('evidence'), async (req, res) => {
+  try {
+    const { report } = req;
+    const message = await MessageService.post(report, req.user, req.body, req.files, req);
+    await AuditService.record(
+      AUDIT_ACTIONS.CASE_MESSAGE_POSTED,
+      { type: 'report', id: report.id, details: { message_id: message.id, kind: message.kind, visibility: message.visibility } },
+      req.user, req
+    );
+    res.status(201).json(message);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      // Messages are validated before their files are attached
+      discardUploads(req.files);
+      return sendServiceError(res, error);
+    }
+    console.error('Post report message error:', error);
+    res.status(500).json({ error: 'Failed to post message' });
+  }
+});
+
+app.post('/api/reports/:id/messages/read', requireAuth, async (req, res) => {
+  try {
+    const report = await ReportService.getForActor(req.params.id, req.user);
+    const marked = await MessageService.markRead(report, req.user, req.body?.message_ids || null);
+    res.json({ marked });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Mark messages read error:', error);
+    res.status(500).json({ error: 'Failed to mark messages as read' });
+  }
+});
+
+app.get('/api/reports/:id/evidence', requireAuth, async (req, res) => {
+  try {
+    const report = await ReportService.getForActor(req.params.id, req.user);
+    const evidence = await EvidenceService.listForReport(report.id, req.user);
+    res.json(evidence);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Get report evidence error:', error);
+    res.status(500).json({ error: 'Failed to fetch evidence' });
+  }
+});
+
+app.get('/api/suspicious-entities/:id/evidence', requireAuth, async (req, res) => {
+  try {
+    const entity = await sql`SELECT user_id FROM suspicious_entities WHERE id = ${req.params.id}`;
+
+    if (entity.length === 0) {
+      return res.status(404).json({ error: 'Suspicious entity not found' });
+    }
+    if (req.user.role === ROLES.USER && entity[0].user_id !== req.user.id) {
+      return res.status(403).json({ error: 'You can only access your own submissions' });
+    }
+
+    const evidence = await EvidenceService.listForEntity(req.params.id);
+    res.json(evidence);
+  } catch (error) {
+    console.error('Get entity evidence error:', error);
+    res.status(500).json({ error: 'Failed to fetch evidence' });
+  }
+});
+
+app.get('/api/suspicious-entities/:id/similar', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { limit, threshold } = req.query;
+    await runAITask(req, res, 'similarity.find', {
+      source_type: SIMILARITY_SOURCES.SUSPICIOUS_ENTITY, source_id: req.params.id, limit, threshold
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Find similar entities error:', error);
+    res.status(500).json({ error: 'Failed to find similar cases' });
+  }
+});
+
+// Evidence routes (every view and download is written to the custody log)
+app.get('/api/evidence/:id', requireAuth, async (req, res) => {
+  try {
+    const evidence = await EvidenceService.view(req.params.id, req.user, req);
+    res.json(evidence);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Get evidence error:', error);
+    res.status(500).json({ error: 'Failed to fetch evidence' });
+  }
+});
+
+app.get('/api/evidence/:id/download', requireAuth, async (req, res) => {
+  try {
+    const evidence = await EvidenceService.download(req.params.id, req.user, req);
+    await AuditService.record(
+      AUDIT_ACTIONS.EVIDENCE_DOWNLOADED,
+      {
+        type: 'evidence',
+        id: evidence.id,
+        details: { report_id: evidence.report_id, suspicious_entity_id: evidence.suspicious_entity_id, sha256: evidence.sha256 }
+      },
+      req.user, req
+    );
+
+    res.set('X-Evidence-SHA256', evidence.sha256);
+    res.download(path.resolve(evidence.stored_path), evidence.original_name);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Download evidence error:', error);
+    res.status(500).json({ error: 'Failed to download evidence' });
+  }
+});
+
+app.get('/api/evidence/:id/custody', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const log = await EvidenceService.custodyLog(req.params.id);
+    res.json(log);
+  } catch (error) {
+    console.error('Get custody log error:', error);
+    res.status(500).json({ error: 'Failed to fetch custody log' });
+  }
+});
+
 // AI routes
+app.use('/api/ai', requireAuth);
+
 app.post('/api/ai/analyze-complaint', async (req, res) => {
   try {
-    const result = await AIService.analyzeComplaint(req.body);
-    res.json(result);
+    await runAITask(req, res, 'ai.analyze_complaint', req.body);
   } catch (error) {
     console.error('AI analysis error:', error);
     res.status(500).json({ error: 'AI analysis failed' });
   }
 });
 
+// With a report_id or suspicious_entity_id this matches that case against the
+// live database; otherwise it compares the bundled CSV datasets
 app.post('/api/ai/check-similarity-advanced', async (req, res) => {
   try {
-    const result = await AIService.checkDatabaseSimilarity(req.body);
-    res.json(result);
+    const { report_id, suspicious_entity_id, limit, threshold } = req.body;
+    if (report_id || suspicious_entity_id) {
+      if (req.user.role === ROLES.USER) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+      return await runAITask(req, res, 'similarity.find', {
+        source_type: report_id ? SIMILARITY_SOURCES.REPORT : SIMILARITY_SOURCES.SUSPICIOUS_ENTITY,
+        source_id: report_id || suspicious_entity_id,
+        limit,
+        threshold
+      });
+    }
+    await runAITask(req, res, 'ai.check_similarity', req.body);
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
     console.error('Similarity check error:', error);
     res.status(500).json({ error: 'Similarity check failed' });
   }
@@ -434,8 +1726,7 @@ app.post('/api/ai/check-similarity-advanced', async (req, res) => {
 app.post('/api/ai/chat-enhanced', async (req, res) => {
   try {
     const { query } = req.body;
-    const result = await AIService.getChatbotResponse(query);
-    res.json(result);
+    await runAITask(req, res, 'ai.chat', { query });
   } catch (error) {
     console.error('Chat error:', error);
     res.status(500).json({ error: 'Chat request failed' });
@@ -448,8 +1739,7 @@ app.post('/api/ai/analyze-audio', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'No audio file provided' });
     }
     
-    const result = await AIService.analyzeAudioFile({ audio_file_path: req.file.path });
-    res.json(result);
+    await runAITask(req, res, 'ai.analyze_audio', { audio_file_path: req.file.path });
   } catch (error) {
     console.error('Audio analysis error:', error);
     res.status(500).json({ error: 'Audio analysis failed' });
@@ -462,8 +1752,7 @@ app.post('/api/ai/analyze-video', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'No video file provided' });
     }
     
-    const result = await AIService.analyzeVideoFile({ video_file_path: req.file.path });
-    res.json(result);
+    await runAITask(req, res, 'ai.analyze_video', { video_file_path: req.file.path });
   } catch (error) {
     console.error('Video analysis error:', error);
     res.status(500).json({ error: 'Video analysis failed' });
@@ -476,8 +1765,7 @@ app.post('/api/ai/analyze-image', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'No image file provided' });
     }
     
-    const result = await AIService.analyzeImageFile({ image_file_path: req.file.path });
-    res.json(result);
+    await runAITask(req, res, 'ai.analyze_image', { image_file_path: req.file.path });
   } catch (error) {
     console.error('Image analysis error:', error);
     res.status(500).json({ error: 'Image analysis failed' });
@@ -490,8 +1778,7 @@ app.post('/api/ai/analyze-pdf', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'No PDF file provided' });
     }
     
-    const result = await AIService.analyzePdfFile({ pdf_file_path: req.file.path });
-    res.json(result);
+    await runAITask(req, res, 'ai.analyze_pdf', { pdf_file_path: req.file.path });
   } catch (error) {
     console.error('PDF analysis error:', error);
     res.status(500).json({ error: 'PDF analysis failed' });
@@ -505,11 +1792,10 @@ app.post('/api/ai/detect-call-scam', upload.single('file'), async (req, res) =>
     }
     
     const { language = 'en' } = req.body;
-    const result = await AIService.detectCallScam({
+    await runAITask(req, res, 'ai.detect_call_scam', {
       audio_file_path: req.file.path,
       language
     });
-    res.json(result);
   } catch (error) {
     console.error('Call scam detection error:', error);
     res.status(500).json({ error: 'Call scam detection failed' });
@@ -518,8 +1804,7 @@ app.post('/api/ai/detect-call-scam', upload.single('file'), async (req, res) =>
 
 app.post('/api/ai/complete-analysis', async (req, res) => {
   try {
-    const result = await AIService.completeAnalysis(req.body);
-    res.json(result);
+    await runAITask(req, res, 'ai.complete_analysis', req.body);
   } catch (error) {
     console.error('Complete analysis error:', error);
     res.status(500).json({ error: 'Complete analysis failed' });
@@ -528,41 +1813,57 @@ app.post('/api/ai/complete-analysis', async (req, res) => {
 
 app.post('/api/ai/contradiction', async (req, res) => {
   try {
-    const result = await AIService.findContradictions(req.body);
-    res.json(result);
+    await runAITask(req, res, 'ai.contradiction', req.body);
   } catch (error) {
     console.error('Contradiction analysis error:', error);
     res.status(500).json({ error: 'Contradiction analysis failed' });
   }
 });
 
+// Job routes
+app.get('/api/jobs/:id', requireAuth, async (req, res) => {
+  try {
+    const job = await JobService.get(req.params.id, req.user);
+    res.json(job);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Get job error:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
 // Officer routes
 app.post('/api/officer/login', async (req, res) => {
   try {
     const { user_id, password } = req.body;
 
+    if (!user_id || !password) {
+      return res.status(400).json({ error: 'User ID and password are required' });
+    }
+
     const user = await sql`
-      SELECT * FROM users WHERE id = ${user_id} AND role = 'OFFICER' AND is_verified = TRUE
+      SELECT u.* FROM users u JOIN officer_profiles p ON p.user_id = u.id
+      WHERE u.id = ${user_id} AND u.role = 'OFFICER' AND u.is_verified = TRUE AND u.is_active = TRUE
     `;
 
     if (user.length === 0) {
+      await AuditService.record(AUDIT_ACTIONS.LOGIN_FAILED, { type: 'user', id: user_id, details: { reason: 'unknown officer' } }, null, req);
       return res.status(401).json({ error: 'Invalid officer credentials' });
     }
 
     const isValidPassword = await bcrypt.compare(password, user[0].password_hash);
     if (!isValidPassword) {
+      await AuditService.record(AUDIT_ACTIONS.LOGIN_FAILED, { type: 'user', id: user_id, details: { reason: 'wrong password' } }, null, req);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { userId: user[0].id, role: user[0].role },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: '24h' }
-    );
+    const tokens = await SessionService.create(user[0], req);
 
     res.json({
       message: 'Officer login successful',
-      token,
+      ...tokens,
       user: {
         id: user[0].id,
         full_name: user[0].full_name,
@@ -576,102 +1877,496 @@ app.post('/api/officer/login', async (req, res) => {
   }
 });
 
-app.post('/api/data-request', async (req, res) => {
+app.post('/api/officer/activate', async (req, res) => {
   try {
-    const { request_type, target_entity, justification, urgency = 'medium' } = req.body;
-    
-    const requestId = uuidv4();
-    
-    await sql`
-      INSERT INTO data_requests (id, request_type, target_entity, justification, urgency)
-      VALUES (${requestId}, ${request_type}, ${target_entity}, ${justification}, ${urgency})
-    `;
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Invitation token and password are required' });
+    }
+
+    const officerId = await OfficerService.activate(token, password);
+
+    res.json({ message: 'Officer account activated successfully', user_id: officerId });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Officer activation error:', error);
+    res.status(500).json({ error: 'Officer activation failed' });
+  }
+});
+
+app.get('/api/officer/cases', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const cases = await CaseService.queue(req.user, req.query);
+    res.json(cases);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Get officer cases error:', error);
+    res.status(500).json({ error: 'Failed to fetch cases' });
+  }
+});
+
+// Caseload analytics, filtered by ?from=&to= (filing date) and ?district=.
+// District is taken from the report's own location rather than the assigned
+// officer's posting, so unassigned and reassigned cases stay where they happened.
+app.get('/api/officer/analytics', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const analytics = await DashboardService.getAnalytics({
+      from: req.query.from,
+      to: req.query.to,
+      district: req.query.district
+    });
+    res.json(analytics);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Get analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
+});
+
+app.post('/api/officer/users/:userID/aadhaar/reveal', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const aadhaarNumber = await AadhaarService.reveal(req.params.userID, req.user, req.body.reason, req);
+    res.json({ user_id: req.params.userID, aadhaar_number: aadhaarNumber });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Aadhaar reveal error:', error);
+    res.status(500).json({ error: 'Failed to reveal Aadhaar number' });
+  }
+});
+
+app.post('/api/data-request', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const request = await DataRequestService.create(req.body, req.user);
+    await AuditService.record(
+      AUDIT_ACTIONS.DATA_REQUEST_CREATED,
+      { type: 'data_request', id: request.id, details: { report_id: request.report_id, request_type: request.request_type } },
+      req.user, req
+    );
 
     res.status(201).json({
       message: 'Data request created successfully',
-      request_id: requestId
+      request_id: request.id,
+      request
     });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
     console.error('Data request error:', error);
     res.status(500).json({ error: 'Failed to create data request' });
   }
 });
 
-app.get('/api/data-requests', async (req, res) => {
+app.get('/api/data-requests', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
   try {
-    const requests = await sql`
-      SELECT * FROM data_requests ORDER BY created_at DESC
-    `;
+    const requests = await DataRequestService.list(req.user, req.query);
     res.json(requests);
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
     console.error('Get data requests error:', error);
     res.status(500).json({ error: 'Failed to fetch data requests' });
   }
 });
 
+app.get('/api/data-requests/:id', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const request = await DataRequestService.get(req.params.id, req.user);
+    res.json(request);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Get data request error:', error);
+    res.status(500).json({ error: 'Failed to fetch data request' });
+  }
+});
+
+app.post('/api/data-requests/:id/approve', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const request = await DataRequestService.approve(req.params.id, req.body?.remarks, req.user);
+    await AuditService.record(
+      AUDIT_ACTIONS.DATA_REQUEST_APPROVED, { type: 'data_request', id: request.id, details: { remarks: req.body?.remarks } }, req.user, req
+    );
+    res.json(request);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Approve data request error:', error);
+    res.status(500).json({ error: 'Failed to approve data request' });
+  }
+});
+
+app.post('/api/data-requests/:id/reject', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const request = await DataRequestService.reject(req.params.id, req.body?.remarks, req.user);
+    await AuditService.record(
+      AUDIT_ACTIONS.DATA_REQUEST_REJECTED, { type: 'data_request', id: request.id, details: { remarks: req.body?.remarks } }, req.user, req
+    );
+    res.json(request);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Reject data request error:', error);
+    res.status(500).json({ error: 'Failed to reject data request' });
+  }
+});
+
+app.post('/api/data-requests/:id/notices', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const notice = await LegalNoticeService.issue(req.params.id, req.body, req.user);
+    await AuditService.record(
+      AUDIT_ACTIONS.NOTICE_ISSUED,
+      { type: 'legal_notice', id: notice.id, details: { notice_number: notice.notice_number, request_id: notice.request_id } },
+      req.user, req
+    );
+    res.status(201).json(notice);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Issue legal notice error:', error);
+    res.status(500).json({ error: 'Failed to issue legal notice' });
+  }
+});
+
+app.get('/api/data-requests/:id/notices', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const notices = await LegalNoticeService.list(req.params.id, req.user);
+    res.json(notices);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Get legal notices error:', error);
+    res.status(500).json({ error: 'Failed to fetch legal notices' });
+  }
+});
+
+app.get('/api/legal-notices/:id/pdf', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const notice = await LegalNoticeService.download(req.params.id, req.user);
+    await AuditService.record(
+      AUDIT_ACTIONS.NOTICE_DOWNLOADED, { type: 'legal_notice', id: notice.id, details: { notice_number: notice.notice_number } }, req.user, req
+    );
+
+    res.set('X-Notice-SHA256', notice.sha256);
+    res.download(path.resolve(notice.stored_path), `${notice.notice_number.replace(/\//g, '-')}.pdf`);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Download legal notice error:', error);
+    res.status(500).json({ error: 'Failed to download legal notice' });
+  }
+});
+
+app.post('/api/legal-notices/:id/dispatch', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const notice = await LegalNoticeService.dispatch(req.params.id, req.body, req.user);
+    await AuditService.record(
+      AUDIT_ACTIONS.NOTICE_DISPATCHED, { type: 'legal_notice', id: notice.id, details: { method: notice.dispatch_method } }, req.user, req
+    );
+    res.json(notice);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Dispatch legal notice error:', error);
+    res.status(500).json({ error: 'Failed to record dispatch' });
+  }
+});
+
+app.post('/api/legal-notices/:id/response', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), upload.array('evidence'), async (req, res) => {
+  try {
+    const notice = await LegalNoticeService.recordResponse(req.params.id, req.body, req.files, req.user, req);
+    await AuditService.record(
+      AUDIT_ACTIONS.NOTICE_RESPONSE_RECORDED,
+      { type: 'legal_notice', id: notice.id, details: { evidence_ids: notice.evidence.map((item) => item.id) } },
+      req.user, req
+    );
+    res.json(notice);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      // Responses are validated before their files are attached
+      discardUploads(req.files);
+      return sendServiceError(res, error);
+    }
+    console.error('Record legal notice response error:', error);
+    res.status(500).json({ error: 'Failed to record response' });
+  }
+});
+
 // Meta routes
 app.get('/api/meta/complaint-categories', (req, res) => {
-  res.json([
-    {
-      id: 'financial',
-      name: 'Financial Fraud',
-      subcategories: [
-        { id: 'upi_fraud', name: 'UPI Fraud' },
-        { id: 'credit_card', name: 'Credit Card Fraud' },
-        { id: 'investment_scam', name: 'Investment Scam' },
-      ],
-    },
-    {
-      id: 'identity',
-      name: 'Identity Theft',
-      subcategories: [
-        { id: 'aadhaar_misuse', name: 'Aadhaar Misuse' },
-        { id: 'social_media', name: 'Social Media Impersonation' },
-      ],
-    },
-    {
-      id: 'cyber_bullying',
-      name: 'Cyber Bullying',
-      subcategories: [
-        { id: 'harassment', name: 'Online Harassment' },
-        { id: 'stalking', name: 'Cyber Stalking' },
-      ],
-    },
-  ]);
+  res.json(COMPLAINT_CATEGORIES);
 });
 
 app.get('/api/meta/suspicious-entity-types', (req, res) => {
-  res.json([
-    { id: 'phone', name: 'Phone Number', placeholder: 'e.g., +91 9876543210' },
-    { id: 'email', name: 'Email Address', placeholder: 'e.g., scammer@example.com' },
-    { id: 'website', name: 'Website/URL', placeholder: 'e.g., https://suspicious-site.com' },
-    { id: 'upi', name: 'UPI ID', placeholder: 'e.g., scammer@paytm' },
-    { id: 'bank_account', name: 'Bank Account', placeholder: 'e.g., 1234567890' },
-    { id: 'social_media', name: 'Social Media Profile', placeholder: 'e.g., @suspicious_user' },
-    { id: 'crypto_wallet', name: 'Crypto Wallet', placeholder: 'e.g., 1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa' },
-  ]);
+  res.json(SUSPICIOUS_ENTITY_TYPES);
+});
+
+// Intel routes (scam networks built from identifiers shared across reports)
+app.get('/api/intel/clusters', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const format = IntelService.parseFormat(req.query.format);
+    const result = await IntelService.clusters(req.query);
+    if (format === 'graphml') {
+      res.type('application/graphml+xml').attachment('scam-clusters.graphml');
+      return res.send(IntelService.toGraphML(result.graph, 'scam-clusters'));
+    }
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Get scam clusters error:', error);
+    res.status(500).json({ error: 'Failed to build scam clusters' });
+  }
+});
+
+app.get('/api/intel/graph/:entity', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const format = IntelService.parseFormat(req.query.format);
+    const graph = await IntelService.graph(req.params.entity);
+    if (format === 'graphml') {
+      res.type('application/graphml+xml').attachment(`scam-network-${graph.entity.id}.graphml`);
+      return res.send(IntelService.toGraphML(graph, `scam-network-${graph.entity.id}`));
+    }
+    res.json(graph);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Get scam network error:', error);
+    res.status(500).json({ error: 'Failed to build scam network' });
+  }
+});
+
+// Lookup route (public, so citizens can check a caller or UPI ID before paying)
+app.get('/api/lookup', async (req, res) => {
+  try {
+    const result = await EntityService.lookup(req.query.type, req.query.value);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Entity lookup error:', error);
+    res.status(500).json({ error: 'Failed to look up identifier' });
+  }
 });
 
 // Admin routes
-app.get('/api/admin/dashboard', async (req, res) => {
+app.get('/api/admin/dashboard', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
   try {
-    const totalReports = await sql`SELECT COUNT(*) as count FROM reports`;
-    const pendingReports = await sql`SELECT COUNT(*) as count FROM reports WHERE status = 'pending'`;
-    const resolvedReports = await sql`SELECT COUNT(*) as count FROM reports WHERE status = 'resolved'`;
-    
+    const analytics = await DashboardService.getAnalytics({ from: req.query.from, to: req.query.to });
+
     res.json({
-      total_reports: totalReports[0].count,
-      pending_reports: pendingReports[0].count,
-      resolved_reports: resolvedReports[0].count,
-      active_investigations: pendingReports[0].count,
-      threats_neutralized: resolvedReports[0].count
+      total_reports: analytics.totalReports,
+      pending_reports: analytics.pendingReports,
+      resolved_reports: analytics.resolvedCases,
+      active_investigations: analytics.activeInvestigations,
+      threats_neutralized: analytics.threatsNeutralized,
+      from: analytics.filters.from,
+      to: analytics.filters.to
     });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
     console.error('Dashboard error:', error);
     res.status(500).json({ error: 'Failed to fetch dashboard data' });
   }
 });
 
+// Export routes. Exports stream, so a failure after the first byte can only
+// abort the download.
+app.get('/api/exports/:dataset', requireAuth, requireRole(ROLES.OFFICER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const exportFile = await ExportService.prepare(req.params.dataset, req.query, req.user, req);
+    res.type(exportFile.contentType).attachment(exportFile.filename);
+    res.set('X-Export-Id', exportFile.id);
+    res.set('X-Export-Redacted', String(exportFile.redacted));
+    await exportFile.write(res);
+    res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Export stream error:', error);
+      return res.destroy();
+    }
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Export error:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+app.get('/api/admin/exports', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const exports = await ExportService.list(req.query);
+    res.json(exports);
+  } catch (error) {
+    console.error('Get exports error:', error);
+    res.status(500).json({ error: 'Failed to fetch exports' });
+  }
+});
+
+// Audit log (admin only)
+app.get('/api/admin/audit', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const log = await AuditService.query(req.query);
+    res.json(log);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+app.get('/api/admin/audit/verify', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const result = await AuditService.verify();
+    res.json(result);
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({ error: 'Failed to verify audit log' });
+  }
+});
+
+// Officer provisioning (admin only)
+app.get('/api/admin/officers', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const officers = await OfficerService.list();
+    res.json(officers);
+  } catch (error) {
+    console.error('Get officers error:', error);
+    res.status(500).json({ error: 'Failed to fetch officers' });
+  }
+});
+
+app.get('/api/admin/officers/:officerId', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const officer = await OfficerService.get(req.params.officerId);
+
+    if (!officer) {
+      return res.status(404).json({ error: 'Officer not found' });
+    }
+
+    const supervisors = await OfficerService.getSupervisorChain(req.params.officerId);
+    res.json({ ...officer, supervisors });
+  } catch (error) {
+    console.error('Get officer error:', error);
+    res.status(500).json({ error: 'Failed to fetch officer' });
+  }
+});
+
+app.post('/api/admin/officers', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const officerId = await OfficerService.invite(req.body, req.user.id);
+    await AuditService.record(
+      AUDIT_ACTIONS.OFFICER_INVITED, { type: 'user', id: officerId, details: { fields: Object.keys(req.body) } }, req.user, req
+    );
+
+    res.status(201).json({
+      message: 'Officer invited successfully',
+      user_id: officerId
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Invite officer error:', error);
+    res.status(500).json({ error: 'Failed to invite officer' });
+  }
+});
+
+app.patch('/api/admin/officers/:officerId', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const officer = await OfficerService.update(req.params.officerId, req.body);
+    await AuditService.record(
+      AUDIT_ACTIONS.OFFICER_UPDATED,
+      { type: 'user', id: req.params.officerId, details: { fields: Object.keys(req.body) } },
+      req.user, req
+    );
+    res.json(officer);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Update officer error:', error);
+    res.status(500).json({ error: 'Failed to update officer' });
+  }
+});
+
+app.post('/api/admin/officers/:officerId/deactivate', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    await OfficerService.deactivate(req.params.officerId);
+    const reassigned = await CaseService.reassignOpenCases(req.params.officerId, 'Officer deactivated', req.user);
+    await AuditService.record(
+      AUDIT_ACTIONS.OFFICER_DEACTIVATED,
+      { type: 'user', id: req.params.officerId, details: { reassigned_cases: reassigned } },
+      req.user, req
+    );
+    res.json({ message: 'Officer deactivated successfully', reassigned_cases: reassigned });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Deactivate officer error:', error);
+    res.status(500).json({ error: 'Failed to deactivate officer' });
+  }
+});
+
+app.get('/api/admin/notifications', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const notifications = await NotificationService.list(req.query);
+    res.json(notifications);
+  } catch (error) {
+    console.error('List notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+app.post('/api/admin/notifications/:id/retry', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const notification = await NotificationService.retry(req.params.id);
+    res.json(notification);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Retry notification error:', error);
+    res.status(500).json({ error: 'Failed to retry notification' });
+  }
+});
+
+// Embeds every report and suspicious entity that has no stored embedding yet
+app.post('/api/admin/similarity/reindex', requireAuth, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const job = await JobService.enqueue('similarity.index_missing', {}, { createdBy: req.user.id });
+    res.status(202).location(`/api/jobs/${job.id}`).json({ job_id: job.id, status: job.status });
+  } catch (error) {
+    console.error('Similarity reindex error:', error);
+    res.status(500).json({ error: 'Failed to start reindexing' });
+  }
+});
+
 // Analytics route
 app.get('/api/collect', (req, res) => {
   // Mock analytics collection
@@ -692,7 +2387,14 @@ app.use((req, res) => {
 // Start server
 const startServer = async () => {
   try {
+    assertJwtSecret();
+    assertAadhaarKeys();
+    assertOtpProvider();
     await initializeDatabase();
+    JobService.start();
+    CaseService.startSlaMonitor();
+    DataRequestService.startExpiryMonitor();
+    NotificationService.start();
     
     app.listen(PORT, () => {
       console.log(`🚀 Server running on http://localhost:${PORT}`);
@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import requestIp from 'request-ip';
+import { v4 as uuidv4 } from 'uuid';
+import { sql } from '../config/db.js';
+import { AADHAAR_ENCRYPTION_KEY, AADHAAR_HASH_KEY } from '../config/crypto.js';
+import { AUDIT_ACTIONS, AuditService } from './AuditService.js';
+import { ServiceError } from './errors.js';
+
+const CIPHER = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+
+export class AadhaarError extends ServiceError {}
+
+export class AadhaarService {
+  // Strips the spaces and hyphens people type between digit groups
+  static normalize(aadhaarNumber) {
+    return String(aadhaarNumber || '').replace(/[\s-]/g, '');
+  }
+
+  static isValid(aadhaarNumber) {
+    return /^\d{12}$/.test(AadhaarService.normalize(aadhaarNumber));
+  }
+
+  // Returns "v1:<iv>:<auth tag>:<ciphertext>", all base64
+  static encrypt(aadhaarNumber) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, Buffer.from(AADHAAR_ENCRYPTION_KEY, 'hex'), iv);
+    const ciphertext = Buffer.concat([cipher.update(AadhaarService.normalize(aadhaarNumber), 'utf8'), cipher.final()]);
+    return [FORMAT_VERSION, iv, cipher.getAuthTag(), ciphertext].map((part) =>
+      Buffer.isBuffer(part) ? part.toString('base64') : part
+    ).join(':');
+  }
+
+  static decrypt(payload) {
+    const [version, iv, tag, ciphertext] = String(payload).split(':');
+    if (version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported Aadhaar ciphertext version: ${version}`);
+    }
+    const decipher = crypto.createDecipheriv(CIPHER, Buffer.from(AADHAAR_ENCRYPTION_KEY, 'hex'), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  // Keyed hash so equal numbers can be matched without storing them
+  static hash(aadhaarNumber) {
+    return crypto.createHmac('sha256', Buffer.from(AADHAAR_HASH_KEY, 'hex'))
+      .update(AadhaarService.normalize(aadhaarNumber))
+      .digest('hex');
+  }
+
+  static mask(last4) {
+    return last4 ? `XXXX-XXXX-${last4}` : null;
+  }
+
+  // Column values to store for a newly supplied Aadhaar number
+  static toColumns(aadhaarNumber) {
+    const normalized = AadhaarService.normalize(aadhaarNumber);
+    return {
+      aadhaar_encrypted: AadhaarService.encrypt(normalized),
+      aadhaar_hash: AadhaarService.hash(normalized),
+      aadhaar_last4: normalized.slice(-4)
+    };
+  }
+
+  // Encrypts any rows still holding a plaintext aadhaar_number and clears it
+  static async migratePlaintext() {
+    const rows = await sql`
+      SELECT id, aadhaar_number FROM users
+      WHERE aadhaar_number IS NOT NULL AND aadhaar_encrypted IS NULL
+    `;
+    for (const row of rows) {
+      const columns = AadhaarService.toColumns(row.aadhaar_number);
+      await sql`
+        UPDATE users
+        SET aadhaar_encrypted = ${columns.aadhaar_encrypted}, aadhaar_hash = ${columns.aadhaar_hash},
+            aadhaar_last4 = ${columns.aadhaar_last4}, aadhaar_number = NULL
+        WHERE id = ${row.id}
+      `;
+    }
+    return rows.length;
+  }
+
+  // Returns the full number to an officer and records who asked and why
+  static async reveal(userId, actor, reason, req) {
+    if (!reason || !String(reason).trim()) {
+      throw new AadhaarError('A reason is required to reveal an Aadhaar number');
+    }
+
+    const user = await sql`SELECT aadhaar_encrypted FROM users WHERE id = ${userId}`;
+    if (user.length === 0 || !user[0].aadhaar_encrypted) {
+      throw new AadhaarError('No Aadhaar number on file for this user', 404);
+    }
+
+    await sql`
+      INSERT INTO aadhaar_access_log (id, user_id, actor_id, actor_role, reason, ip_address)
+      VALUES (${uuidv4()}, ${userId}, ${actor.id}, ${actor.role}, ${String(reason).trim()}, ${requestIp.getClientIp(req)})
+    `;
+    await AuditService.record(
+      AUDIT_ACTIONS.AADHAAR_REVEALED, { type: 'user', id: userId, details: { reason: String(reason).trim() } }, actor, req
+    );
+
+    return AadhaarService.decrypt(user[0].aadhaar_encrypted);
+  }
+
+  static async accessLog(userId) {
+    return sql`
+      SELECT l.id, l.actor_id, u.full_name AS actor_name, l.actor_role, l.reason, l.ip_address, l.created_at
+      FROM aadhaar_access_log l LEFT JOIN users u ON u.id = l.actor_id
+      WHERE l.user_id = ${userId}
+      ORDER BY l.created_at DESC
+    `;
+  }
+}
@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import requestIp from 'request-ip';
+import { v4 as uuidv4 } from 'uuid';
+import { sql } from '../config/db.js';
+import { ServiceError } from './errors.js';
+
+export const AUDIT_ACTIONS = Object.freeze({
+  LOGIN: 'auth.login',
+  LOGIN_FAILED: 'auth.login_failed',
+  LOGOUT: 'auth.logout',
+  PROFILE_VIEWED: 'pii.profile_viewed',
+  PROFILE_UPDATED: 'pii.profile_updated',
+  CASES_VIEWED: 'pii.cases_viewed',
+  REPORTS_LISTED: 'pii.reports_listed',
+  MESSAGES_VIEWED: 'pii.messages_viewed',
+  EVIDENCE_DOWNLOADED: 'pii.evidence_downloaded',
+  AADHAAR_REVEALED: 'pii.aadhaar_revealed',
+  DATA_EXPORTED: 'pii.exported',
+  OFFICER_INVITED: 'officer.invited',
+  OFFICER_UPDATED: 'officer.updated',
+  OFFICER_DEACTIVATED: 'officer.deactivated',
+  CASE_UPDATED: 'case.updated',
+  CASE_DELETED: 'case.deleted',
+  CASE_ASSIGNED: 'case.assigned',
+  CASE_MARKED_DUPLICATE: 'case.marked_duplicate',
+  CASE_UNMARKED_DUPLICATE: 'case.unmarked_duplicate',
+  CASE_ANALYSIS_REQUESTED: 'case.analysis_requested',
+  CASE_MESSAGE_POSTED: 'case.message_posted',
+  DATA_REQUEST_CREATED: 'data_request.created',
+  DATA_REQUEST_APPROVED: 'data_request.approved',
+  DATA_REQUEST_REJECTED: 'data_request.rejected',
+  DATA_REQUEST_EXPIRED: 'data_request.expired',
+  NOTICE_ISSUED: 'legal_notice.issued',
+  NOTICE_DOWNLOADED: 'legal_notice.downloaded',
+  NOTICE_DISPATCHED: 'legal_notice.dispatched',
+  NOTICE_RESPONSE_RECORDED: 'legal_notice.response_recorded',
+});
+
+const COLUMNS = sql`
+  a.seq::text AS seq, a.id, a.actor_id, a.actor_role, a.action, a.target_type, a.target_id, a.ip_address,
+  a.user_agent, a.details, a.created_at, a.prev_hash, a.hash
+`;
+
+// Serializes appends so each entry chains onto the one before it
+const CHAIN_LOCK = 0x617564;
+const VERIFY_BATCH_SIZE = 1000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// JSON with object keys sorted, so JSONB's reordering doesn't change the hash
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// What each entry's hash covers, besides the previous entry's hash
+const entryPayload = (entry) => canonicalJson([
+  entry.id,
+  entry.actor_id,
+  entry.actor_role,
+  entry.action,
+  entry.target_type,
+  entry.target_id,
+  entry.ip_address,
+  entry.user_agent,
+  entry.details,
+  new Date(entry.created_at).toISOString(),
+]);
+
+const entryHash = (previousHash, entry) => crypto.createHash('sha256')
+  .update(`${previousHash || ''}${entryPayload(entry)}`, 'utf8')
+  .digest('hex');
+
+export class AuditError extends ServiceError {}
+
+export class AuditService {
+  // Appends an entry. `target` is { type, id, details }; `actor` is the
+  // signed-in user, or null for the system and for failed logins. The hash
+  // is computed in the database, after the chain lock, so concurrent appends
+  // from several servers still form a single chain.
+  static async record(action, target, actor, req = null) {
+    const entry = {
+      id: uuidv4(),
+      actor_id: actor?.id ?? null,
+      actor_role: actor?.role ?? 'SYSTEM',
+      action,
+      target_type: target.type ?? null,
+      target_id: target.id === undefined || target.id === null ? null : String(target.id),
+      ip_address: req ? requestIp.getClientIp(req) : null,
+      user_agent: req?.get('user-agent') || null,
+      details: target.details ?? {},
+      created_at: new Date()
+    };
+    const payload = entryPayload(entry);
+
+    const [, inserted] = await sql.transaction([
+      sql`SELECT pg_advisory_xact_lock(${CHAIN_LOCK})`,
+      sql`
+        INSERT INTO audit_log (id, actor_id, actor_role, action, target_type, target_id, ip_address, user_agent,
+                               details, created_at, prev_hash, hash)
+        SELECT ${entry.id}, ${entry.actor_id}, ${entry.actor_role}, ${entry.action}, ${entry.target_type},
+               ${entry.target_id}, ${entry.ip_address}, ${entry.user_agent}, ${JSON.stringify(entry.details)},
+               ${entry.created_at}, head.hash,
+               encode(sha256(convert_to(COALESCE(head.hash, '') || ${payload}, 'UTF8')), 'hex')
+        FROM (SELECT (SELECT hash FROM audit_log ORDER BY seq DESC LIMIT 1) AS hash) head
+        RETURNING seq, hash
+      `,
+    ]);
+    return inserted[0];
+  }
+
+  // Filtered log for admins, newest first. `cursor` is the last `seq` seen.
+  static async query(filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const conditions = [sql`TRUE`];
+    if (filters.actor_id) conditions.push(sql`a.actor_id = ${filters.actor_id}`);
+    if (filters.action) {
+      // 'case' matches every case.* action
+      conditions.push(String(filters.action).includes('.')
+        ? sql`a.action = ${filters.action}`
+        : sql`a.action LIKE ${`${filters.action}.%`}`);
+    }
+    if (filters.target_type) conditions.push(sql`a.target_type = ${filters.target_type}`);
+    if (filters.target_id) conditions.push(sql`a.target_id = ${filters.target_id}`);
+    if (filters.ip_address) conditions.push(sql`a.ip_address = ${filters.ip_address}`);
+    for (const [name, operator] of [['from', '>='], ['to', '<=']]) {
+      if (!filters[name]) continue;
+      const date = new Date(filters[name]);
+      if (Number.isNaN(date.getTime())) {
+        throw new AuditError(`'${name}' must be a valid date`);
+      }
+      conditions.push(sql`a.created_at ${sql.unsafe(operator)} ${date}`);
+    }
+    if (filters.cursor) {
+      if (!/^\d+$/.test(String(filters.cursor))) {
+        throw new AuditError('Invalid cursor');
+      }
+      conditions.push(sql`a.seq < ${filters.cursor}`);
+    }
+    const where = conditions.reduce((clause, condition) => sql`${clause} AND ${condition}`);
+
+    const rows = await sql`
+      SELECT ${COLUMNS}, u.full_name AS actor_name
+      FROM audit_log a LEFT JOIN users u ON u.id = a.actor_id
+      WHERE ${where}
+      ORDER BY a.seq DESC
+      LIMIT ${limit + 1}
+    `;
+    const page = rows.slice(0, limit);
+    return {
+      entries: page,
+      limit,
+      next_cursor: rows.length > limit ? page[page.length - 1].seq : null
+    };
+  }
+
+  // Walks the chain from the start, recomputing every hash. An edited entry
+  // fails its own hash; a deleted or reordered one breaks the link to the
+  // next. Keep the returned head hash somewhere else to detect the newest
+  // entries being removed.
+  static async verify() {
+    let previous = null;
+    let checked = 0;
+    for (;;) {
+      const rows = await sql`
+        SELECT ${COLUMNS} FROM audit_log a
+        WHERE a.seq > ${previous ? previous.seq : 0}
+        ORDER BY a.seq
+        LIMIT ${VERIFY_BATCH_SIZE}
+      `;
+      for (const entry of rows) {
+        const expectedPrevious = previous ? previous.hash : null;
+        if (entry.prev_hash !== expectedPrevious) {
+          return { valid: false, checked, broken_at: entry.seq, reason: 'Previous hash does not match the preceding entry' };
+        }
+        if (entry.hash !== entryHash(entry.prev_hash, entry)) {
+          return { valid: false, checked, broken_at: entry.seq, reason: 'Entry does not match its hash' };
+        }
+        previous = entry;
+        checked += 1;
+      }
+      if (rows.length < VERIFY_BATCH_SIZE) break;
+    }
+    return { valid: true, checked, head_seq: previous?.seq ?? null, head_hash: previous?.hash ?? null };
+  }
+}
@@ -0,0 +1,270 @@
+import { v4 as uuidv4 } from 'uuid';
+import { sql } from '../config/db.js';
+import { NotificationService } from './NotificationService.js';
+import { OfficerService } from './OfficerService.js';
+import { OPEN_STATUSES, REPORT_STATUSES, ReportService } from './ReportService.js';
+import { ServiceError } from './errors.js';
+
+export const ASSIGNMENT_ACTIONS = Object.freeze({
+  ASSIGNED: 'assigned',
+  AUTO_ASSIGNED: 'auto_assigned',
+  REASSIGNED: 'reassigned',
+  UNASSIGNED: 'unassigned',
+  ESCALATED: 'escalated',
+});
+
+// Actor recorded for automatic assignment and SLA escalation
+export const SYSTEM_ACTOR = Object.freeze({ id: null, role: 'SYSTEM' });
+
+// Hours an assigned case may stay untouched (still pending) before it is
+// escalated to the assignee's supervisor. Lower priorities have no SLA.
+const SLA_HOURS = {
+  critical: parseFloat(process.env.SLA_CRITICAL_HOURS || '4'),
+  high: parseFloat(process.env.SLA_HIGH_HOURS || '24'),
+};
+const SLA_CHECK_INTERVAL_MS = parseInt(process.env.SLA_CHECK_INTERVAL_MS || String(5 * 60 * 1000), 10);
+
+const QUEUE_SCOPES = ['mine', 'team', 'escalated'];
+
+const slaInterval = (priority) => (SLA_HOURS[priority] ? `${SLA_HOURS[priority]} hours` : null);
+
+let slaTimer = null;
+
+export class CaseError extends ServiceError {}
+
+export class CaseService {
+  static async #recordAssignment(reportId, action, officerId, previousOfficerId, reason, actor) {
+    await sql`
+      INSERT INTO case_assignments (id, report_id, action, officer_id, previous_officer_id, reason, actor_id, actor_role)
+      VALUES (${uuidv4()}, ${reportId}, ${action}, ${officerId}, ${previousOfficerId}, ${reason || null},
+              ${actor.id}, ${actor.role})
+    `;
+  }
+
+  // Points the report at a new assignee and restarts its SLA clock. The
+  // update is conditional on the assignee read so concurrent reassignments
+  // can't both succeed.
+  static async #setAssignee(report, officerId, action, reason, actor) {
+    const updated = await sql`
+      UPDATE reports
+      SET assigned_officer_id = ${officerId},
+          assigned_at = ${officerId ? sql`CURRENT_TIMESTAMP` : null},
+          sla_due_at = ${officerId ? sql`CURRENT_TIMESTAMP + ${slaInterval(report.priority)}::interval` : null},
+          escalated_at = NULL, escalated_to = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${report.id} AND deleted_at IS NULL
+        AND assigned_officer_id IS NOT DISTINCT FROM ${report.assigned_officer_id}
+      RETURNING *
+    `;
+    if (updated.length === 0) {
+      throw new CaseError('Case was reassigned concurrently; please retry', 409);
+    }
+
+    await CaseService.#recordAssignment(report.id, action, officerId, report.assigned_officer_id, reason, actor);
+    return updated[0];
+  }
+
+  // Picks the officer for a report: jurisdiction first (police station, then
+  // district named in the report's location), then category specialisation,
+  // then the lightest open caseload
+  static async findBestOfficer(report, excludeOfficerId = null) {
+    const officer = await sql`
+      SELECT u.id,
+             COALESCE(${report.location} ILIKE '%' || p.police_station || '%', FALSE) AS station_match,
+             COALESCE(${report.location} ILIKE '%' || p.district || '%', FALSE) AS district_match,
+             ${report.category} = ANY(p.specializations) AS specialist,
+             (SELECT COUNT(*) FROM reports r
+              WHERE r.assigned_officer_id = u.id AND r.status = ANY(${OPEN_STATUSES}) AND r.deleted_at IS NULL
+             )::integer AS open_cases
+      FROM users u JOIN officer_profiles p ON p.user_id = u.id
+      WHERE u.role = 'OFFICER' AND u.is_active = TRUE AND u.is_verified = TRUE
+        AND u.id IS DISTINCT FROM ${excludeOfficerId}
+      ORDER BY station_match DESC, district_match DESC, specialist DESC, open_cases, p.activated_at
+      LIMIT 1
+    `;
+    return officer[0] || null;
+  }
+
+  static async autoAssign(reportId, actor = SYSTEM_ACTOR, reason = null) {
+    const report = await ReportService.get(reportId);
+    if (!report) {
+      throw new CaseError('Report not found', 404);
+    }
+
+    const officer = await CaseService.findBestOfficer(report, report.assigned_officer_id);
+    if (!officer) return null;
+
+    const action = report.assigned_officer_id ? ASSIGNMENT_ACTIONS.REASSIGNED : ASSIGNMENT_ACTIONS.AUTO_ASSIGNED;
+    return CaseService.#setAssignee(report, officer.id, action, reason, actor);
+  }
+
+  // Admins may assign any case. Officers may pick up unassigned cases and
+  // reassign cases escalated to them or held by officers they supervise.
+  static async #assertCanAssign(report, actor) {
+    if (actor.role === 'ADMIN' || !report.assigned_officer_id) return;
+    if (report.escalated_to === actor.id) return;
+
+    const chain = await OfficerService.getSupervisorChain(report.assigned_officer_id);
+    if (!chain.some((supervisor) => supervisor.user_id === actor.id)) {
+      throw new CaseError("Only a supervisor of the assigned officer can reassign this case", 403);
+    }
+  }
+
+  // Manual (re)assignment; without an officer id the case is auto-assigned
+  // to the best officer other than the current assignee
+  static async assign(reportId, officerId, reason, actor) {
+    const report = await ReportService.get(reportId);
+    if (!report) {
+      throw new CaseError('Report not found', 404);
+    }
+    if (report.assigned_officer_id && (!reason || !String(reason).trim())) {
+      throw new CaseError('A reason is required to reassign a case');
+    }
+    await CaseService.#assertCanAssign(report, actor);
+
+    const trimmedReason = reason ? String(reason).trim() : null;
+    if (!officerId) {
+      const assigned = await CaseService.autoAssign(reportId, actor, trimmedReason);
+      if (!assigned) {
+        throw new CaseError('No other active officer is available for this case', 409);
+      }
+      return assigned;
+    }
+
+    if (officerId === report.assigned_officer_id) {
+      throw new CaseError('The case is already assigned to this officer', 409);
+    }
+    const officer = await sql`
+      SELECT u.id FROM users u JOIN officer_profiles p ON p.user_id = u.id
+      WHERE u.id = ${officerId} AND u.is_active = TRUE AND u.is_verified = TRUE
+    `;
+    if (officer.length === 0) {
+      throw new CaseError('Cases can only be assigned to active officers');
+    }
+
+    const action = report.assigned_officer_id ? ASSIGNMENT_ACTIONS.REASSIGNED : ASSIGNMENT_ACTIONS.ASSIGNED;
+    return CaseService.#setAssignee(report, officerId, action, trimmedReason, actor);
+  }
+
+  // Moves every open case off an officer, e.g. when they are deactivated.
+  // Cases nobody else can take are left unassigned.
+  static async reassignOpenCases(officerId, reason, actor) {
+    const reports = await sql`
+      SELECT id FROM reports
+      WHERE assigned_officer_id = ${officerId} AND status = ANY(${OPEN_STATUSES}) AND deleted_at IS NULL
+    `;
+    for (const { id } of reports) {
+      const assigned = await CaseService.autoAssign(id, actor, reason);
+      if (!assigned) {
+        const report = await ReportService.get(id);
+        await CaseService.#setAssignee(report, null, ASSIGNMENT_ACTIONS.UNASSIGNED, reason, actor);
+      }
+    }
+    return reports.length;
+  }
+
+  // Recomputes the SLA deadline after a priority change, as long as the case
+  // is still untouched and hasn't been escalated yet
+  static async refreshSla(reportId) {
+    await sql`
+      UPDATE reports
+      SET sla_due_at = assigned_at + CASE priority
+            WHEN 'critical' THEN ${slaInterval('critical')}::interval
+            WHEN 'high' THEN ${slaInterval('high')}::interval
+          END
+      WHERE id = ${reportId} AND status = ${REPORT_STATUSES.PENDING}
+        AND assigned_officer_id IS NOT NULL AND escalated_at IS NULL
+    `;
+  }
+
+  // Escalates assigned cases still pending past their SLA deadline to the
+  // assignee's supervisor, who is notified; the admins are notified instead
+  // when there is no supervisor (escalated_to stays NULL)
+  static async escalateOverdue() {
+    const escalated = await sql`
+      UPDATE reports r
+      SET escalated_at = CURRENT_TIMESTAMP, escalated_to = p.supervisor_id, updated_at = CURRENT_TIMESTAMP
+      FROM officer_profiles p, users u
+      WHERE p.user_id = r.assigned_officer_id AND u.id = r.assigned_officer_id
+        AND r.status = ${REPORT_STATUSES.PENDING}
+        AND r.sla_due_at < CURRENT_TIMESTAMP AND r.escalated_at IS NULL AND r.deleted_at IS NULL
+      RETURNING r.id, r.reference_number, r.category, r.priority, r.sla_due_at, r.assigned_officer_id,
+                r.escalated_to, u.full_name AS assigned_officer_name
+    `;
+    for (const report of escalated) {
+      await CaseService.#recordAssignment(
+        report.id, ASSIGNMENT_ACTIONS.ESCALATED, report.escalated_to, report.assigned_officer_id,
+        'SLA deadline passed without action', SYSTEM_ACTOR
+      );
+      const data = {
+        report_id: report.id,
+        reference_number: report.reference_number,
+        category: report.category,
+        priority: report.priority,
+        sla_due_at: report.sla_due_at,
+        assigned_officer_name: report.assigned_officer_name
+      };
+      if (report.escalated_to) {
+        await NotificationService.notifyUser(report.escalated_to, 'case_escalated', data);
+      } else {
+        await NotificationService.notifyAdmins('case_escalated', data);
+      }
+    }
+    return escalated.length;
+  }
+
+  static startSlaMonitor() {
+    if (slaTimer) return;
+    const check = () => CaseService.escalateOverdue().catch((error) => {
+      console.error('SLA escalation error:', error);
+    });
+    slaTimer = setInterval(check, SLA_CHECK_INTERVAL_MS);
+    slaTimer.unref();
+    check();
+  }
+
+  // An officer's case queue. `mine` is their own cases, `team` the cases of
+  // officers who report to them, `escalated` cases escalated to them (every
+  // escalated case for admins). Open cases only unless a status is given.
+  static async queue(actor, filters = {}) {
+    const scope = filters.scope || 'mine';
+    if (!QUEUE_SCOPES.includes(scope)) {
+      throw new CaseError(`'scope' must be one of: ${QUEUE_SCOPES.join(', ')}`);
+    }
+
+    let owner;
+    if (scope === 'mine') {
+      owner = sql`r.assigned_officer_id = ${actor.id}`;
+    } else if (scope === 'team') {
+      owner = sql`r.assigned_officer_id IN (SELECT user_id FROM officer_profiles WHERE supervisor_id = ${actor.id})`;
+    } else if (actor.role === 'ADMIN') {
+      owner = sql`r.escalated_at IS NOT NULL`;
+    } else {
+      owner = sql`r.escalated_to = ${actor.id}`;
+    }
+    const status = filters.status ? sql`r.status = ${filters.status}` : sql`r.status = ANY(${OPEN_STATUSES})`;
+
+    return sql`
+      SELECT r.id, r.category, r.subcategory, r.location, r.status, r.priority, r.created_at, r.updated_at,
+             r.assigned_officer_id, u.full_name AS assigned_officer_name, r.assigned_at, r.sla_due_at,
+             COALESCE(r.status = ${REPORT_STATUSES.PENDING} AND r.sla_due_at < CURRENT_TIMESTAMP, FALSE) AS sla_breached,
+             r.escalated_at, r.escalated_to
+      FROM reports r LEFT JOIN users u ON u.id = r.assigned_officer_id
+      WHERE ${owner} AND ${status} AND r.deleted_at IS NULL
+      ORDER BY r.escalated_at IS NULL, r.sla_due_at NULLS LAST,
+               CASE r.priority WHEN 'critical' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END DESC,
+               r.created_at
+    `;
+  }
+
+  static async assignments(reportId) {
+    return sql`
+      SELECT a.id, a.action, a.officer_id, o.full_name AS officer_name, a.previous_officer_id,
+             prev.full_name AS previous_officer_name, a.reason, a.actor_id, a.actor_role, a.created_at
+      FROM case_assignments a
+      LEFT JOIN users o ON o.id = a.officer_id
+      LEFT JOIN users prev ON prev.id = a.previous_officer_id
+      WHERE a.report_id = ${reportId}
+      ORDER BY a.created_at
+    `;
+  }
+}
@@ -0,0 +1,314 @@
+import { escapeLike, sql } from '../config/db.js';
+import { categoryName } from '../config/meta.js';
+import { OPEN_STATUSES, REPORT_STATUSES } from './ReportService.js';
+import { ServiceError } from './errors.js';
+
+// Same palette as the dashboard charts, so slices keep their colours
+const CHART_COLORS = ['#3B82F6', '#EF4444', '#F59E0B', '#10B981', '#8B5CF6'];
+
+const RESOLVED_STATUSES = [REPORT_STATUSES.RESOLVED, REPORT_STATUSES.CLOSED];
+
+// Reports an officer has picked up and not yet resolved
+const ACTIVE_STATUSES = [REPORT_STATUSES.UNDER_REVIEW, REPORT_STATUSES.INVESTIGATING];
+
+// Officer-facing priorities, highest first
+const PRIORITIES = [['critical', 'Critical'], ['high', 'High'], ['medium', 'Medium'], ['low', 'Low']];
+
+// Analytics cover the last six calendar months unless a range is given
+const DEFAULT_ANALYTICS_MONTHS = 6;
+const MAX_ANALYTICS_DAYS = 366 * 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ALERT_SEVERITY = { critical: 'high', high: 'high', medium: 'medium', low: 'low' };
+
+// A bare date (YYYY-MM-DD) as 'to' includes that whole day
+const parseRangeDate = (value, name, endOfDay = false) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new DashboardError(`'${name}' must be a valid date`);
+  }
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? new Date(date.getTime() + DAY_MS) : date;
+};
+
+// Top four categories get their own slice; the rest are grouped
+const categoryDistribution = (byCategory) => {
+  const topCategories = byCategory.slice(0, CHART_COLORS.length - 1);
+  const otherTotal = byCategory.slice(CHART_COLORS.length - 1).reduce((sum, row) => sum + row.value, 0);
+  const distribution = topCategories.map((row, index) => ({
+    name: categoryName(row.category),
+    value: row.value,
+    color: CHART_COLORS[index]
+  }));
+  if (otherTotal > 0) {
+    distribution.push({ name: 'Others', value: otherTotal, color: CHART_COLORS[CHART_COLORS.length - 1] });
+  }
+  return distribution;
+};
+
+export class DashboardError extends ServiceError {}
+
+export class DashboardService {
+  // A citizen's own grievances and suspicious-entity submissions with their
+  // current status and when it last changed
+  static async getCases(userId) {
+    const reports = await sql`
+      SELECT r.id, r.category, r.subcategory, r.description, r.location, r.anonymous, r.status, r.priority,
+             r.reference_number, r.duplicate_of, r.created_at, r.updated_at,
+             (SELECT o.reference_number FROM reports o WHERE o.id = r.duplicate_of) AS duplicate_of_reference,
+             (SELECT MAX(h.created_at) FROM report_status_history h WHERE h.report_id = r.id) AS status_changed_at,
+             (SELECT COUNT(*) FROM report_messages m
+              WHERE m.report_id = r.id AND m.visibility = 'public' AND m.author_id IS DISTINCT FROM ${userId}
+                AND NOT EXISTS (
+                  SELECT 1 FROM report_message_reads mr WHERE mr.message_id = m.id AND mr.user_id = ${userId}
+                ))::integer AS unread_messages,
+             (SELECT COUNT(*) FROM report_messages m
+              WHERE m.report_id = r.id AND m.kind = 'info_request' AND m.resolved_at IS NULL)::integer AS open_info_requests
+      FROM reports r
+      WHERE r.user_id = ${userId} AND r.deleted_at IS NULL
+      ORDER BY r.created_at DESC
+    `;
+    const suspiciousEntities = await sql`
+      SELECT id, entity_type, entity_value, description, status, created_at
+      FROM suspicious_entities
+      WHERE user_id = ${userId}
+      ORDER BY created_at DESC
+    `;
+
+    return {
+      reports: reports.map((report) => ({ ...report, category_name: categoryName(report.category) })),
+      suspicious_entities: suspiciousEntities
+    };
+  }
+
+  // Per-user aggregates in the shape of the frontend's DashboardData
+  static async getUserDashboard(userId) {
+    const counts = await sql`
+      SELECT
+        COUNT(*)::integer AS total,
+        COUNT(*) FILTER (WHERE status = ANY(${OPEN_STATUSES}))::integer AS pending,
+        COUNT(*) FILTER (WHERE status = ANY(${RESOLVED_STATUSES}))::integer AS resolved
+      FROM reports
+      WHERE user_id = ${userId} AND deleted_at IS NULL
+    `;
+    const entities = await sql`
+      SELECT COUNT(*)::integer AS total FROM suspicious_entities WHERE user_id = ${userId}
+    `;
+
+    const byCategory = await sql`
+      SELECT category, COUNT(*)::integer AS value
+      FROM reports
+      WHERE user_id = ${userId} AND deleted_at IS NULL
+      GROUP BY category
+      ORDER BY value DESC
+    `;
+
+    const byMonth = await sql`
+      SELECT to_char(m.month, 'Mon') AS month, COUNT(r.id)::integer AS reports
+      FROM generate_series(
+        date_trunc('month', CURRENT_TIMESTAMP) - INTERVAL '5 months',
+        date_trunc('month', CURRENT_TIMESTAMP),
+        INTERVAL '1 month'
+      ) AS m(month)
+      LEFT JOIN reports r
+        ON date_trunc('month', r.created_at) = m.month AND r.user_id = ${userId} AND r.deleted_at IS NULL
+      GROUP BY m.month
+      ORDER BY m.month
+    `;
+
+    const byArea = await sql`
+      SELECT COALESCE(NULLIF(TRIM(location), ''), 'Unknown') AS area, COUNT(*)::integer AS reports
+      FROM reports
+      WHERE user_id = ${userId} AND deleted_at IS NULL
+      GROUP BY 1
+      ORDER BY reports DESC
+      LIMIT 5
+    `;
+
+    // Status changes on the citizen's reports, excluding their own submission
+    const recentChanges = await sql`
+      SELECT h.id, h.report_id, h.to_status, h.created_at, r.category, r.priority
+      FROM report_status_history h JOIN reports r ON r.id = h.report_id
+      WHERE r.user_id = ${userId} AND r.deleted_at IS NULL AND h.from_status IS NOT NULL
+      ORDER BY h.created_at DESC
+      LIMIT 5
+    `;
+
+    const { total, pending, resolved } = counts[0];
+
+    return {
+      totalReports: total + entities[0].total,
+      // Every reported identifier is added to the registry other citizens are warned about
+      threatsBlocked: entities[0].total,
+      // Share of the citizen's grievances that have been resolved or closed
+      safetyScore: total === 0 ? 100 : Math.round((resolved / total) * 100),
+      pendingCases: pending,
+      resolvedCases: resolved,
+      crimeTypeDistribution: categoryDistribution(byCategory),
+      timeWiseData: byMonth,
+      areaWiseData: byArea,
+      recentAlerts: recentChanges.map((change) => ({
+        id: change.id,
+        title: `${categoryName(change.category)} report #${change.report_id.slice(0, 8)} is now ${change.to_status.replace(/_/g, ' ')}`,
+        severity: ALERT_SEVERITY[change.priority] || 'low',
+        time: new Date(change.created_at).toISOString()
+      }))
+    };
+  }
+
+  // Caseload analytics for officers. Reports are counted by filing date within
+  // [from, to) and by the district named in their own location, so a case
+  // stays in the district it happened in whoever it is assigned to;
+  // resolutions and response times come from the status history. Duplicates
+  // are left out so a resubmitted complaint isn't counted twice.
+  static async getAnalytics({ from, to, district } = {}) {
+    const end = to ? parseRangeDate(to, 'to', true) : new Date();
+    let start;
+    if (from) {
+      start = parseRangeDate(from, 'from');
+    } else {
+      start = new Date(end.getFullYear(), end.getMonth() - (DEFAULT_ANALYTICS_MONTHS - 1), 1);
+    }
+    if (start >= end) {
+      throw new DashboardError("'from' must be before 'to'");
+    }
+    if (end - start > MAX_ANALYTICS_DAYS * DAY_MS) {
+      throw new DashboardError(`The date range cannot exceed ${MAX_ANALYTICS_DAYS} days`);
+    }
+    const districtName = String(district || '').trim();
+
+    const inDistrict = districtName ? sql`r.location ILIKE ${`%${escapeLike(districtName)}%`} ESCAPE '\\'` : sql`TRUE`;
+    // Known districts are the ones officers serve; the longest one named in the
+    // location wins, so a district isn't mistaken for a shorter one it contains
+    const reportDistrict = sql`(
+      SELECT d.district FROM officer_profiles d
+      WHERE TRIM(d.district) <> '' AND r.location ILIKE '%' || TRIM(d.district) || '%'
+      ORDER BY LENGTH(TRIM(d.district)) DESC
+      LIMIT 1
+    )`;
+    const inScope = sql`
+      r.deleted_at IS NULL AND r.status <> ${REPORT_STATUSES.DUPLICATE}
+      AND r.created_at >= ${start} AND r.created_at < ${end} AND ${inDistrict}
+    `;
+
+    const counts = await sql`
+      SELECT
+        COUNT(*)::integer AS total,
+        COUNT(*) FILTER (WHERE r.status = ${REPORT_STATUSES.PENDING})::integer AS pending,
+        COUNT(*) FILTER (WHERE r.status = ANY(${ACTIVE_STATUSES}))::integer AS active,
+        COUNT(*) FILTER (WHERE r.status = ANY(${RESOLVED_STATUSES}))::integer AS resolved
+      FROM reports r
+      WHERE ${inScope}
+    `;
+
+    // Registry identifiers behind cases resolved in the range
+    const neutralized = await sql`
+      SELECT COUNT(DISTINCT re.entity_id)::integer AS total
+      FROM report_entities re
+      JOIN reports r ON r.id = re.report_id
+      WHERE r.deleted_at IS NULL AND r.status = ANY(${RESOLVED_STATUSES}) AND ${inDistrict}
+        AND EXISTS (
+          SELECT 1 FROM report_status_history h
+          WHERE h.report_id = r.id AND h.to_status = ${REPORT_STATUSES.RESOLVED}
+            AND h.created_at >= ${start} AND h.created_at < ${end}
+        )
+    `;
+
+    const byCategory = await sql`
+      SELECT r.category, COUNT(*)::integer AS value
+      FROM reports r
+      WHERE ${inScope}
+      GROUP BY r.category
+      ORDER BY value DESC
+    `;
+
+    // Filed per month against reports moved to resolved that month, whenever filed
+    const byMonth = await sql`
+      SELECT to_char(m.month, 'Mon YYYY') AS month,
+        (SELECT COUNT(*) FROM reports r
+         WHERE ${inScope} AND date_trunc('month', r.created_at) = m.month)::integer AS reports,
+        (SELECT COUNT(DISTINCT h.report_id)
+         FROM report_status_history h
+         JOIN reports r ON r.id = h.report_id
+         WHERE h.to_status = ${REPORT_STATUSES.RESOLVED} AND r.deleted_at IS NULL AND ${inDistrict}
+           AND h.created_at >= GREATEST(m.month, ${start}::timestamp)
+           AND h.created_at < LEAST(m.month + INTERVAL '1 month', ${end}::timestamp))::integer AS resolved
+      FROM generate_series(
+        date_trunc('month', ${start}::timestamp),
+        date_trunc('month', ${end}::timestamp - INTERVAL '1 second'),
+        INTERVAL '1 month'
+      ) AS m(month)
+      ORDER BY m.month
+    `;
+
+    // Severity is the mean classifier score (1-5) of the triaged reports
+    const byRegion = await sql`
+      SELECT COALESCE(TRIM(${reportDistrict}), 'Other') AS region,
+             COUNT(*)::integer AS reports,
+             ROUND(AVG(a.priority_score), 1)::float8 AS severity
+      FROM reports r
+      LEFT JOIN report_analysis a ON a.report_id = r.id
+      WHERE ${inScope}
+      GROUP BY 1
+      ORDER BY reports DESC
+      LIMIT 10
+    `;
+
+    const byPriority = await sql`
+      SELECT r.priority, COUNT(*)::integer AS count
+      FROM reports r
+      WHERE ${inScope}
+      GROUP BY r.priority
+    `;
+
+    // Hours from filing to the first status change made on the report, by
+    // the week it was filed
+    const byWeek = await sql`
+      WITH first_action AS (
+        SELECT r.created_at, MIN(h.created_at) AS acted_at
+        FROM reports r
+        JOIN report_status_history h ON h.report_id = r.id AND h.from_status IS NOT NULL
+        WHERE ${inScope}
+        GROUP BY r.id, r.created_at
+      )
+      SELECT to_char(w.week, 'DD Mon') AS week,
+             ROUND(AVG(EXTRACT(EPOCH FROM f.acted_at - f.created_at) / 3600)::numeric, 1)::float8 AS hours,
+             COUNT(f.created_at)::integer AS reports
+      FROM generate_series(
+        date_trunc('week', ${start}::timestamp),
+        date_trunc('week', ${end}::timestamp - INTERVAL '1 second'),
+        INTERVAL '1 week'
+      ) AS w(week)
+      LEFT JOIN first_action f ON date_trunc('week', f.created_at) = w.week
+      GROUP BY w.week
+      ORDER BY w.week
+    `;
+
+    const districts = await sql`
+      SELECT DISTINCT TRIM(district) AS district FROM officer_profiles
+      WHERE district IS NOT NULL AND TRIM(district) <> ''
+      ORDER BY 1
+    `;
+
+    const { total, pending, active, resolved } = counts[0];
+    const priorityCounts = new Map(byPriority.map((row) => [row.priority, row.count]));
+
+    return {
+      filters: {
+        from: start.toISOString(),
+        to: end.toISOString(),
+        district: districtName || null,
+        districts: districts.map((row) => row.district)
+      },
+      totalReports: total,
+      pendingReports: pending,
+      activeInvestigations: active,
+      resolvedCases: resolved,
+      threatsNeutralized: neutralized[0].total,
+      crimeTypeDistribution: categoryDistribution(byCategory),
+      monthlyTrends: byMonth,
+      regionWiseData: byRegion,
+      priorityDistribution: PRIORITIES.map(([priority, label]) => ({ priority: label, count: priorityCounts.get(priority) || 0 })),
+      responseTimeData: byWeek.map((row) => ({ week: row.week, avgResponseTime: row.hours, reports: row.reports }))
+    };
+  }
+}
@@ -0,0 +1,347 @@
+import { v4 as uuidv4 } from 'uuid';
+import { sql } from '../config/db.js';
+import { AUDIT_ACTIONS, AuditService } from './AuditService.js';
+import { SYSTEM_ACTOR } from './CaseService.js';
+import { NotificationService } from './NotificationService.js';
+import { OfficerService } from './OfficerService.js';
+import { ServiceError } from './errors.js';
+
+export const DATA_REQUEST_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  PENDING_SENIOR: 'pending_senior',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired',
+});
+
+export const DATA_REQUEST_TYPES = Object.freeze([
+  'Phone Records',
+  'Bank Transaction History',
+  'Social Media Data',
+  'Email Records',
+  'IP Address Logs',
+]);
+
+export const DATA_REQUEST_URGENCIES = Object.freeze(['low', 'medium', 'high']);
+
+// Urgent requests and these types also need a senior authority's sign-off
+// after the supervisor's
+const SENSITIVE_TYPES = ['Phone Records', 'Bank Transaction History'];
+const URGENT = 'high';
+
+// A pending request expires when nobody decides within DECISION_HOURS; an
+// approval is valid for VALIDITY_DAYS
+const DECISION_HOURS = parseFloat(process.env.DATA_REQUEST_DECISION_HOURS || '72');
+const VALIDITY_DAYS = parseFloat(process.env.DATA_REQUEST_VALIDITY_DAYS || '30');
+const EXPIRY_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+const PENDING_STATUSES = [DATA_REQUEST_STATUSES.PENDING, DATA_REQUEST_STATUSES.PENDING_SENIOR];
+const LIST_SCOPES = ['mine', 'approvals', 'all'];
+const MIN_JUSTIFICATION_LENGTH = 20;
+
+const decisionDeadline = () => `${DECISION_HOURS} hours`;
+
+let expiryTimer = null;
+
+export class DataRequestError extends ServiceError {}
+
+export class DataRequestService {
+  static requiresSeniorApproval(requestType, urgency) {
+    return urgency === URGENT || SENSITIVE_TYPES.includes(requestType);
+  }
+
+  static async #recordHistory(requestId, fromStatus, toStatus, remarks, actor) {
+    await sql`
+      INSERT INTO data_request_history (id, request_id, from_status, to_status, remarks, actor_id, actor_role)
+      VALUES (${uuidv4()}, ${requestId}, ${fromStatus}, ${toStatus}, ${remarks}, ${actor.id}, ${actor.role})
+    `;
+  }
+
+  // Tells whoever decides the current stage: the requester's supervisor, then
+  // that supervisor's own supervisor. Admins stand in when there is none.
+  static async #notifyApprover(request) {
+    const chain = request.officer_id ? await OfficerService.getSupervisorChain(request.officer_id) : [];
+    const depth = request.status === DATA_REQUEST_STATUSES.PENDING ? 1 : 2;
+    const approver = chain.find((supervisor) => supervisor.depth === depth);
+    const data = {
+      request_id: request.id,
+      request_type: request.request_type,
+      target_entity: request.target_entity,
+      urgency: request.urgency,
+      stage: depth === 1 ? 'supervisor' : 'senior'
+    };
+    if (approver) {
+      await NotificationService.notifyUser(approver.user_id, 'data_request_pending', data);
+    } else {
+      await NotificationService.notifyAdmins('data_request_pending', data);
+    }
+  }
+
+  // Accepts a report id or its reference number
+  static async #findCase(reference) {
+    if (!reference) {
+      throw new DataRequestError('A data request must be tied to a case (report_id)');
+    }
+    const report = await sql`
+      SELECT id, reference_number FROM reports
+      WHERE (id = ${reference} OR reference_number = ${String(reference).toUpperCase()}) AND deleted_at IS NULL
+    `;
+    if (report.length === 0) {
+      throw new DataRequestError('Case not found', 404);
+    }
+    return report[0];
+  }
+
+  static async create(data, actor) {
+    const requestType = String(data.request_type || '').trim();
+    const targetEntity = String(data.target_entity || '').trim();
+    const justification = String(data.justification || '').trim();
+    const urgency = data.urgency || 'medium';
+
+    if (!DATA_REQUEST_TYPES.includes(requestType)) {
+      throw new DataRequestError(`'request_type' must be one of: ${DATA_REQUEST_TYPES.join(', ')}`);
+    }
+    if (!targetEntity) {
+      throw new DataRequestError('A target entity is required');
+    }
+    if (justification.length < MIN_JUSTIFICATION_LENGTH) {
+      throw new DataRequestError(`Justification must be at least ${MIN_JUSTIFICATION_LENGTH} characters`);
+    }
+    if (!DATA_REQUEST_URGENCIES.includes(urgency)) {
+      throw new DataRequestError(`'urgency' must be one of: ${DATA_REQUEST_URGENCIES.join(', ')}`);
+    }
+    const report = await DataRequestService.#findCase(data.report_id);
+
+    const created = await sql`
+      INSERT INTO data_requests (id, officer_id, report_id, request_type, target_entity, justification, urgency,
+                                 status, requires_senior_approval, expires_at)
+      VALUES (${uuidv4()}, ${actor.id}, ${report.id}, ${requestType}, ${targetEntity}, ${justification}, ${urgency},
+              ${DATA_REQUEST_STATUSES.PENDING}, ${DataRequestService.requiresSeniorApproval(requestType, urgency)},
+              CURRENT_TIMESTAMP + ${decisionDeadline()}::interval)
+      RETURNING *
+    `;
+    const request = created[0];
+    await DataRequestService.#recordHistory(request.id, null, request.status, 'Request submitted', actor);
+    await DataRequestService.#notifyApprover(request);
+    return { ...request, reference_number: report.reference_number };
+  }
+
+  // Requests the actor may see: their own, those of officers below them in
+  // the hierarchy, or all of them for admins
+  static async #assertCanView(request, actor) {
+    if (actor.role === 'ADMIN' || request.officer_id === actor.id) return;
+    const chain = request.officer_id ? await OfficerService.getSupervisorChain(request.officer_id) : [];
+    if (!chain.some((supervisor) => supervisor.user_id === actor.id)) {
+      throw new DataRequestError('You cannot access this data request', 403);
+    }
+  }
+
+  // The supervisor stage is decided by the requester's direct supervisor, the
+  // senior stage by anyone above that supervisor. Admins can decide either,
+  // and nobody decides their own request or both stages of the same one.
+  static async #assertCanDecide(request, actor) {
+    if (!PENDING_STATUSES.includes(request.status)) {
+      throw new DataRequestError(`The request is already ${request.status}`, 409);
+    }
+    if (request.officer_id === actor.id) {
+      throw new DataRequestError('You cannot decide your own data request', 403);
+    }
+    if (request.status === DATA_REQUEST_STATUSES.PENDING_SENIOR && request.supervisor_approved_by === actor.id) {
+      throw new DataRequestError('The senior sign-off must come from a different approver', 403);
+    }
+    if (actor.role === 'ADMIN') return;
+
+    const chain = request.officer_id ? await OfficerService.getSupervisorChain(request.officer_id) : [];
+    const link = chain.find((supervisor) => supervisor.user_id === actor.id);
+    const allowed = request.status === DATA_REQUEST_STATUSES.PENDING ? link?.depth === 1 : link?.depth >= 2;
+    if (!allowed) {
+      throw new DataRequestError(
+        request.status === DATA_REQUEST_STATUSES.PENDING
+          ? "Only the requesting officer's supervisor can decide this request"
+          : 'This request needs sign-off from a senior authority',
+        403
+      );
+    }
+  }
+
+  static async #load(requestId) {
+    const request = await sql`SELECT * FROM data_requests WHERE id = ${requestId}`;
+    if (request.length === 0) {
+      throw new DataRequestError('Data request not found', 404);
+    }
+    return request[0];
+  }
+
+  static async getForActor(requestId, actor) {
+    const request = await DataRequestService.#load(requestId);
+    await DataRequestService.#assertCanView(request, actor);
+    return request;
+  }
+
+  static async get(requestId, actor) {
+    const request = await DataRequestService.getForActor(requestId, actor);
+    const [details] = await DataRequestService.#withDetails(sql`d.id = ${request.id}`);
+    const history = await sql`
+      SELECT h.id, h.from_status, h.to_status, h.remarks, h.actor_id, u.full_name AS actor_name, h.actor_role,
+             h.created_at
+      FROM data_request_history h LEFT JOIN users u ON u.id = h.actor_id
+      WHERE h.request_id = ${request.id}
+      ORDER BY h.created_at
+    `;
+    return { ...details, history };
+  }
+
+  static async #withDetails(where) {
+    return sql`
+      SELECT d.*, u.full_name AS officer_name, r.reference_number
+      FROM data_requests d
+      LEFT JOIN users u ON u.id = d.officer_id
+      LEFT JOIN reports r ON r.id = d.report_id
+      WHERE ${where}
+      ORDER BY d.created_at DESC
+    `;
+  }
+
+  // `mine` is the actor's own requests, `approvals` those waiting on the
+  // actor's decision (every pending request for admins), `all` admins only
+  static async list(actor, filters = {}) {
+    const scope = filters.scope || (actor.role === 'ADMIN' ? 'all' : 'mine');
+    if (!LIST_SCOPES.includes(scope)) {
+      throw new DataRequestError(`'scope' must be one of: ${LIST_SCOPES.join(', ')}`);
+    }
+    if (scope === 'all' && actor.role !== 'ADMIN') {
+      throw new DataRequestError('Only admins can list every data request', 403);
+    }
+
+    const conditions = [];
+    if (scope === 'mine') {
+      conditions.push(sql`d.officer_id = ${actor.id}`);
+    } else if (scope === 'approvals' && actor.role === 'ADMIN') {
+      conditions.push(sql`d.status = ANY(${PENDING_STATUSES}) AND d.officer_id IS DISTINCT FROM ${actor.id}`);
+    } else if (scope === 'approvals') {
+      conditions.push(sql`(
+        (d.status = ${DATA_REQUEST_STATUSES.PENDING} AND d.officer_id IN (
+          SELECT user_id FROM officer_profiles WHERE supervisor_id = ${actor.id}))
+        OR (d.status = ${DATA_REQUEST_STATUSES.PENDING_SENIOR} AND d.supervisor_approved_by IS DISTINCT FROM ${actor.id}
+            AND d.officer_id IN (
+              SELECT p.user_id FROM officer_profiles p JOIN officer_profiles s ON s.user_id = p.supervisor_id
+              WHERE s.supervisor_id = ${actor.id}))
+      )`);
+    } else {
+      conditions.push(sql`TRUE`);
+    }
+    if (filters.status) conditions.push(sql`d.status = ${filters.status}`);
+    if (filters.report_id) conditions.push(sql`d.report_id = ${filters.report_id}`);
+
+    return DataRequestService.#withDetails(conditions.reduce((clause, condition) => sql`${clause} AND ${condition}`));
+  }
+
+  // Approves the current stage. Requests needing senior sign-off move on to
+  // pending_senior with a fresh decision deadline; otherwise they are
+  // approved for VALIDITY_DAYS.
+  static async approve(requestId, remarks, actor) {
+    const request = await DataRequestService.#load(requestId);
+    await DataRequestService.#assertCanDecide(request, actor);
+    const note = remarks ? String(remarks).trim() || null : null;
+
+    const toSenior = request.status === DATA_REQUEST_STATUSES.PENDING && request.requires_senior_approval;
+    const toStatus = toSenior ? DATA_REQUEST_STATUSES.PENDING_SENIOR : DATA_REQUEST_STATUSES.APPROVED;
+    const updated = await sql`
+      UPDATE data_requests
+      SET status = ${toStatus},
+          supervisor_approved_by = CASE WHEN status = ${DATA_REQUEST_STATUSES.PENDING} THEN ${actor.id}
+                                        ELSE supervisor_approved_by END,
+          decided_by = ${toSenior ? null : actor.id},
+          decided_at = ${toSenior ? null : new Date()},
+          remarks = ${note},
+          expires_at = CURRENT_TIMESTAMP + ${toSenior ? decisionDeadline() : `${VALIDITY_DAYS} days`}::interval,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${request.id} AND status = ${request.status}
+      RETURNING *
+    `;
+    if (updated.length === 0) {
+      throw new DataRequestError('Data request was modified concurrently; please retry', 409);
+    }
+
+    await DataRequestService.#recordHistory(request.id, request.status, toStatus, note || 'Approved', actor);
+    if (toSenior) {
+      await DataRequestService.#notifyApprover(updated[0]);
+    } else if (request.officer_id) {
+      await NotificationService.notifyUser(request.officer_id, 'data_request_approved', {
+        request_id: request.id,
+        target_entity: request.target_entity,
+        request_type: request.request_type,
+        note
+      });
+    }
+    return updated[0];
+  }
+
+  static async reject(requestId, remarks, actor) {
+    if (!remarks || !String(remarks).trim()) {
+      throw new DataRequestError('Remarks are required to reject a data request');
+    }
+    const request = await DataRequestService.#load(requestId);
+    await DataRequestService.#assertCanDecide(request, actor);
+    const note = String(remarks).trim();
+
+    const updated = await sql`
+      UPDATE data_requests
+      SET status = ${DATA_REQUEST_STATUSES.REJECTED}, decided_by = ${actor.id}, decided_at = CURRENT_TIMESTAMP,
+          remarks = ${note}, expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${request.id} AND status = ${request.status}
+      RETURNING *
+    `;
+    if (updated.length === 0) {
+      throw new DataRequestError('Data request was modified concurrently; please retry', 409);
+    }
+
+    await DataRequestService.#recordHistory(request.id, request.status, DATA_REQUEST_STATUSES.REJECTED, note, actor);
+    if (request.officer_id) {
+      await NotificationService.notifyUser(request.officer_id, 'data_request_rejected', {
+        request_id: request.id,
+        target_entity: request.target_entity,
+        request_type: request.request_type,
+        note
+      });
+    }
+    return updated[0];
+  }
+
+  // Expires pending requests nobody decided in time and approvals past their
+  // validity
+  static async expireOverdue() {
+    const expired = await sql`
+      UPDATE data_requests d
+      SET status = ${DATA_REQUEST_STATUSES.EXPIRED}, updated_at = CURRENT_TIMESTAMP
+      FROM data_requests previous
+      WHERE d.id = previous.id
+        AND d.status = ANY(${[...PENDING_STATUSES, DATA_REQUEST_STATUSES.APPROVED]})
+        AND d.expires_at < CURRENT_TIMESTAMP
+      RETURNING d.id, previous.status AS previous_status
+    `;
+    for (const request of expired) {
+      await DataRequestService.#recordHistory(
+        request.id, request.previous_status, DATA_REQUEST_STATUSES.EXPIRED,
+        request.previous_status === DATA_REQUEST_STATUSES.APPROVED ? 'Approval validity ended' : 'No decision before the deadline',
+        SYSTEM_ACTOR
+      );
+      await AuditService.record(
+        AUDIT_ACTIONS.DATA_REQUEST_EXPIRED,
+        { type: 'data_request', id: request.id, details: { previous_status: request.previous_status } },
+        null
+      );
+    }
+    return expired.length;
+  }
+
+  static startExpiryMonitor() {
+    if (expiryTimer) return;
+    const check = () => DataRequestService.expireOverdue().catch((error) => {
+      console.error('Data request expiry error:', error);
+    });
+    expiryTimer = setInterval(check, EXPIRY_CHECK_INTERVAL_MS);
+    expiryTimer.unref();
+    check();
+  }
+}
@@ -0,0 +1,265 @@
+import { sql } from '../config/db.js';
+import { EntityService } from './EntityService.js';
+import { MAX_ENTITY_DEGREE } from './IntelService.js';
+import { NotificationService } from './NotificationService.js';
+import { OPEN_STATUSES, REPORT_STATUSES, ReportService } from './ReportService.js';
+import { ServiceError } from './errors.js';
+
+export const LINK_KINDS = Object.freeze({
+  DUPLICATE: 'duplicate',
+  RELATED: 'related',
+});
+
+// Reports filed within this many days are compared with a new submission
+const WINDOW_DAYS = parseInt(process.env.DUPLICATE_WINDOW_DAYS || '30', 10);
+const MAX_CANDIDATES = 200;
+const MAX_RELATED = 10;
+
+// Word-overlap (cosine) thresholds: a resubmission of the same text on its
+// own, and the looser bar used together with a shared identifier
+const DUPLICATE_SIMILARITY = 0.8;
+const RELATED_SIMILARITY = 0.5;
+
+// Reports that can't be the original of a duplicate or be related to one
+const UNLINKABLE_STATUSES = [REPORT_STATUSES.REJECTED, REPORT_STATUSES.DUPLICATE];
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'that', 'this', 'with', 'from', 'was', 'were', 'have', 'has', 'had', 'are', 'but', 'not',
+  'you', 'your', 'they', 'them', 'their', 'his', 'her', 'she', 'him', 'who', 'which', 'then', 'than', 'there',
+  'when', 'what', 'also', 'into', 'after', 'about', 'been', 'will', 'would', 'could', 'said', 'told', 'asked',
+]);
+
+const termCounts = (text) => {
+  const counts = new Map();
+  for (const word of String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    if (word.length < 3 || STOPWORDS.has(word)) continue;
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return counts;
+};
+
+const cosine = (a, b) => {
+  let dot = 0;
+  for (const [word, count] of a) dot += count * (b.get(word) || 0);
+  if (dot === 0) return 0;
+  const norm = (counts) => Math.sqrt([...counts.values()].reduce((total, count) => total + count * count, 0));
+  return dot / (norm(a) * norm(b));
+};
+
+export class DuplicateError extends ServiceError {}
+
+export class DuplicateService {
+  // Recent live reports by the same citizen, or sharing an identifier with
+  // the new report. Identifiers on more reports than MAX_ENTITY_DEGREE are
+  // too common to connect two complaints.
+  static async #candidates(userId, identifierKeys) {
+    return sql`
+      WITH matched AS (
+        SELECT e.id, e.entity_type || ':' || e.normalized_value AS key
+        FROM entities e
+        WHERE e.entity_type || ':' || e.normalized_value = ANY(${identifierKeys})
+          AND (SELECT COUNT(*) FROM report_entities re WHERE re.entity_id = e.id) <= ${MAX_ENTITY_DEGREE}
+      ), shared AS (
+        SELECT re.report_id, array_agg(m.key) AS identifiers
+        FROM report_entities re JOIN matched m ON m.id = re.entity_id
+        GROUP BY re.report_id
+      )
+      SELECT r.id, r.user_id, r.reference_number, r.category, r.description, r.status, r.created_at,
+             COALESCE(s.identifiers, '{}') AS shared_identifiers
+      FROM reports r LEFT JOIN shared s ON s.report_id = r.id
+      WHERE r.deleted_at IS NULL AND NOT (r.status = ANY(${UNLINKABLE_STATUSES}))
+        AND r.created_at >= CURRENT_TIMESTAMP - ${`${WINDOW_DAYS} days`}::interval
+        AND (r.user_id = ${userId} OR s.report_id IS NOT NULL)
+      ORDER BY r.created_at DESC
+      LIMIT ${MAX_CANDIDATES}
+    `;
+  }
+
+  // Compares a grievance about to be filed with recent reports. Returns the
+  // citizen's own open report it most likely repeats (or null) and other
+  // reports that look like the same incident, each with its reasons. The
+  // citizen's own phone and email are ignored: they appear in most of their
+  // complaints. A duplicate always needs similar descriptions.
+  static async check({ userId, category, description, identifiers = [] }) {
+    const keys = EntityService.withoutContacts([
+      ...identifiers,
+      ...EntityService.extractIdentifiers(description),
+    ], await EntityService.reporterContacts(userId)).map(({ type, value }) => `${type}:${value}`);
+    const terms = termCounts(description);
+
+    let duplicate = null;
+    const related = [];
+    for (const candidate of await DuplicateService.#candidates(userId, [...new Set(keys)])) {
+      const similarity = Number(cosine(terms, termCounts(candidate.description)).toFixed(3));
+      const shared = candidate.shared_identifiers;
+      const sameCategory = candidate.category === category;
+
+      const reasons = shared.map((key) => `same ${key.replace(':', ': ')}`);
+      if (similarity >= RELATED_SIMILARITY) reasons.push(`description similarity ${similarity.toFixed(2)}`);
+      if (sameCategory && reasons.length > 0) reasons.push('same category');
+
+      const match = {
+        report_id: candidate.id,
+        reference_number: candidate.reference_number,
+        status: candidate.status,
+        created_at: candidate.created_at,
+        similarity,
+        reasons
+      };
+
+      const repeatsOwnReport = candidate.user_id === userId && OPEN_STATUSES.includes(candidate.status)
+        && (similarity >= DUPLICATE_SIMILARITY || (shared.length > 0 && similarity >= RELATED_SIMILARITY));
+      if (repeatsOwnReport) {
+        // Candidates are newest first, so ties keep the most recent report
+        if (!duplicate || similarity > duplicate.similarity) duplicate = match;
+      } else if (shared.length > 0 || (sameCategory && similarity >= RELATED_SIMILARITY)) {
+        related.push(match);
+      }
+    }
+
+    related.sort((a, b) => b.reasons.length - a.reasons.length || b.similarity - a.similarity);
+    return {
+      duplicate,
+      related: related.filter((match) => match.report_id !== duplicate?.report_id).slice(0, MAX_RELATED)
+    };
+  }
+
+  static async #link(reportId, linkedReportId, kind, similarity, reasons) {
+    await sql`
+      INSERT INTO report_links (report_id, linked_report_id, kind, similarity, reasons)
+      VALUES (${reportId}, ${linkedReportId}, ${kind}, ${similarity}, ${JSON.stringify(reasons)})
+      ON CONFLICT (report_id, linked_report_id) DO UPDATE
+      SET kind = EXCLUDED.kind, similarity = EXCLUDED.similarity, reasons = EXCLUDED.reasons
+    `;
+  }
+
+  // Stores the outcome of check() for a report that has just been inserted
+  static async recordCheck(reportId, { duplicate, related }) {
+    if (duplicate) {
+      await DuplicateService.#link(reportId, duplicate.report_id, LINK_KINDS.DUPLICATE, duplicate.similarity, duplicate.reasons);
+    }
+    for (const match of related) {
+      await DuplicateService.#link(reportId, match.report_id, LINK_KINDS.RELATED, match.similarity, match.reasons);
+    }
+  }
+
+  // Tells whoever handles the original case that the citizen filed again, so
+  // the new description and evidence get read. Unassigned originals go to
+  // the admins.
+  static async notifyOriginal(report, duplicate) {
+    const [original] = await sql`
+      SELECT id, reference_number, assigned_officer_id FROM reports WHERE id = ${duplicate.report_id}
+    `;
+    if (!original) return;
+    const data = {
+      report_id: report.id,
+      reference_number: report.reference_number,
+      original_id: original.id,
+      original_reference_number: original.reference_number,
+      reasons: duplicate.reasons
+    };
+    if (original.assigned_officer_id) {
+      await NotificationService.notifyUser(original.assigned_officer_id, 'duplicate_filed', data);
+    } else {
+      await NotificationService.notifyAdmins('duplicate_filed', data);
+    }
+  }
+
+  // Duplicates and related reports in both directions, for the officer view
+  static async links(reportId) {
+    const report = await ReportService.get(reportId);
+    if (!report) {
+      throw new DuplicateError('Report not found', 404);
+    }
+
+    const links = await sql`
+      SELECT l.kind, l.similarity, l.reasons, l.created_at AS linked_at,
+             CASE WHEN l.report_id = ${reportId} THEN 'outgoing' ELSE 'incoming' END AS direction,
+             r.id AS report_id, r.reference_number, r.user_id, r.category, r.status, r.created_at
+      FROM report_links l
+      JOIN reports r ON r.id = CASE WHEN l.report_id = ${reportId} THEN l.linked_report_id ELSE l.report_id END
+      WHERE (l.report_id = ${reportId} OR l.linked_report_id = ${reportId}) AND r.deleted_at IS NULL
+      ORDER BY l.created_at DESC
+    `;
+
+    return {
+      report_id: report.id,
+      duplicate_of: links.find((link) => link.kind === LINK_KINDS.DUPLICATE && link.direction === 'outgoing') || null,
+      duplicates: links.filter((link) => link.kind === LINK_KINDS.DUPLICATE && link.direction === 'incoming'),
+      related: links.filter((link) => link.kind === LINK_KINDS.RELATED)
+    };
+  }
+
+  static async #setDuplicateOf(report, originalId, toStatus, reason, actor) {
+    const updated = await sql`
+      UPDATE reports SET status = ${toStatus}, duplicate_of = ${originalId}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${report.id} AND status = ${report.status} AND deleted_at IS NULL
+      RETURNING *
+    `;
+    if (updated.length === 0) {
+      throw new DuplicateError('Report was modified concurrently; please retry', 409);
+    }
+
+    await ReportService.recordHistory(report.id, report.status, toStatus, reason, actor);
+    await NotificationService.notifyUser(report.user_id, 'status_changed', {
+      report_id: report.id,
+      reference_number: report.reference_number,
+      previous_status: report.status,
+      status: toStatus
+    });
+    return updated[0];
+  }
+
+  // Lets an officer close an open report as a duplicate of another one
+  static async markDuplicate(reportId, originalId, reason, actor) {
+    if (!reason || !String(reason).trim()) {
+      throw new DuplicateError('A reason is required to mark a report as a duplicate');
+    }
+    if (!originalId || originalId === reportId) {
+      throw new DuplicateError("'original_id' must be another report");
+    }
+
+    const [report, original] = await Promise.all([ReportService.get(reportId), ReportService.get(originalId)]);
+    if (!report || !original) {
+      throw new DuplicateError('Report not found', 404);
+    }
+    if (!OPEN_STATUSES.includes(report.status)) {
+      throw new DuplicateError(`Cannot mark a '${report.status}' report as a duplicate`, 409);
+    }
+    if (UNLINKABLE_STATUSES.includes(original.status)) {
+      throw new DuplicateError(`The original report is '${original.status}'`, 409);
+    }
+
+    const updated = await DuplicateService.#setDuplicateOf(
+      report, original.id, REPORT_STATUSES.DUPLICATE,
+      `Duplicate of ${original.reference_number}: ${String(reason).trim()}`, actor
+    );
+    await DuplicateService.#link(report.id, original.id, LINK_KINDS.DUPLICATE, null, ['marked by an officer']);
+    return updated;
+  }
+
+  // Reopens a report wrongly linked as a duplicate. The link is kept as
+  // 'related'; the caller assigns and triages the report like a new one.
+  static async unmarkDuplicate(reportId, reason, actor) {
+    if (!reason || !String(reason).trim()) {
+      throw new DuplicateError('A reason is required to reopen a duplicate');
+    }
+
+    const report = await ReportService.get(reportId);
+    if (!report) {
+      throw new DuplicateError('Report not found', 404);
+    }
+    if (report.status !== REPORT_STATUSES.DUPLICATE) {
+      throw new DuplicateError('Report is not marked as a duplicate', 409);
+    }
+
+    const updated = await DuplicateService.#setDuplicateOf(
+      report, null, REPORT_STATUSES.PENDING, `Not a duplicate: ${String(reason).trim()}`, actor
+    );
+    await sql`
+      UPDATE report_links SET kind = ${LINK_KINDS.RELATED}
+      WHERE report_id = ${report.id} AND kind = ${LINK_KINDS.DUPLICATE}
+    `;
+    return updated;
+  }
+}
@@ -0,0 +1,376 @@
+import { v4 as uuidv4 } from 'uuid';
+import { sql } from '../config/db.js';
+import { SUSPICIOUS_ENTITY_TYPES, categoryName } from '../config/meta.js';
+import { REPORT_STATUSES } from './ReportService.js';
+import { ServiceError } from './errors.js';
+
+export const ENTITY_TYPES = Object.freeze(SUSPICIOUS_ENTITY_TYPES.map((type) => type.id));
+
+export const RISK_LEVELS = Object.freeze({
+  NONE: 'none',
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high',
+});
+
+// Distinct reporters needed for each risk level. A report an officer has
+// taken up (investigating or resolved) counts as confirmation.
+const MEDIUM_RISK_REPORTERS = 2;
+const HIGH_RISK_REPORTERS = 5;
+const CONFIRMED_STATUSES = [REPORT_STATUSES.INVESTIGATING, REPORT_STATUSES.RESOLVED];
+// Complaints left out of the counts; a duplicate repeats one already counted
+const UNCOUNTED_STATUSES = [REPORT_STATUSES.REJECTED, REPORT_STATUSES.DUPLICATE];
+
+// How an identifier got attached to a report. Only submitted ones count
+// towards lookups and risk levels: text extraction can't tell the suspect's
+// number from the victim's own.
+export const LINK_SOURCES = Object.freeze({ SUBMITTED: 'submitted', EXTRACTED: 'extracted' });
+
+// Bare domains in free text are only picked up with these TLDs, so that
+// sentence breaks like "paid.Then" aren't read as websites
+const COMMON_TLDS = ['com', 'in', 'net', 'org', 'co', 'io', 'info', 'biz', 'xyz', 'online', 'site', 'top', 'app', 'shop', 'live', 'me'];
+
+export class EntityError extends ServiceError {}
+
+const hostOf = (value) => {
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`);
+  } catch {
+    return null;
+  }
+};
+
+// Canonical form of an identifier per type, or null when it isn't valid.
+// Phones become E.164 (Indian numbers without a country code get +91).
+const NORMALIZERS = {
+  phone: (value) => {
+    const compact = value.replace(/[\s().-]/g, '').replace(/^00/, '+');
+    if (/^\+[1-9]\d{7,14}$/.test(compact)) return compact;
+    if (/^0?[6-9]\d{9}$/.test(compact)) return `+91${compact.slice(-10)}`;
+    if (/^91[6-9]\d{9}$/.test(compact)) return `+${compact}`;
+    // Landlines: trunk prefix 0 + STD code + number
+    if (/^0[1-9]\d{9}$/.test(compact)) return `+91${compact.slice(1)}`;
+    return null;
+  },
+  email: (value) => {
+    const email = value.toLowerCase();
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+  },
+  upi: (value) => {
+    const upi = value.toLowerCase().replace(/\s/g, '');
+    return /^[a-z0-9._-]{2,256}@[a-z][a-z0-9.-]{1,63}$/.test(upi) ? upi : null;
+  },
+  website: (value) => {
+    const url = hostOf(value);
+    if (!url) return null;
+    const host = url.hostname.toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)*\.([a-z]{2,}|xn--[a-z0-9-]+)$/.test(host) ? host : null;
+  },
+  bank_account: (value) => {
+    const account = value.replace(/[\s-]/g, '');
+    return /^\d{9,18}$/.test(account) ? account : null;
+  },
+  social_media: (value) => {
+    if (/^(https?:\/\/|www\.)/i.test(value)) {
+      const url = hostOf(value);
+      if (!url) return null;
+      return `${url.hostname.toLowerCase().replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}`.toLowerCase();
+    }
+    const handle = value.toLowerCase().replace(/^@/, '');
+    return /^[a-z0-9._-]{1,100}$/.test(handle) ? handle : null;
+  },
+  crypto_wallet: (value) => {
+    const wallet = value.replace(/\s/g, '');
+    // Ethereum-style addresses are case-insensitive; base58/bech32 ones are not
+    if (/^0x[0-9a-f]{40}$/i.test(wallet)) return wallet.toLowerCase();
+    return /^[a-zA-Z0-9]{25,100}$/.test(wallet) ? wallet : null;
+  },
+};
+
+// Normalizes `value` for `type`, throwing an EntityError when either is invalid
+export const normalizeEntity = (type, value) => {
+  if (!ENTITY_TYPES.includes(type)) {
+    throw new EntityError(`'type' must be one of: ${ENTITY_TYPES.join(', ')}`);
+  }
+  const raw = String(value ?? '').trim();
+  if (!raw) {
+    throw new EntityError('An identifier value is required');
+  }
+  const normalized = NORMALIZERS[type](raw);
+  if (!normalized) {
+    const { name } = SUSPICIOUS_ENTITY_TYPES.find((entityType) => entityType.id === type);
+    throw new EntityError(`'${raw}' is not a valid ${name}`);
+  }
+  return normalized;
+};
+
+const EXTRACTORS = [
+  ['email', /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi],
+  ['website', new RegExp(
+    `(?:https?://\\S+|www\\.[a-z0-9.-]+\\.[a-z]{2,}\\S*|\\b[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.(?:${COMMON_TLDS.join('|')})\\b(?:/\\S*)?)`,
+    'gi'
+  )],
+  ['upi', /[a-z0-9._-]{2,}@[a-z][a-z0-9]+\b(?![.@])/gi],
+  ['phone', /(?<![\d+])(?:\+91[\s-]?|0)?[6-9]\d{4}[\s-]?\d{5}(?!\d)/g],
+];
+
+export class EntityService {
+  // Finds phones, emails, UPI IDs and websites mentioned in free text. Each
+  // match is removed before the next extractor runs, so an email address
+  // isn't also read as a UPI ID or a website.
+  static extractIdentifiers(text) {
+    // Sentence punctuation goes first, or "paid fraud@ybl." would fail the
+    // UPI pattern's lookahead
+    let remaining = String(text || '').replace(/[.,;:!?)]+(?=\s|$)/g, ' ');
+    const found = [];
+    for (const [type, pattern] of EXTRACTORS) {
+      remaining = remaining.replace(pattern, (match) => {
+        const normalized = NORMALIZERS[type](match.replace(/[.,;:!?)]+$/, ''));
+        if (normalized) found.push({ type, value: normalized });
+        return ' ';
+      });
+    }
+    return EntityService.#unique(found);
+  }
+
+  static #unique(identifiers) {
+    const seen = new Set();
+    return identifiers.filter(({ type, value }) => {
+      const key = `${type}:${value}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // Validates identifiers submitted with a grievance: a JSON array (multipart
+  // forms send it as a string) of { type, value }
+  static parseIdentifiers(input) {
+    if (input === undefined || input === null || input === '') return [];
+    let list = input;
+    if (typeof input === 'string') {
+      try {
+        list = JSON.parse(input);
+      } catch {
+        throw new EntityError("'identifiers' must be a JSON array of { type, value }");
+      }
+    }
+    if (!Array.isArray(list)) {
+      throw new EntityError("'identifiers' must be a JSON array of { type, value }");
+    }
+    return EntityService.#unique(list.map((item) => ({ type: item?.type, value: normalizeEntity(item?.type, item?.value) })));
+  }
+
+  // Upserts the registry row for an already normalized identifier
+  static async register(type, normalizedValue) {
+    const entity = await sql`
+      INSERT INTO entities (id, entity_type, normalized_value)
+      VALUES (${uuidv4()}, ${type}, ${normalizedValue})
+      ON CONFLICT (entity_type, normalized_value) DO UPDATE SET last_reported_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+    return entity[0];
+  }
+
+  // The reporter's own phone number and email address, normalized, so they
+  // aren't registered as suspicious identifiers
+  static async reporterContacts(userId) {
+    const user = await sql`SELECT phone_number, email FROM users WHERE id = ${userId}`;
+    if (user.length === 0) return [];
+    return [
+      ['phone', user[0].phone_number],
+      ['email', user[0].email],
+    ]
+      .map(([type, value]) => ({ type, value: value && NORMALIZERS[type](String(value).trim()) }))
+      .filter(({ value }) => value);
+  }
+
+  // `identifiers` without those in `contacts`
+  static withoutContacts(identifiers, contacts) {
+    const own = new Set(contacts.map(({ type, value }) => `${type}:${value}`));
+    return identifiers.filter(({ type, value }) => !own.has(`${type}:${value}`));
+  }
+
+  // Links a report to the identifiers the citizen listed and those found in
+  // its description, leaving out the reporter's own contact details
+  static async linkReport(reportId, submitted, description, reporterId) {
+    const extracted = EntityService.extractIdentifiers(description).map((item) => ({
+      ...item, source: LINK_SOURCES.EXTRACTED
+    }));
+    const identifiers = EntityService.withoutContacts(EntityService.#unique([
+      ...submitted.map((item) => ({ ...item, source: LINK_SOURCES.SUBMITTED })),
+      ...extracted
+    ]), await EntityService.reporterContacts(reporterId));
+
+    for (const { type, value, source } of identifiers) {
+      const entity = await EntityService.register(type, value);
+      await sql`
+        INSERT INTO report_entities (report_id, entity_id, source)
+        VALUES (${reportId}, ${entity.id}, ${source})
+        ON CONFLICT (report_id, entity_id) DO NOTHING
+      `;
+    }
+    return identifiers.map(({ type, value }) => ({ type, value }));
+  }
+
+  // Registers suspicious-entity submissions made before the registry existed.
+  // Values that don't normalize keep their trimmed, lowercased form.
+  static async backfillSuspiciousEntities() {
+    const pending = await sql`SELECT id, entity_type, entity_value FROM suspicious_entities WHERE entity_id IS NULL`;
+    for (const row of pending) {
+      const normalized = (ENTITY_TYPES.includes(row.entity_type) && NORMALIZERS[row.entity_type](row.entity_value.trim()))
+        || row.entity_value.trim().toLowerCase();
+      const entity = await EntityService.register(row.entity_type, normalized);
+      await sql`
+        UPDATE suspicious_entities SET normalized_value = ${normalized}, entity_id = ${entity.id}
+        WHERE id = ${row.id}
+      `;
+    }
+    return pending.length;
+  }
+
+  // How often an identifier was reported, in which complaint categories, and
+  // the resulting risk level. Rejected and duplicate reports, and identifiers
+  // only found in a description, are not counted.
+  static async lookup(type, value) {
+    const normalized = normalizeEntity(type, value);
+    const entity = await sql`
+      SELECT id, first_reported_at, last_reported_at FROM entities
+      WHERE entity_type = ${type} AND normalized_value = ${normalized}
+    `;
+    if (entity.length === 0) {
+      return {
+        type, value: normalized, reported: false, report_count: 0, complaint_count: 0,
+        suspicious_report_count: 0, categories: [], first_reported_at: null, last_reported_at: null,
+        risk_level: RISK_LEVELS.NONE
+      };
+    }
+
+    const entityId = entity[0].id;
+    const [counts] = await sql`
+      WITH complaints AS (
+        SELECT r.user_id, r.status FROM report_entities re JOIN reports r ON r.id = re.report_id
+        WHERE re.entity_id = ${entityId} AND re.source = ${LINK_SOURCES.SUBMITTED}
+          AND r.deleted_at IS NULL AND NOT (r.status = ANY(${UNCOUNTED_STATUSES}))
+      ), sightings AS (
+        SELECT user_id FROM suspicious_entities
+        WHERE entity_id = ${entityId} AND status <> ${REPORT_STATUSES.REJECTED}
+      )
+      SELECT (SELECT COUNT(*) FROM complaints)::integer AS complaint_count,
+             (SELECT COUNT(*) FROM sightings)::integer AS suspicious_report_count,
+             (SELECT COUNT(DISTINCT user_id) FROM (SELECT user_id FROM complaints UNION ALL SELECT user_id FROM sightings) u)::integer
+               AS reporter_count,
+             EXISTS (SELECT 1 FROM complaints WHERE status = ANY(${CONFIRMED_STATUSES})) AS confirmed
+    `;
+    const categories = await sql`
+      SELECT r.category, COUNT(*)::integer AS count
+      FROM report_entities re JOIN reports r ON r.id = re.report_id
+      WHERE re.entity_id = ${entityId} AND re.source = ${LINK_SOURCES.SUBMITTED}
+        AND r.deleted_at IS NULL AND NOT (r.status = ANY(${UNCOUNTED_STATUSES}))
+      GROUP BY r.category
+      ORDER BY count DESC
+    `;
+
+    const reportCount = counts.complaint_count + counts.suspicious_report_count;
+    return {
+      type,
+      value: normalized,
+      reported: reportCount > 0,
+      report_count: reportCount,
+      complaint_count: counts.complaint_count,
+      suspicious_report_count: counts.suspicious_report_count,
+      categories: categories.map((row) => ({ ...row, name: categoryName(row.category) })),
+      first_reported_at: entity[0].first_reported_at,
+      last_reported_at: entity[0].last_reported_at,
+      risk_level: EntityService.riskLevel(counts)
+    };
+  }
+
+  // `counts` carries reporter_count and whether any linked case is confirmed
+  static riskLevel({ reporter_count: reporterCount, confirmed }) {
+    if (confirmed || reporterCount >= HIGH_RISK_REPORTERS) return RISK_LEVELS.HIGH;
+    if (reporterCount >= MEDIUM_RISK_REPORTERS) return RISK_LEVELS.MEDIUM;
+    if (reporterCount > 0) return RISK_LEVELS.LOW;
+    return RISK_LEVELS.NONE;
+  }
+
+  static #registryFilters(filters) {
+    const { type, from, to } = filters;
+    if (type && !ENTITY_TYPES.includes(type)) {
+      throw new EntityError(`'type' must be one of: ${ENTITY_TYPES.join(', ')}`);
+    }
+    const conditions = [sql`TRUE`];
+    if (type) conditions.push(sql`e.entity_type = ${type}`);
+    for (const [value, name, condition] of [
+      [from, 'from', (date) => sql`e.last_reported_at >= ${date}`],
+      [to, 'to', (date) => sql`e.last_reported_at <= ${date}`],
+    ]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new EntityError(`'${name}' must be a valid date`);
+      }
+      conditions.push(condition(date));
+    }
+    return conditions;
+  }
+
+  // Identifiers matching the registry filters, before `min_reports` applies
+  static async registryCount(filters = {}) {
+    const where = EntityService.#registryFilters(filters).reduce((clause, condition) => sql`${clause} AND ${condition}`);
+    const [{ count }] = await sql`SELECT COUNT(*)::integer AS count FROM entities e WHERE ${where}`;
+    return count;
+  }
+
+  // One page of the registry, most recently reported first, with the counts
+  // lookup() gives for each identifier. `after` is the previous page's
+  // `cursor`; filters are `type`, `from`/`to` (last reported) and `min_reports`.
+  static async registry(filters = {}, { after = null, limit = 500 } = {}) {
+    const conditions = EntityService.#registryFilters(filters);
+    const minReports = Math.max(parseInt(filters.min_reports, 10) || 0, 0);
+    if (after) conditions.push(sql`(e.last_reported_at, e.id) < (${after.key}::timestamp, ${after.id})`);
+    const where = conditions.reduce((clause, condition) => sql`${clause} AND ${condition}`);
+
+    const rows = await sql`
+      WITH page AS (
+        SELECT e.* FROM entities e
+        WHERE ${where}
+        ORDER BY e.last_reported_at DESC, e.id DESC
+        LIMIT ${limit}
+      ), complaints AS (
+        SELECT re.entity_id, r.user_id, r.status, r.category
+        FROM report_entities re JOIN reports r ON r.id = re.report_id
+        WHERE re.entity_id IN (SELECT id FROM page) AND re.source = ${LINK_SOURCES.SUBMITTED}
+          AND r.deleted_at IS NULL AND NOT (r.status = ANY(${UNCOUNTED_STATUSES}))
+      ), sightings AS (
+        SELECT entity_id, user_id FROM suspicious_entities
+        WHERE entity_id IN (SELECT id FROM page) AND status <> ${REPORT_STATUSES.REJECTED}
+      )
+      SELECT p.id, p.entity_type, p.normalized_value AS value, p.first_reported_at, p.last_reported_at,
+             p.last_reported_at::text AS cursor_key,
+             (SELECT COUNT(*) FROM complaints c WHERE c.entity_id = p.id)::integer AS complaint_count,
+             (SELECT COUNT(*) FROM sightings s WHERE s.entity_id = p.id)::integer AS suspicious_report_count,
+             (SELECT COUNT(DISTINCT u.user_id) FROM (
+                SELECT user_id FROM complaints WHERE entity_id = p.id
+                UNION ALL SELECT user_id FROM sightings WHERE entity_id = p.id
+              ) u)::integer AS reporter_count,
+             EXISTS (SELECT 1 FROM complaints c WHERE c.entity_id = p.id AND c.status = ANY(${CONFIRMED_STATUSES})) AS confirmed,
+             COALESCE((SELECT array_agg(DISTINCT c.category) FROM complaints c WHERE c.entity_id = p.id), '{}') AS categories
+      FROM page p
+      ORDER BY p.last_reported_at DESC, p.id DESC
+    `;
+
+    const last = rows[rows.length - 1];
+    return {
+      entities: rows
+        .map(({ cursor_key, ...row }) => ({
+          ...row,
+          report_count: row.complaint_count + row.suspicious_report_count,
+          categories: row.categories.map((category) => categoryName(category)),
+          risk_level: EntityService.riskLevel(row)
+        }))
+        .filter((row) => row.report_count >= minReports),
+      cursor: rows.length === limit ? { key: last.cursor_key, id: last.id } : null
+    };
+  }
+}
@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import requestIp from 'request-ip';
+import { v4 as uuidv4 } from 'uuid';
+import { sql } from '../config/db.js';
+import { ServiceError } from './errors.js';
+
+export const CUSTODY_ACTIONS = Object.freeze({
+  UPLOAD: 'upload',
+  VIEW: 'view',
+  DOWNLOAD: 'download',
+  INTEGRITY_FAILURE: 'integrity_failure',
+});
+
+export class EvidenceError extends ServiceError {}
+
+const sha256File = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', (chunk) => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+export class EvidenceService {
+  static async #logCustody(evidenceId, action, actor, req, details = null) {
+    await sql`
+      INSERT INTO evidence_custody_log (id, evidence_id, action, actor_id, actor_role, ip_address, user_agent, details)
+      VALUES (${uuidv4()}, ${evidenceId}, ${action}, ${actor.id}, ${actor.role},
+              ${requestIp.getClientIp(req)}, ${req.get('user-agent') || null}, ${details})
+    `;
+  }
+
+  // Stores metadata and a SHA-256 digest for files multer has written to disk
+  // and opens their custody log. `owner` is { reportId } or { entityId }; a
+  // `messageId` alongside `reportId` ties the files to a thread message.
+  static async attach(files = [], owner, actor, req) {
+    const attached = [];
+    for (const file of files) {
+      const evidenceId = uuidv4();
+      const digest = await sha256File(file.path);
+
+      await sql`
+        INSERT INTO evidence (id, report_id, suspicious_entity_id, message_id, original_name, stored_path,
+                              mime_type, size_bytes, sha256, uploaded_by)
+        VALUES (${evidenceId}, ${owner.reportId || null}, ${owner.entityId || null}, ${owner.messageId || null},
+                ${file.originalname}, ${file.path}, ${file.mimetype}, ${file.size}, ${digest}, ${actor.id})
+      `;
+      await EvidenceService.#logCustody(evidenceId, CUSTODY_ACTIONS.UPLOAD, actor, req);
+
+      attached.push({ id: evidenceId, original_name: file.originalname, sha256: digest });
+    }
+    return attached;
+  }
+
+  // Citizens don't see files attached to internal officer notes
+  static async listForReport(reportId, actor) {
+    const visible = actor?.role === 'USER'
+      ? sql`(m.id IS NULL OR m.visibility = 'public')`
+      : sql`TRUE`;
+    return sql`
+      SELECT e.id, e.original_name, e.mime_type, e.size_bytes, e.sha256, e.message_id, e.uploaded_by, e.uploaded_at
+      FROM evidence e LEFT JOIN report_messages m ON m.id = e.message_id
+      WHERE e.report_id = ${reportId} AND ${visible}
+      ORDER BY e.uploaded_at
+    `;
+  }
+
+  static async listForEntity(entityId) {
+    return sql`
+      SELECT id, original_name, mime_type, size_bytes, sha256, uploaded_by, uploaded_at
+      FROM evidence WHERE suspicious_entity_id = ${entityId}
+      ORDER BY uploaded_at
+    `;
+  }
+
+  // Loads an evidence row after checking the actor may see it: officers and
+  // admins may see everything, citizens only evidence on their own submissions
+  // outside internal notes
+  static async #getForActor(evidenceId, actor) {
+    const evidence = await sql`
+      SELECT e.*, COALESCE(r.user_id, s.user_id) AS owner_id, m.visibility AS message_visibility
+      FROM evidence e
+      LEFT JOIN reports r ON r.id = e.report_id
+      LEFT JOIN suspicious_entities s ON s.id = e.suspicious_entity_id
+      LEFT JOIN report_messages m ON m.id = e.message_id
+      WHERE e.id = ${evidenceId} AND r.deleted_at IS NULL
+    `;
+    if (evidence.length === 0) {
+      throw new EvidenceError('Evidence not found', 404);
+    }
+    if (actor.role === 'USER' && evidence[0].owner_id !== actor.id) {
+      throw new EvidenceError('You can only access evidence you submitted', 403);
+    }
+    if (actor.role === 'USER' && evidence[0].message_visibility === 'internal') {
+      throw new EvidenceError('Evidence not found', 404);
+    }
+    return evidence[0];
+  }
+
+  static async view(evidenceId, actor, req) {
+    const { stored_path, owner_id, message_visibility, ...evidence } = await EvidenceService.#getForActor(evidenceId, actor);
+    await EvidenceService.#logCustody(evidenceId, CUSTODY_ACTIONS.VIEW, actor, req);
+    return evidence;
+  }
+
+  // Re-hashes the stored file before handing it out so a modified file is
+  // never served as evidence; a mismatch is itself logged.
+  static async download(evidenceId, actor, req) {
+    const evidence = await EvidenceService.#getForActor(evidenceId, actor);
+
+    if (!fs.existsSync(evidence.stored_path)) {
+      throw new EvidenceError('Evidence file is missing from storage', 410);
+    }
+
+    const digest = await sha256File(evidence.stored_path);
+    if (digest !== evidence.sha256) {
+      await EvidenceService.#logCustody(
+        evidenceId, CUSTODY_ACTIONS.INTEGRITY_FAILURE, actor, req, `expected ${evidence.sha256}, found ${digest}`
+      );
+      throw new EvidenceError('Evidence integrity check failed', 409);
+    }
+
+    await EvidenceService.#logCustody(evidenceId, CUSTODY_ACTIONS.DOWNLOAD, actor, req);
+    return evidence;
+  }
+
+  static async custodyLog(evidenceId) {
+    return sql`
+      SELECT l.id, l.action, l.actor_id, u.full_name AS actor_name, l.actor_role, l.ip_address,
+             l.user_agent, l.details, l.created_at
+      FROM evidence_custody_log l LEFT JOIN users u ON u.id = l.actor_id
+      WHERE l.evidence_id = ${evidenceId}
+      ORDER BY l.created_at
+    `;
+  }
+}
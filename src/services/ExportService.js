@@ -0,0 +1,303 @@
+import requestIp from 'request-ip';
+import { v4 as uuidv4 } from 'uuid';
+import { sql } from '../config/db.js';
+import { categoryName } from '../config/meta.js';
+import { AUDIT_ACTIONS, AuditService } from './AuditService.js';
+import { DashboardService } from './DashboardService.js';
+import { EntityService } from './EntityService.js';
+import { ReportService } from './ReportService.js';
+import { ServiceError } from './errors.js';
+import { writeCsv, writeJson, writeXlsx } from './documents/tabular.js';
+
+export const EXPORT_DATASETS = Object.freeze({
+  REPORTS: 'reports',
+  ENTITIES: 'entities',
+  ANALYTICS: 'analytics',
+});
+
+export const EXPORT_FORMATS = Object.freeze(['csv', 'xlsx', 'json']);
+
+export const EXPORT_STATUSES = Object.freeze({
+  STARTED: 'started',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+});
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8',
+};
+
+// Larger exports are refused; narrower filters split them up
+const MAX_ROWS = parseInt(process.env.EXPORT_MAX_ROWS || '100000', 10);
+const BATCH_SIZE = 500;
+
+// Only admins get complainants' contact details in full
+const PII_ROLES = ['ADMIN'];
+
+const maskPhone = (phone) => (phone ? `${'*'.repeat(Math.max(String(phone).length - 4, 0))}${String(phone).slice(-4)}` : null);
+
+const maskEmail = (email) => {
+  if (!email) return null;
+  const [local, domain] = String(email).split('@');
+  return `${local.slice(0, 1)}***@${domain || ''}`;
+};
+
+const REPORT_COLUMNS = [
+  { key: 'reference_number', header: 'Reference' },
+  { key: 'created_at', header: 'Filed At' },
+  { key: 'category', header: 'Category' },
+  { key: 'subcategory', header: 'Subcategory' },
+  { key: 'status', header: 'Status' },
+  { key: 'priority', header: 'Priority' },
+  { key: 'location', header: 'Location' },
+  { key: 'amount_lost', header: 'Amount Lost (INR)' },
+  { key: 'assigned_officer', header: 'Assigned Officer' },
+  { key: 'district', header: 'District' },
+  { key: 'duplicate_of', header: 'Duplicate Of' },
+  { key: 'anonymous', header: 'Anonymous' },
+  { key: 'complainant_name', header: 'Complainant' },
+  { key: 'complainant_phone', header: 'Complainant Phone' },
+  { key: 'complainant_email', header: 'Complainant Email' },
+  { key: 'description', header: 'Description' },
+  { key: 'updated_at', header: 'Last Updated' },
+];
+
+const ENTITY_COLUMNS = [
+  { key: 'entity_type', header: 'Type' },
+  { key: 'value', header: 'Identifier' },
+  { key: 'risk_level', header: 'Risk Level' },
+  { key: 'report_count', header: 'Reports' },
+  { key: 'complaint_count', header: 'Complaints' },
+  { key: 'suspicious_report_count', header: 'Suspicious Entity Reports' },
+  { key: 'reporter_count', header: 'Distinct Reporters' },
+  { key: 'confirmed', header: 'Linked To Confirmed Case' },
+  { key: 'categories', header: 'Categories' },
+  { key: 'first_reported_at', header: 'First Reported' },
+  { key: 'last_reported_at', header: 'Last Reported' },
+];
+
+// Analytics series as sheets; CSV and JSON flatten them to one row per value
+const ANALYTICS_SHEETS = [
+  ['Crime Types', 'crimeTypeDistribution', [['name', 'Category'], ['value', 'Reports']]],
+  ['Monthly Trends', 'monthlyTrends', [['month', 'Month'], ['reports', 'Reports'], ['resolved', 'Resolved']]],
+  ['Regions', 'regionWiseData', [['region', 'District'], ['reports', 'Reports'], ['severity', 'Mean Severity (1-5)']]],
+  ['Priority', 'priorityDistribution', [['priority', 'Priority'], ['count', 'Reports']]],
+  ['Response Time', 'responseTimeData', [['week', 'Week Of'], ['avgResponseTime', 'Mean Hours To First Action'], ['reports', 'Reports']]],
+];
+const ANALYTICS_TOTALS = [
+  ['totalReports', 'Total reports'],
+  ['pendingReports', 'Pending'],
+  ['activeInvestigations', 'Active investigations'],
+  ['resolvedCases', 'Resolved'],
+  ['threatsNeutralized', 'Threats neutralized'],
+];
+const ANALYTICS_COLUMNS = [
+  { key: 'series', header: 'Series' },
+  { key: 'label', header: 'Label' },
+  { key: 'metric', header: 'Metric' },
+  { key: 'value', header: 'Value' },
+];
+
+// Wraps an array as a single batch for the tabular writers
+async function* single(rows) {
+  yield rows;
+}
+
+export class ExportError extends ServiceError {}
+
+export class ExportService {
+  static #parse(dataset, format) {
+    if (!Object.values(EXPORT_DATASETS).includes(dataset)) {
+      throw new ExportError(`Unknown export '${dataset}'; use one of: ${Object.values(EXPORT_DATASETS).join(', ')}`, 404);
+    }
+    const value = String(format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(value)) {
+      throw new ExportError(`'format' must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+    return value;
+  }
+
+  static #redactReport(row, redacted) {
+    const report = {
+      ...row,
+      category: categoryName(row.category),
+      amount_lost: row.amount_lost === null ? null : Number(row.amount_lost)
+    };
+    if (!redacted) return report;
+    if (row.anonymous) {
+      return { ...report, complainant_name: 'Anonymous', complainant_phone: null, complainant_email: null };
+    }
+    return {
+      ...report,
+      complainant_phone: maskPhone(row.complainant_phone),
+      complainant_email: maskEmail(row.complainant_email)
+    };
+  }
+
+  // Newest first, in keyset-paginated batches so the whole list is never in memory
+  static async* #reportBatches(where, redacted) {
+    let after = null;
+    for (;;) {
+      const pageWhere = after
+        ? sql`${where} AND (r.created_at, r.id) < (${after.key}::timestamp, ${after.id})`
+        : where;
+      const rows = await sql`
+        SELECT r.id, r.reference_number, r.created_at, r.updated_at, r.category, r.subcategory, r.status, r.priority,
+               r.location, r.amount_lost, r.anonymous, r.description, r.created_at::text AS cursor_key,
+               o.full_name AS assigned_officer, p.district,
+               (SELECT d.reference_number FROM reports d WHERE d.id = r.duplicate_of) AS duplicate_of,
+               u.full_name AS complainant_name, u.phone_number AS complainant_phone, u.email AS complainant_email
+        FROM reports r
+        LEFT JOIN users u ON u.id = r.user_id
+        LEFT JOIN users o ON o.id = r.assigned_officer_id
+        LEFT JOIN officer_profiles p ON p.user_id = r.assigned_officer_id
+        WHERE ${pageWhere}
+        ORDER BY r.created_at DESC, r.id DESC
+        LIMIT ${BATCH_SIZE}
+      `;
+      yield rows.map(({ cursor_key, ...row }) => ExportService.#redactReport(row, redacted));
+      if (rows.length < BATCH_SIZE) return;
+      after = { key: rows[rows.length - 1].cursor_key, id: rows[rows.length - 1].id };
+    }
+  }
+
+  static async* #entityBatches(filters) {
+    let after = null;
+    do {
+      const page = await EntityService.registry(filters, { after, limit: BATCH_SIZE });
+      yield page.entities;
+      after = page.cursor;
+    } while (after);
+  }
+
+  static #analyticsRows(analytics) {
+    const rows = ANALYTICS_TOTALS.map(([key, label]) => ({ series: 'Totals', label, metric: 'count', value: analytics[key] }));
+    for (const [name, key, columns] of ANALYTICS_SHEETS) {
+      const [[labelKey], ...metrics] = columns;
+      for (const item of analytics[key]) {
+        for (const [metric, header] of metrics) {
+          rows.push({ series: name, label: item[labelKey], metric: header, value: item[metric] });
+        }
+      }
+    }
+    return rows;
+  }
+
+  static async #writeAnalytics(format, output, analytics) {
+    const { filters: range } = analytics;
+    const meta = { from: range.from, to: range.to, district: range.district };
+
+    if (format === 'xlsx') {
+      return writeXlsx(output, [
+        {
+          name: 'Summary',
+          columns: [{ key: 'label', header: 'Metric' }, { key: 'value', header: 'Value' }],
+          batches: single([
+            { label: 'From', value: range.from },
+            { label: 'To', value: range.to },
+            { label: 'District', value: range.district || 'All' },
+            ...ANALYTICS_TOTALS.map(([key, label]) => ({ label, value: analytics[key] })),
+          ])
+        },
+        ...ANALYTICS_SHEETS.map(([name, key, columns]) => ({
+          name,
+          columns: columns.map(([columnKey, header]) => ({ key: columnKey, header })),
+          batches: single(analytics[key])
+        })),
+      ]);
+    }
+    const rows = ExportService.#analyticsRows(analytics);
+    return format === 'json'
+      ? writeJson(output, ANALYTICS_COLUMNS, single(rows), meta)
+      : writeCsv(output, ANALYTICS_COLUMNS, single(rows));
+  }
+
+  // Validates the export, checks its size and records it before anything is
+  // sent. Returns the file name and content type for the response, and
+  // `write(output)`, which streams the file and completes the record.
+  static async prepare(dataset, query, actor, req) {
+    const { format: requestedFormat, ...filters } = query;
+    const format = ExportService.#parse(dataset, requestedFormat);
+    const redacted = dataset === EXPORT_DATASETS.REPORTS && !PII_ROLES.includes(actor.role);
+
+    let rowCount = null;
+    let write;
+    if (dataset === EXPORT_DATASETS.REPORTS) {
+      const where = ReportService.filterClause(filters);
+      [{ count: rowCount }] = await sql`SELECT COUNT(*)::integer AS count FROM reports r WHERE ${where}`;
+      write = (output) => {
+        const batches = ExportService.#reportBatches(where, redacted);
+        if (format === 'xlsx') return writeXlsx(output, [{ name: 'Reports', columns: REPORT_COLUMNS, batches }]);
+        return format === 'json' ? writeJson(output, REPORT_COLUMNS, batches) : writeCsv(output, REPORT_COLUMNS, batches);
+      };
+    } else if (dataset === EXPORT_DATASETS.ENTITIES) {
+      rowCount = await EntityService.registryCount(filters);
+      write = (output) => {
+        const batches = ExportService.#entityBatches(filters);
+        if (format === 'xlsx') return writeXlsx(output, [{ name: 'Registry', columns: ENTITY_COLUMNS, batches }]);
+        return format === 'json' ? writeJson(output, ENTITY_COLUMNS, batches) : writeCsv(output, ENTITY_COLUMNS, batches);
+      };
+    } else {
+      const analytics = await DashboardService.getAnalytics(filters);
+      write = (output) => ExportService.#writeAnalytics(format, output, analytics);
+    }
+    if (rowCount !== null && rowCount > MAX_ROWS) {
+      throw new ExportError(`The export has ${rowCount} rows; narrow the filters to at most ${MAX_ROWS}`, 413);
+    }
+
+    const id = uuidv4();
+    await sql`
+      INSERT INTO data_exports (id, actor_id, actor_role, dataset, format, filters, redacted, status, ip_address, user_agent)
+      VALUES (${id}, ${actor.id}, ${actor.role}, ${dataset}, ${format}, ${JSON.stringify(filters)}, ${redacted},
+              ${EXPORT_STATUSES.STARTED}, ${requestIp.getClientIp(req)}, ${req.get('user-agent') || null})
+    `;
+    await AuditService.record(
+      AUDIT_ACTIONS.DATA_EXPORTED,
+      { type: 'export', id, details: { dataset, format, filters, redacted, row_count: rowCount } },
+      actor, req
+    );
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    return {
+      id,
+      filename: `cyberguard-${dataset}-${stamp}.${format}`,
+      contentType: CONTENT_TYPES[format],
+      redacted,
+      write: async (output) => {
+        try {
+          const rows = await write(output);
+          await sql`
+            UPDATE data_exports SET status = ${EXPORT_STATUSES.COMPLETED}, row_count = ${rows}, completed_at = CURRENT_TIMESTAMP
+            WHERE id = ${id}
+          `;
+          return rows;
+        } catch (error) {
+          await sql`
+            UPDATE data_exports SET status = ${EXPORT_STATUSES.FAILED}, error = ${error.message}, completed_at = CURRENT_TIMESTAMP
+            WHERE id = ${id}
+          `;
+          throw error;
+        }
+      }
+    };
+  }
+
+  // The export record for admins, newest first
+  static async list(filters = {}) {
+    const conditions = [sql`TRUE`];
+    if (filters.actor_id) conditions.push(sql`x.actor_id = ${filters.actor_id}`);
+    if (filters.dataset) conditions.push(sql`x.dataset = ${filters.dataset}`);
+    const where = conditions.reduce((clause, condition) => sql`${clause} AND ${condition}`);
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), 500);
+
+    return sql`
+      SELECT x.*, u.full_name AS actor_name
+      FROM data_exports x LEFT JOIN users u ON u.id = x.actor_id
+      WHERE ${where}
+      ORDER BY x.created_at DESC
+      LIMIT ${limit}
+    `;
+  }
+}
@@ -0,0 +1,311 @@
+import { sql } from '../config/db.js';
+import { ENTITY_TYPES, LINK_SOURCES, normalizeEntity } from './EntityService.js';
+import { REPORT_STATUSES } from './ReportService.js';
+import { ServiceError } from './errors.js';
+import { toGraphML } from './intel/graphml.js';
+
+export const GRAPH_FORMATS = Object.freeze(['json', 'graphml']);
+
+// Identifiers linked to more reports than this (e.g. a payment app's domain
+// quoted in many complaints) are shown but not followed, so they don't merge
+// unrelated cases into one ring
+export const MAX_ENTITY_DEGREE = parseInt(process.env.INTEL_MAX_ENTITY_DEGREE || '200', 10);
+const MAX_GRAPH_NODES = 5000;
+
+const DEFAULT_MIN_REPORTS = 2;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Rejected, duplicate and deleted reports are left out of the graph
+const EXCLUDED_STATUSES = [REPORT_STATUSES.REJECTED, REPORT_STATUSES.DUPLICATE];
+const liveReport = () => sql`r.deleted_at IS NULL AND NOT (r.status = ANY(${EXCLUDED_STATUSES}))`;
+// Only identifiers the citizen listed connect reports: ones extracted from a
+// description may be the victim's own number or a legitimate brand's domain
+const submittedLink = (alias) => sql`${sql.unsafe(alias)}.source = ${LINK_SOURCES.SUBMITTED}`;
+
+// Reported loss: the amount the citizen entered, else the one triage extracted
+const reportLoss = () => sql`
+  COALESCE(r.amount_lost, CASE WHEN a.incident_details->>'financial_loss_inr' ~ '^[0-9]+([.][0-9]+)?$'
+                               THEN (a.incident_details->>'financial_loss_inr')::numeric END)
+`;
+
+const reportNodeId = (id) => `report:${id}`;
+const entityNodeId = (id) => `entity:${id}`;
+
+export class IntelError extends ServiceError {}
+
+// Minimal union-find over string keys
+class DisjointSet {
+  #parent = new Map();
+
+  find(key) {
+    if (!this.#parent.has(key)) this.#parent.set(key, key);
+    let root = key;
+    while (this.#parent.get(root) !== root) root = this.#parent.get(root);
+    while (this.#parent.get(key) !== root) {
+      const next = this.#parent.get(key);
+      this.#parent.set(key, root);
+      key = next;
+    }
+    return root;
+  }
+
+  union(a, b) {
+    const rootA = this.find(a);
+    const rootB = this.find(b);
+    if (rootA !== rootB) this.#parent.set(rootA, rootB);
+  }
+}
+
+export class IntelService {
+  static parseFormat(format) {
+    const value = String(format || 'json').toLowerCase();
+    if (!GRAPH_FORMATS.includes(value)) {
+      throw new IntelError(`'format' must be one of: ${GRAPH_FORMATS.join(', ')}`);
+    }
+    return value;
+  }
+
+  static toGraphML(graph, graphId) {
+    return toGraphML(graph, graphId);
+  }
+
+  static async #reportDetails(reportIds) {
+    if (reportIds.length === 0) return [];
+    return sql`
+      SELECT r.id, r.user_id, r.reference_number, r.category, r.status, r.created_at,
+             (${reportLoss()})::float8 AS amount_lost
+      FROM reports r LEFT JOIN report_analysis a ON a.report_id = r.id
+      WHERE r.id = ANY(${reportIds})
+    `;
+  }
+
+  static async #entityDetails(entityIds) {
+    if (entityIds.length === 0) return [];
+    return sql`
+      SELECT e.id, e.entity_type, e.normalized_value,
+             (SELECT COUNT(*) FROM report_entities re JOIN reports r ON r.id = re.report_id
+              WHERE re.entity_id = e.id AND ${submittedLink('re')} AND ${liveReport()})::integer AS report_count,
+             (SELECT COUNT(*) FROM suspicious_entities s WHERE s.entity_id = e.id)::integer AS sighting_count
+      FROM entities e WHERE e.id = ANY(${entityIds})
+    `;
+  }
+
+  // Totals for a set of reports: victims are distinct complainants
+  static #summarize(reports) {
+    const dates = reports.map((report) => new Date(report.created_at).getTime()).filter(Number.isFinite);
+    const categories = {};
+    for (const report of reports) {
+      categories[report.category] = (categories[report.category] || 0) + 1;
+    }
+    return {
+      report_count: reports.length,
+      victim_count: new Set(reports.map((report) => report.user_id)).size,
+      total_loss: Math.round(reports.reduce((total, report) => total + (report.amount_lost || 0), 0) * 100) / 100,
+      categories,
+      first_reported_at: dates.length ? new Date(Math.min(...dates)) : null,
+      last_reported_at: dates.length ? new Date(Math.max(...dates)) : null
+    };
+  }
+
+  static #toGraph(reports, entities, links, clusterOf = () => undefined) {
+    return {
+      nodes: [
+        ...reports.map((report) => ({
+          id: reportNodeId(report.id),
+          kind: 'report',
+          label: report.reference_number || report.id,
+          cluster: clusterOf(reportNodeId(report.id)),
+          reference_number: report.reference_number,
+          category: report.category,
+          status: report.status,
+          amount_lost: report.amount_lost,
+          created_at: report.created_at
+        })),
+        ...entities.map((entity) => ({
+          id: entityNodeId(entity.id),
+          kind: 'entity',
+          label: entity.normalized_value,
+          cluster: clusterOf(entityNodeId(entity.id)),
+          entity_type: entity.entity_type,
+          value: entity.normalized_value,
+          report_count: entity.report_count,
+          sighting_count: entity.sighting_count,
+          hub: entity.report_count > MAX_ENTITY_DEGREE
+        })),
+      ],
+      edges: links.map((link) => ({
+        source: reportNodeId(link.report_id),
+        target: entityNodeId(link.entity_id),
+        link: link.source
+      }))
+    };
+  }
+
+  // Connected groups of reports that share identifiers, largest loss first.
+  // Only clusters with at least `min_reports` reports are returned.
+  static async clusters(filters = {}) {
+    const minReports = Math.max(parseInt(filters.min_reports, 10) || DEFAULT_MIN_REPORTS, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const links = await sql`
+      WITH live AS (
+        SELECT re.report_id, re.entity_id, re.source
+        FROM report_entities re JOIN reports r ON r.id = re.report_id
+        WHERE ${submittedLink('re')} AND ${liveReport()}
+      ), hubs AS (
+        SELECT entity_id FROM live GROUP BY entity_id HAVING COUNT(*) > ${MAX_ENTITY_DEGREE}
+      )
+      SELECT * FROM live WHERE entity_id NOT IN (SELECT entity_id FROM hubs)
+    `;
+
+    const sets = new DisjointSet();
+    for (const link of links) {
+      sets.union(reportNodeId(link.report_id), entityNodeId(link.entity_id));
+    }
+
+    const components = new Map();
+    for (const link of links) {
+      const root = sets.find(reportNodeId(link.report_id));
+      if (!components.has(root)) components.set(root, { reports: new Set(), entities: new Set(), links: [] });
+      const component = components.get(root);
+      component.reports.add(link.report_id);
+      component.entities.add(link.entity_id);
+      component.links.push(link);
+    }
+
+    const rings = [...components.values()].filter((component) => component.reports.size >= minReports);
+    const [reports, entities] = await Promise.all([
+      IntelService.#reportDetails(rings.flatMap((ring) => [...ring.reports])),
+      IntelService.#entityDetails(rings.flatMap((ring) => [...ring.entities])),
+    ]);
+    const reportsById = new Map(reports.map((report) => [report.id, report]));
+    const entitiesById = new Map(entities.map((entity) => [entity.id, entity]));
+
+    const clusters = rings.map((ring) => {
+      const ringEntities = [...ring.entities].map((id) => entitiesById.get(id)).filter(Boolean);
+      const ringReports = [...ring.reports].map((id) => reportsById.get(id)).filter(Boolean);
+      const linksPerEntity = {};
+      for (const link of ring.links) {
+        linksPerEntity[link.entity_id] = (linksPerEntity[link.entity_id] || 0) + 1;
+      }
+      return {
+        // The lowest identifier id keeps the cluster id stable as reports are added
+        cluster_id: [...ring.entities].sort()[0],
+        ...IntelService.#summarize(ringReports),
+        identifiers: ringEntities
+          .map((entity) => ({
+            entity_id: entity.id,
+            type: entity.entity_type,
+            value: entity.normalized_value,
+            cluster_reports: linksPerEntity[entity.id]
+          }))
+          .sort((a, b) => b.cluster_reports - a.cluster_reports),
+        report_ids: ringReports.map((report) => report.id),
+        ring,
+        ringReports,
+        ringEntities
+      };
+    });
+
+    clusters.sort((a, b) => b.total_loss - a.total_loss || b.report_count - a.report_count);
+    const page = clusters.slice(0, limit);
+
+    const clusterOf = new Map();
+    for (const cluster of page) {
+      for (const id of cluster.ring.reports) clusterOf.set(reportNodeId(id), cluster.cluster_id);
+      for (const id of cluster.ring.entities) clusterOf.set(entityNodeId(id), cluster.cluster_id);
+    }
+    const graph = IntelService.#toGraph(
+      page.flatMap((cluster) => cluster.ringReports),
+      page.flatMap((cluster) => cluster.ringEntities),
+      page.flatMap((cluster) => cluster.ring.links),
+      (nodeId) => clusterOf.get(nodeId)
+    );
+
+    return {
+      clusters: page.map(({ ring, ringReports, ringEntities, ...cluster }) => cluster),
+      total: clusters.length,
+      graph
+    };
+  }
+
+  // Accepts a registry entity id or `type:value` (e.g. upi:someone@ybl)
+  static async #resolveEntity(reference) {
+    const separator = reference.indexOf(':');
+    const type = separator > 0 ? reference.slice(0, separator) : null;
+    const entity = type && ENTITY_TYPES.includes(type)
+      ? await sql`
+          SELECT id FROM entities
+          WHERE entity_type = ${type} AND normalized_value = ${normalizeEntity(type, reference.slice(separator + 1))}
+        `
+      : await sql`SELECT id FROM entities WHERE id = ${reference}`;
+    if (entity.length === 0) {
+      throw new IntelError('Identifier not found', 404);
+    }
+    return entity[0].id;
+  }
+
+  // The whole ring around one identifier: every report reachable through
+  // shared identifiers, and every identifier on those reports
+  static async graph(reference) {
+    const startId = await IntelService.#resolveEntity(reference);
+
+    const reportIds = new Set();
+    const entityIds = new Set([startId]);
+    const links = new Map();
+    let frontier = [startId];
+    let truncated = false;
+
+    while (frontier.length > 0) {
+      const toReports = await sql`
+        SELECT re.report_id, re.entity_id, re.source
+        FROM report_entities re JOIN reports r ON r.id = re.report_id
+        WHERE re.entity_id = ANY(${frontier}) AND ${submittedLink('re')} AND ${liveReport()}
+      `;
+      const newReports = [];
+      for (const link of toReports) {
+        links.set(`${link.report_id}:${link.entity_id}`, link);
+        if (!reportIds.has(link.report_id)) {
+          reportIds.add(link.report_id);
+          newReports.push(link.report_id);
+        }
+      }
+      if (newReports.length === 0) break;
+
+      const toEntities = await sql`
+        SELECT re.report_id, re.entity_id, re.source,
+               (SELECT COUNT(*) FROM report_entities re2 JOIN reports r ON r.id = re2.report_id
+                WHERE re2.entity_id = re.entity_id AND ${submittedLink('re2')} AND ${liveReport()})::integer AS degree
+        FROM report_entities re
+        WHERE re.report_id = ANY(${newReports}) AND ${submittedLink('re')}
+      `;
+      frontier = [];
+      for (const link of toEntities) {
+        links.set(`${link.report_id}:${link.entity_id}`, link);
+        if (entityIds.has(link.entity_id)) continue;
+        entityIds.add(link.entity_id);
+        if (link.degree <= MAX_ENTITY_DEGREE) frontier.push(link.entity_id);
+      }
+
+      if (reportIds.size + entityIds.size >= MAX_GRAPH_NODES) {
+        truncated = frontier.length > 0;
+        break;
+      }
+    }
+
+    const [reports, entities] = await Promise.all([
+      IntelService.#reportDetails([...reportIds]),
+      IntelService.#entityDetails([...entityIds]),
+    ]);
+    const graph = IntelService.#toGraph(reports, entities, [...links.values()]);
+    const start = entities.find((entity) => entity.id === startId);
+
+    return {
+      entity: { id: start.id, type: start.entity_type, value: start.normalized_value },
+      ...IntelService.#summarize(reports),
+      truncated,
+      ...graph
+    };
+  }
+}
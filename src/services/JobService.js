@@ -0,0 +1,208 @@
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import { sql } from '../config/db.js';
+import { ServiceError } from './errors.js';
+
+export const JOB_STATUSES = Object.freeze({
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+});
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000', 10);
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '2', 10);
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.JOB_TIMEOUT_MS || String(10 * 60 * 1000), 10);
+const DEFAULT_MAX_ATTEMPTS = 3;
+const BACKOFF_BASE_MS = 5000;
+// Extra time past its timeout before a running job counts as abandoned
+const STALE_GRACE_MS = 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+export class JobError extends ServiceError {}
+
+// type -> { handler, timeoutMs, maxAttempts }
+const handlers = new Map();
+let pollTimer = null;
+let polling = false;
+let active = 0;
+
+export class JobService {
+  // Handlers are called as handler(payload, { signal, progress }). `signal`
+  // aborts when the job times out; `progress(percent)` is optional.
+  static register(type, handler, options = {}) {
+    handlers.set(type, {
+      handler,
+      timeoutMs: options.timeoutMs || DEFAULT_TIMEOUT_MS,
+      maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS
+    });
+  }
+
+  static getHandler(type) {
+    const registered = handlers.get(type);
+    if (!registered) {
+      throw new Error(`No job handler registered for '${type}'`);
+    }
+    return registered.handler;
+  }
+
+  static async enqueue(type, payload, options = {}) {
+    const registered = handlers.get(type);
+    if (!registered) {
+      throw new Error(`No job handler registered for '${type}'`);
+    }
+
+    const job = await sql`
+      INSERT INTO jobs (id, type, payload, max_attempts, timeout_ms, created_by)
+      VALUES (${uuidv4()}, ${type}, ${JSON.stringify(payload ?? {})}, ${options.maxAttempts || registered.maxAttempts},
+              ${options.timeoutMs || registered.timeoutMs}, ${options.createdBy || null})
+      RETURNING id, type, status, created_at
+    `;
+    return job[0];
+  }
+
+  // Public view of a job; citizens may only see jobs they started
+  static async get(jobId, actor) {
+    const job = await sql`
+      SELECT id, type, status, progress, attempts, max_attempts, result, error, created_by,
+             run_at, created_at, started_at, finished_at, updated_at
+      FROM jobs WHERE id = ${jobId}
+    `;
+    if (job.length === 0) {
+      throw new JobError('Job not found', 404);
+    }
+    if (actor.role === 'USER' && job[0].created_by !== actor.id) {
+      throw new JobError('You can only access your own jobs', 403);
+    }
+    return job[0];
+  }
+
+  static start() {
+    if (pollTimer) return;
+    pollTimer = setInterval(() => JobService.#poll(), POLL_INTERVAL_MS);
+    pollTimer.unref();
+    JobService.#poll();
+  }
+
+  static stop() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  static async #poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      await JobService.#recoverStale();
+      while (active < CONCURRENCY) {
+        const job = await JobService.#claim();
+        if (!job) break;
+        active += 1;
+        // A failure to record the outcome is left to stale recovery
+        JobService.#run(job)
+          .catch((error) => console.error(`Job ${job.id} (${job.type}) outcome could not be recorded:`, error))
+          .finally(() => {
+            active -= 1;
+          });
+      }
+    } catch (error) {
+      console.error('Job queue poll error:', error);
+    } finally {
+      polling = false;
+    }
+  }
+
+  // Running jobs whose worker died (e.g. a restart mid-job) are put back in
+  // the queue, or failed once they have used up their attempts
+  static async #recoverStale() {
+    await sql`
+      UPDATE jobs
+      SET status = CASE WHEN attempts >= max_attempts THEN ${JOB_STATUSES.FAILED} ELSE ${JOB_STATUSES.QUEUED} END,
+          error = 'Worker stopped before the job finished',
+          finished_at = CASE WHEN attempts >= max_attempts THEN CURRENT_TIMESTAMP ELSE NULL END,
+          run_at = CURRENT_TIMESTAMP, locked_by = NULL, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE status = ${JOB_STATUSES.RUNNING}
+        AND locked_at < CURRENT_TIMESTAMP - (timeout_ms + ${STALE_GRACE_MS}) * INTERVAL '1 millisecond'
+    `;
+  }
+
+  static async #claim() {
+    const types = [...handlers.keys()];
+    if (types.length === 0) return null;
+
+    const job = await sql`
+      UPDATE jobs
+      SET status = ${JOB_STATUSES.RUNNING}, attempts = attempts + 1, locked_by = ${WORKER_ID},
+          locked_at = CURRENT_TIMESTAMP, started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM jobs
+        WHERE status = ${JOB_STATUSES.QUEUED} AND run_at <= CURRENT_TIMESTAMP AND type = ANY(${types})
+        ORDER BY run_at, created_at
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+      )
+      RETURNING *
+    `;
+    return job[0] || null;
+  }
+
+  static async #run(job) {
+    const { handler } = handlers.get(job.type);
+    const controller = new AbortController();
+    const timer = setTimeout(
+      () => controller.abort(new Error(`Job timed out after ${job.timeout_ms}ms`)),
+      job.timeout_ms
+    );
+    const timedOut = new Promise((_, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason));
+    });
+
+    const progress = async (percent) => {
+      const value = Math.max(0, Math.min(100, Math.round(percent)));
+      await sql`
+        UPDATE jobs SET progress = ${value}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${job.id} AND locked_by = ${WORKER_ID}
+      `;
+    };
+
+    try {
+      const result = await Promise.race([handler(job.payload, { signal: controller.signal, progress }), timedOut]);
+      await sql`
+        UPDATE jobs
+        SET status = ${JOB_STATUSES.SUCCEEDED}, result = ${JSON.stringify(result ?? null)}, error = NULL,
+            progress = 100, finished_at = CURRENT_TIMESTAMP, locked_by = NULL, locked_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${job.id} AND locked_by = ${WORKER_ID}
+      `;
+    } catch (error) {
+      console.error(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed:`, error);
+      await JobService.#fail(job, error);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Retries with exponential backoff until max_attempts is reached
+  static async #fail(job, error) {
+    if (job.attempts < job.max_attempts) {
+      const delayMs = BACKOFF_BASE_MS * 2 ** (job.attempts - 1);
+      await sql`
+        UPDATE jobs
+        SET status = ${JOB_STATUSES.QUEUED}, error = ${error.message},
+            run_at = CURRENT_TIMESTAMP + ${`${delayMs} milliseconds`}::interval,
+            locked_by = NULL, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${job.id} AND locked_by = ${WORKER_ID}
+      `;
+      return;
+    }
+
+    await sql`
+      UPDATE jobs
+      SET status = ${JOB_STATUSES.FAILED}, error = ${error.message}, finished_at = CURRENT_TIMESTAMP,
+          locked_by = NULL, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${job.id} AND locked_by = ${WORKER_ID}
+    `;
+  }
+}
@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { sql } from '../config/db.js';
+import { DataRequestService, DATA_REQUEST_STATUSES } from './DataRequestService.js';
+import { EvidenceService } from './EvidenceService.js';
+import { NOTICE_TEMPLATES, RECIPIENT_TYPE_FOR_REQUEST, noticeBlocks } from './documents/noticeTemplates.js';
+import { renderPdf } from './documents/pdf.js';
+import { ServiceError } from './errors.js';
+
+export const NOTICE_STATUSES = Object.freeze({
+  ISSUED: 'issued',
+  DISPATCHED: 'dispatched',
+  RESPONDED: 'responded',
+});
+
+export const NOTICE_RECIPIENT_TYPES = Object.freeze(Object.keys(NOTICE_TEMPLATES));
+
+export const DISPATCH_METHODS = Object.freeze(['email', 'post', 'portal', 'hand']);
+
+// Days the recipient is given to furnish the information
+const RESPONSE_DAYS = parseInt(process.env.LEGAL_NOTICE_RESPONSE_DAYS || '7', 10);
+
+const noticesDir = () => path.resolve(process.env.NOTICES_DIR || 'notices');
+
+// e.g. CG/LN/2025/000042; the sequence runs across years
+const noticeNumber = (sequence, issuedAt) => `CG/LN/${issuedAt.getFullYear()}/${String(sequence).padStart(6, '0')}`;
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+export class LegalNoticeError extends ServiceError {}
+
+export class LegalNoticeService {
+  // Renders a numbered notice for an approved data request and stores the PDF.
+  // Only the requesting officer (or an admin) issues notices for a request.
+  static async issue(requestId, data, actor) {
+    const request = await DataRequestService.getForActor(requestId, actor);
+    if (request.status !== DATA_REQUEST_STATUSES.APPROVED
+        || (request.expires_at && new Date(request.expires_at) < new Date())) {
+      throw new LegalNoticeError('Notices can only be issued for approved data requests that have not expired', 409);
+    }
+    if (actor.role !== 'ADMIN' && request.officer_id !== actor.id) {
+      throw new LegalNoticeError('Only the requesting officer can issue notices for this request', 403);
+    }
+
+    const recipientName = String(data.recipient_name || '').trim();
+    if (!recipientName) {
+      throw new LegalNoticeError('A recipient name (bank, operator or platform) is required');
+    }
+    const recipientType = data.recipient_type || RECIPIENT_TYPE_FOR_REQUEST[request.request_type];
+    if (!NOTICE_RECIPIENT_TYPES.includes(recipientType)) {
+      throw new LegalNoticeError(`'recipient_type' must be one of: ${NOTICE_RECIPIENT_TYPES.join(', ')}`);
+    }
+    const legalProvision = String(data.legal_provision || '').trim() || NOTICE_TEMPLATES[recipientType].provision;
+
+    const [issuer] = await sql`
+      SELECT u.full_name, p.rank, p.badge_number, p.police_station, p.district
+      FROM users u LEFT JOIN officer_profiles p ON p.user_id = u.id
+      WHERE u.id = ${actor.id}
+    `;
+    const [report] = await sql`SELECT reference_number FROM reports WHERE id = ${request.report_id}`;
+    const [{ sequence }] = await sql`SELECT nextval('legal_notice_number_seq')::integer AS sequence`;
+
+    const id = uuidv4();
+    const issuedAt = new Date();
+    const notice = {
+      id,
+      notice_number: noticeNumber(sequence, issuedAt),
+      request_id: request.id,
+      report_id: request.report_id,
+      reference_number: report?.reference_number,
+      request_type: request.request_type,
+      target_entity: request.target_entity,
+      justification: request.justification,
+      recipient_type: recipientType,
+      recipient_name: recipientName,
+      recipient_address: String(data.recipient_address || '').trim() || null,
+      legal_provision: legalProvision,
+      issued_at: issuedAt,
+      response_due_at: new Date(issuedAt.getTime() + RESPONSE_DAYS * 24 * 60 * 60 * 1000),
+      officer_name: issuer?.full_name,
+      rank: issuer?.rank,
+      badge_number: issuer?.badge_number,
+      police_station: issuer?.police_station,
+      district: issuer?.district
+    };
+
+    const pdf = renderPdf(noticeBlocks(notice), {
+      title: `Notice ${notice.notice_number}`,
+      footer: `Notice No. ${notice.notice_number}`,
+      createdAt: issuedAt
+    });
+    // The row goes in before the file is written, so a failed insert leaves
+    // no numbered PDF behind (the sequence value is still spent, as with any
+    // Postgres sequence)
+    const storedPath = path.join(noticesDir(), `${id}.pdf`);
+    const created = await sql`
+      INSERT INTO legal_notices (id, notice_number, request_id, report_id, recipient_type, recipient_name,
+                                 recipient_address, legal_provision, status, stored_path, sha256, issued_by,
+                                 issued_at, response_due_at)
+      VALUES (${id}, ${notice.notice_number}, ${request.id}, ${request.report_id}, ${recipientType}, ${recipientName},
+              ${notice.recipient_address}, ${legalProvision}, ${NOTICE_STATUSES.ISSUED}, ${storedPath}, ${sha256(pdf)},
+              ${actor.id}, ${issuedAt}, ${notice.response_due_at})
+      RETURNING *
+    `;
+    try {
+      fs.mkdirSync(noticesDir(), { recursive: true });
+      fs.writeFileSync(storedPath, pdf);
+    } catch (error) {
+      await sql`DELETE FROM legal_notices WHERE id = ${id}`;
+      throw error;
+    }
+    return LegalNoticeService.#present(created[0]);
+  }
+
+  static #present({ stored_path, ...notice }) {
+    return {
+      ...notice,
+      response_overdue: notice.status === NOTICE_STATUSES.DISPATCHED && new Date(notice.response_due_at) < new Date()
+    };
+  }
+
+  static async list(requestId, actor) {
+    const request = await DataRequestService.getForActor(requestId, actor);
+    const notices = await sql`
+      SELECT n.*, u.full_name AS issued_by_name
+      FROM legal_notices n LEFT JOIN users u ON u.id = n.issued_by
+      WHERE n.request_id = ${request.id}
+      ORDER BY n.issued_at
+    `;
+    return notices.map((notice) => LegalNoticeService.#present(notice));
+  }
+
+  // Anyone who can see the data request can see its notices
+  static async #getForActor(noticeId, actor) {
+    const notice = await sql`SELECT * FROM legal_notices WHERE id = ${noticeId}`;
+    if (notice.length === 0) {
+      throw new LegalNoticeError('Notice not found', 404);
+    }
+    await DataRequestService.getForActor(notice[0].request_id, actor);
+    return notice[0];
+  }
+
+  // Re-hashes the stored PDF so a modified file is never served
+  static async download(noticeId, actor) {
+    const notice = await LegalNoticeService.#getForActor(noticeId, actor);
+    if (!fs.existsSync(notice.stored_path)) {
+      throw new LegalNoticeError('Notice file is missing from storage', 410);
+    }
+    if (sha256(fs.readFileSync(notice.stored_path)) !== notice.sha256) {
+      throw new LegalNoticeError('Notice integrity check failed', 409);
+    }
+    return notice;
+  }
+
+  static async dispatch(noticeId, data, actor) {
+    const notice = await LegalNoticeService.#getForActor(noticeId, actor);
+    if (!DISPATCH_METHODS.includes(data.method)) {
+      throw new LegalNoticeError(`'method' must be one of: ${DISPATCH_METHODS.join(', ')}`);
+    }
+
+    const updated = await sql`
+      UPDATE legal_notices
+      SET status = ${NOTICE_STATUSES.DISPATCHED}, dispatch_method = ${data.method},
+          dispatch_reference = ${String(data.reference || '').trim() || null},
+          dispatched_by = ${actor.id}, dispatched_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${notice.id} AND status = ${NOTICE_STATUSES.ISSUED}
+      RETURNING *
+    `;
+    if (updated.length === 0) {
+      throw new LegalNoticeError(`The notice is already ${notice.status}`, 409);
+    }
+    return LegalNoticeService.#present(updated[0]);
+  }
+
+  // Records the recipient's reply. Files received with it are attached to the
+  // case as evidence.
+  static async recordResponse(noticeId, data, files, actor, req) {
+    const notice = await LegalNoticeService.#getForActor(noticeId, actor);
+    if (notice.status !== NOTICE_STATUSES.DISPATCHED) {
+      throw new LegalNoticeError(
+        notice.status === NOTICE_STATUSES.ISSUED
+          ? 'Record the dispatch before the response'
+          : 'A response has already been recorded',
+        409
+      );
+    }
+    const notes = String(data.notes || '').trim();
+    if (!notes && (!files || files.length === 0)) {
+      throw new LegalNoticeError('Describe the response in notes or attach the documents received');
+    }
+
+    // The notice is claimed before any evidence is attached, so a concurrent
+    // second response is refused without leaving files on the case
+    const claimed = await sql`
+      UPDATE legal_notices
+      SET status = ${NOTICE_STATUSES.RESPONDED}, response_notes = ${notes || null},
+          response_recorded_by = ${actor.id}, responded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${notice.id} AND status = ${NOTICE_STATUSES.DISPATCHED}
+      RETURNING id
+    `;
+    if (claimed.length === 0) {
+      throw new LegalNoticeError('A response has already been recorded', 409);
+    }
+
+    let evidence;
+    try {
+      evidence = await EvidenceService.attach(files, { reportId: notice.report_id }, actor, req);
+    } catch (error) {
+      await sql`
+        UPDATE legal_notices
+        SET status = ${NOTICE_STATUSES.DISPATCHED}, response_notes = NULL, response_recorded_by = NULL,
+            responded_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${notice.id}
+      `;
+      throw error;
+    }
+    const updated = await sql`
+      UPDATE legal_notices SET response_evidence_ids = ${evidence.map((item) => item.id)}
+      WHERE id = ${notice.id}
+      RETURNING *
+    `;
+    return { ...LegalNoticeService.#present(updated[0]), evidence };
+  }
+}
@@ -0,0 +1,164 @@
+import { v4 as uuidv4 } from 'uuid';
+import { sql } from '../config/db.js';
+import { EvidenceService } from './EvidenceService.js';
+import { NotificationService } from './NotificationService.js';
+import { ServiceError } from './errors.js';
+
+export const MESSAGE_VISIBILITY = Object.freeze({
+  PUBLIC: 'public',
+  INTERNAL: 'internal',
+});
+
+export const MESSAGE_KINDS = Object.freeze({
+  MESSAGE: 'message',
+  NOTE: 'note',
+  INFO_REQUEST: 'info_request',
+});
+
+const MAX_BODY_LENGTH = 5000;
+
+export class MessageError extends ServiceError {}
+
+// Multipart forms send a single value as a string and repeats as an array
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map((item) => String(item).trim()).filter(Boolean);
+};
+
+export class MessageService {
+  // The thread on a report. Citizens see public messages only; officers also
+  // see internal notes. Each message carries its attachments and read receipts.
+  static async list(report, actor) {
+    const visibility = actor.role === 'USER'
+      ? sql`m.visibility = ${MESSAGE_VISIBILITY.PUBLIC}`
+      : sql`TRUE`;
+
+    const messages = await sql`
+      SELECT m.id, m.parent_id, m.kind, m.visibility, m.body, m.requested_items, m.resolved_at,
+             m.author_id, m.author_role, u.full_name AS author_name, m.created_at,
+             COALESCE((
+               SELECT json_agg(json_build_object('user_id', r.user_id, 'role', ru.role, 'read_at', r.read_at)
+                               ORDER BY r.read_at)
+               FROM report_message_reads r JOIN users ru ON ru.id = r.user_id
+               WHERE r.message_id = m.id AND r.user_id IS DISTINCT FROM m.author_id
+             ), '[]') AS read_by,
+             COALESCE((
+               SELECT json_agg(json_build_object('id', e.id, 'original_name', e.original_name,
+                                                 'mime_type', e.mime_type, 'size_bytes', e.size_bytes,
+                                                 'sha256', e.sha256) ORDER BY e.uploaded_at)
+               FROM evidence e WHERE e.message_id = m.id
+             ), '[]') AS attachments,
+             EXISTS (
+               SELECT 1 FROM report_message_reads r WHERE r.message_id = m.id AND r.user_id = ${actor.id}
+             ) AS read
+      FROM report_messages m LEFT JOIN users u ON u.id = m.author_id
+      WHERE m.report_id = ${report.id} AND ${visibility}
+      ORDER BY m.created_at
+    `;
+
+    return messages.map((message) => ({
+      ...message,
+      // Citizens are not shown which officer wrote a message
+      author_name: actor.role === 'USER' && message.author_role !== 'USER' ? null : message.author_name
+    }));
+  }
+
+  // Posts a message. Citizens may only post public messages (optionally in
+  // reply to a request for information, which then counts as answered).
+  // Officers may post public messages, internal notes and info requests.
+  static async post(report, actor, data, files = [], req) {
+    const body = String(data.body || '').trim();
+    if (!body) {
+      throw new MessageError('Message body is required');
+    }
+    if (body.length > MAX_BODY_LENGTH) {
+      throw new MessageError(`Message body must be at most ${MAX_BODY_LENGTH} characters`);
+    }
+
+    const isCitizen = actor.role === 'USER';
+    const kind = isCitizen ? MESSAGE_KINDS.MESSAGE : data.kind || MESSAGE_KINDS.MESSAGE;
+    if (!Object.values(MESSAGE_KINDS).includes(kind)) {
+      throw new MessageError(`'kind' must be one of: ${Object.values(MESSAGE_KINDS).join(', ')}`);
+    }
+
+    // Notes are always internal and info requests always reach the citizen
+    let visibility = MESSAGE_VISIBILITY.PUBLIC;
+    if (kind === MESSAGE_KINDS.NOTE) {
+      visibility = MESSAGE_VISIBILITY.INTERNAL;
+    } else if (!isCitizen && data.visibility === MESSAGE_VISIBILITY.INTERNAL && kind === MESSAGE_KINDS.MESSAGE) {
+      visibility = MESSAGE_VISIBILITY.INTERNAL;
+    }
+
+    const requestedItems = toList(data.requested_items);
+    if (kind === MESSAGE_KINDS.INFO_REQUEST && requestedItems.length === 0) {
+      throw new MessageError('An information request must list the requested_items');
+    }
+
+    let parent = null;
+    if (data.parent_id) {
+      const rows = await sql`
+        SELECT id, kind, visibility FROM report_messages
+        WHERE id = ${data.parent_id} AND report_id = ${report.id}
+      `;
+      parent = rows[0];
+      if (!parent || (isCitizen && parent.visibility !== MESSAGE_VISIBILITY.PUBLIC)) {
+        throw new MessageError('Parent message not found', 404);
+      }
+      if (parent.visibility === MESSAGE_VISIBILITY.INTERNAL && visibility === MESSAGE_VISIBILITY.PUBLIC) {
+        throw new MessageError('Replies to internal notes must stay internal');
+      }
+    }
+
+    const messageId = uuidv4();
+    await sql`
+      INSERT INTO report_messages (id, report_id, parent_id, author_id, author_role, kind, visibility, body,
+                                   requested_items)
+      VALUES (${messageId}, ${report.id}, ${parent?.id || null}, ${actor.id}, ${actor.role}, ${kind}, ${visibility},
+              ${body}, ${kind === MESSAGE_KINDS.INFO_REQUEST ? requestedItems : null})
+    `;
+    await MessageService.markRead(report, actor, [messageId]);
+
+    if (isCitizen && parent?.kind === MESSAGE_KINDS.INFO_REQUEST) {
+      await sql`
+        UPDATE report_messages SET resolved_at = CURRENT_TIMESTAMP
+        WHERE id = ${parent.id} AND resolved_at IS NULL
+      `;
+    }
+
+    const attachments = await EvidenceService.attach(files, { reportId: report.id, messageId }, actor, req);
+    // The complainant hears about every officer message they can see
+    if (kind === MESSAGE_KINDS.INFO_REQUEST) {
+      await NotificationService.notifyUser(report.user_id, 'info_requested', {
+        report_id: report.id,
+        reference_number: report.reference_number,
+        requested_items: requestedItems,
+        message: body
+      });
+    } else if (!isCitizen && visibility === MESSAGE_VISIBILITY.PUBLIC) {
+      await NotificationService.notifyUser(report.user_id, 'message_received', {
+        report_id: report.id,
+        reference_number: report.reference_number,
+        message: body
+      });
+    }
+    return { id: messageId, kind, visibility, parent_id: parent?.id || null, attachments };
+  }
+
+  // Records read receipts for the given messages, or for every message on
+  // the report the actor can see
+  static async markRead(report, actor, messageIds = null) {
+    const visibility = actor.role === 'USER'
+      ? sql`visibility = ${MESSAGE_VISIBILITY.PUBLIC}`
+      : sql`TRUE`;
+    const only = messageIds ? sql`id = ANY(${[].concat(messageIds)})` : sql`TRUE`;
+
+    const marked = await sql`
+      INSERT INTO report_message_reads (message_id, user_id)
+      SELECT id, ${actor.id} FROM report_messages
+      WHERE report_id = ${report.id} AND ${visibility} AND ${only}
+      ON CONFLICT (message_id, user_id) DO NOTHING
+      RETURNING message_id
+    `;
+    return marked.length;
+  }
+}
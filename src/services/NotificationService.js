@@ -0,0 +1,248 @@
+import { v4 as uuidv4 } from 'uuid';
+import { sql } from '../config/db.js';
+import { getDeliveryProvider } from './delivery/index.js';
+import { NOTIFICATION_TEMPLATES } from './notifications/templates.js';
+import { ServiceError } from './errors.js';
+
+export const NOTIFICATION_CHANNELS = Object.freeze({
+  EMAIL: 'email',
+  SMS: 'sms',
+});
+
+export const NOTIFICATION_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+});
+
+const POLL_INTERVAL_MS = parseInt(process.env.NOTIFICATION_POLL_INTERVAL_MS || '5000', 10);
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '5', 10);
+const BATCH_SIZE = 20;
+const BACKOFF_BASE_MS = 30 * 1000;
+// A message left in 'sending' this long is assumed lost with its process
+const STALE_AFTER = '10 minutes';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Priorities that page the admins
+const ALERT_PRIORITIES = ['high', 'critical'];
+
+// The `outbox` provider writes messages to OUTBOX_DIR instead of sending them
+const providerFor = (channel) => getDeliveryProvider(
+  channel === NOTIFICATION_CHANNELS.SMS ? process.env.SMS_PROVIDER : process.env.MAIL_PROVIDER
+);
+
+let pollTimer = null;
+let polling = false;
+
+export class NotificationError extends ServiceError {}
+
+export class NotificationService {
+  static async #enqueue(userId, channel, recipient, template, data) {
+    const rendered = NOTIFICATION_TEMPLATES[template](data);
+    await sql`
+      INSERT INTO notification_outbox (id, user_id, channel, recipient, template, subject, body, payload, max_attempts)
+      VALUES (${uuidv4()}, ${userId}, ${channel}, ${recipient}, ${template},
+              ${channel === NOTIFICATION_CHANNELS.EMAIL ? rendered.subject : null},
+              ${channel === NOTIFICATION_CHANNELS.EMAIL ? rendered.text : rendered.sms},
+              ${JSON.stringify(data)}, ${MAX_ATTEMPTS})
+    `;
+  }
+
+  static #assertTemplate(template) {
+    if (!NOTIFICATION_TEMPLATES[template]) {
+      throw new Error(`Unknown notification template '${template}'`);
+    }
+  }
+
+  // Queues a templated message to a user on every channel they haven't
+  // switched off. Notifications never fail the action that triggered them,
+  // so errors are logged rather than thrown.
+  static async notifyUser(userId, template, data) {
+    NotificationService.#assertTemplate(template);
+    try {
+      const user = await sql`
+        SELECT u.email, u.phone_number,
+               COALESCE(p.email, TRUE) AS email_enabled, COALESCE(p.sms, TRUE) AS sms_enabled
+        FROM users u LEFT JOIN notification_preferences p ON p.user_id = u.id
+        WHERE u.id = ${userId} AND u.is_active = TRUE
+      `;
+      if (user.length === 0) return;
+
+      const { email, phone_number: phone, email_enabled: emailEnabled, sms_enabled: smsEnabled } = user[0];
+      if (emailEnabled && email) {
+        await NotificationService.#enqueue(userId, NOTIFICATION_CHANNELS.EMAIL, email, template, data);
+      }
+      if (smsEnabled && phone) {
+        await NotificationService.#enqueue(userId, NOTIFICATION_CHANNELS.SMS, phone, template, data);
+      }
+    } catch (error) {
+      console.error(`Notification '${template}' for user ${userId} could not be queued:`, error);
+    }
+  }
+
+  // Emails MAILERSEND_TO (comma-separated), or every active admin when unset
+  static async notifyAdmins(template, data) {
+    NotificationService.#assertTemplate(template);
+    try {
+      const recipients = process.env.MAILERSEND_TO
+        ? process.env.MAILERSEND_TO.split(',').map((email) => ({ id: null, email: email.trim() })).filter((r) => r.email)
+        : await sql`SELECT id, email FROM users WHERE role = 'ADMIN' AND is_active = TRUE`;
+
+      for (const recipient of recipients) {
+        await NotificationService.#enqueue(recipient.id, NOTIFICATION_CHANNELS.EMAIL, recipient.email, template, data);
+      }
+    } catch (error) {
+      console.error(`Admin notification '${template}' could not be queued:`, error);
+    }
+  }
+
+  // Alerts the admins when a report is (re)prioritised as high or critical
+  static async alertHighPriority(report, previousPriority = null, summary = null) {
+    if (!ALERT_PRIORITIES.includes(report.priority) || ALERT_PRIORITIES.includes(previousPriority)) return;
+    await NotificationService.notifyAdmins('high_priority_alert', {
+      report_id: report.id,
+      reference_number: report.reference_number,
+      category: report.category,
+      priority: report.priority,
+      location: report.location,
+      summary
+    });
+  }
+
+  static async getPreferences(userId) {
+    const preferences = await sql`SELECT email, sms, updated_at FROM notification_preferences WHERE user_id = ${userId}`;
+    return preferences[0] || { email: true, sms: true, updated_at: null };
+  }
+
+  static async updatePreferences(userId, data) {
+    const current = await NotificationService.getPreferences(userId);
+    const next = { ...current };
+    for (const channel of Object.values(NOTIFICATION_CHANNELS)) {
+      if (data[channel] === undefined) continue;
+      if (typeof data[channel] !== 'boolean') {
+        throw new NotificationError(`'${channel}' must be true or false`);
+      }
+      next[channel] = data[channel];
+    }
+
+    const saved = await sql`
+      INSERT INTO notification_preferences (user_id, email, sms)
+      VALUES (${userId}, ${next.email}, ${next.sms})
+      ON CONFLICT (user_id) DO UPDATE
+      SET email = EXCLUDED.email, sms = EXCLUDED.sms, updated_at = CURRENT_TIMESTAMP
+      RETURNING email, sms, updated_at
+    `;
+    return saved[0];
+  }
+
+  // Outbox listing for admins, newest first
+  static async list(filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const conditions = [sql`TRUE`];
+    if (filters.status) conditions.push(sql`status = ${filters.status}`);
+    if (filters.channel) conditions.push(sql`channel = ${filters.channel}`);
+    if (filters.template) conditions.push(sql`template = ${filters.template}`);
+    if (filters.user_id) conditions.push(sql`user_id = ${filters.user_id}`);
+    const where = conditions.reduce((clause, condition) => sql`${clause} AND ${condition}`);
+
+    return sql`
+      SELECT id, user_id, channel, recipient, template, subject, status, attempts, max_attempts,
+             next_attempt_at, last_error, sent_at, created_at, updated_at
+      FROM notification_outbox
+      WHERE ${where}
+      ORDER BY created_at DESC
+      LIMIT ${limit}
+    `;
+  }
+
+  // Puts a failed message back in the queue with a fresh set of attempts
+  static async retry(notificationId) {
+    const retried = await sql`
+      UPDATE notification_outbox
+      SET status = ${NOTIFICATION_STATUSES.PENDING}, attempts = 0, next_attempt_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${notificationId} AND status = ${NOTIFICATION_STATUSES.FAILED}
+      RETURNING id, status
+    `;
+    if (retried.length === 0) {
+      throw new NotificationError('Only failed notifications can be retried', 409);
+    }
+    return retried[0];
+  }
+
+  static start() {
+    if (pollTimer) return;
+    pollTimer = setInterval(() => NotificationService.#poll(), POLL_INTERVAL_MS);
+    pollTimer.unref();
+    NotificationService.#poll();
+  }
+
+  static stop() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  static async #poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      await sql`
+        UPDATE notification_outbox
+        SET status = ${NOTIFICATION_STATUSES.PENDING}, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE status = ${NOTIFICATION_STATUSES.SENDING} AND locked_at < CURRENT_TIMESTAMP - ${STALE_AFTER}::interval
+      `;
+      const batch = await sql`
+        UPDATE notification_outbox
+        SET status = ${NOTIFICATION_STATUSES.SENDING}, attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (
+          SELECT id FROM notification_outbox
+          WHERE status = ${NOTIFICATION_STATUSES.PENDING} AND next_attempt_at <= CURRENT_TIMESTAMP
+          ORDER BY next_attempt_at, created_at
+          FOR UPDATE SKIP LOCKED
+          LIMIT ${BATCH_SIZE}
+        )
+        RETURNING *
+      `;
+      for (const notification of batch) {
+        await NotificationService.#deliver(notification);
+      }
+    } catch (error) {
+      console.error('Notification outbox poll error:', error);
+    } finally {
+      polling = false;
+    }
+  }
+
+  // Retries with exponential backoff until max_attempts is reached
+  static async #deliver(notification) {
+    const recipient = notification.channel === NOTIFICATION_CHANNELS.SMS
+      ? { phone: notification.recipient }
+      : { email: notification.recipient };
+
+    try {
+      await providerFor(notification.channel).send(recipient, { subject: notification.subject, text: notification.body });
+      await sql`
+        UPDATE notification_outbox
+        SET status = ${NOTIFICATION_STATUSES.SENT}, sent_at = CURRENT_TIMESTAMP, last_error = NULL,
+            locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${notification.id}
+      `;
+    } catch (error) {
+      console.error(`Notification ${notification.id} attempt ${notification.attempts} failed:`, error.message);
+      const exhausted = notification.attempts >= notification.max_attempts;
+      const delayMs = BACKOFF_BASE_MS * 2 ** (notification.attempts - 1);
+      await sql`
+        UPDATE notification_outbox
+        SET status = ${exhausted ? NOTIFICATION_STATUSES.FAILED : NOTIFICATION_STATUSES.PENDING},
+            last_error = ${error.message},
+            next_attempt_at = CURRENT_TIMESTAMP + ${`${delayMs} milliseconds`}::interval,
+            locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${notification.id}
+      `;
+    }
+  }
+}
@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { sql } from '../config/db.js';
+import { getDeliveryProvider } from './delivery/index.js';
+import { ServiceError } from './errors.js';
+
+const OTP_TTL_MS = 10 * 60 * 1000;
+const MAX_VERIFY_ATTEMPTS = 5;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+const MAX_SENDS_PER_WINDOW = 5;
+
+export const OTP_PURPOSES = Object.freeze({
+  REGISTRATION: 'registration',
+  LOGIN: 'login',
+  PASSWORD_RESET: 'password_reset',
+});
+
+const PURPOSE_LABELS = {
+  [OTP_PURPOSES.REGISTRATION]: 'account verification',
+  [OTP_PURPOSES.LOGIN]: 'login',
+  [OTP_PURPOSES.PASSWORD_RESET]: 'password reset',
+};
+
+export class OTPError extends ServiceError {}
+
+export class OTPService {
+  static #generate() {
+    return crypto.randomInt(100000, 1000000).toString();
+  }
+
+  static #message(otp, purpose) {
+    return {
+      subject: 'Your CyberGuard verification code',
+      text: `Your CyberGuard ${PURPOSE_LABELS[purpose]} code is ${otp}. It expires in ${OTP_TTL_MS / 60000} minutes. Do not share it with anyone.`
+    };
+  }
+
+  // Generates a fresh OTP for the user, stores only its hash and delivers it
+  // through the configured provider. The resend cooldown and the hourly send
+  // cap are checked in the same UPDATE that counts the send, so concurrent
+  // requests can't all get past them.
+  static async issue(user, purpose) {
+    const otp = OTPService.#generate();
+    const otpHash = await bcrypt.hash(otp, 10);
+
+    const sendWindow = `${SEND_WINDOW_MS} milliseconds`;
+    const sent = await sql`
+      UPDATE users
+      SET otp = ${otpHash}, otp_expires_at = CURRENT_TIMESTAMP + ${`${OTP_TTL_MS} milliseconds`}::interval,
+          otp_purpose = ${purpose}, otp_attempts = 0, otp_last_sent_at = CURRENT_TIMESTAMP,
+          otp_send_count = CASE WHEN otp_window_started_at > CURRENT_TIMESTAMP - ${sendWindow}::interval
+                                THEN COALESCE(otp_send_count, 0) + 1 ELSE 1 END,
+          otp_window_started_at = CASE WHEN otp_window_started_at > CURRENT_TIMESTAMP - ${sendWindow}::interval
+                                       THEN otp_window_started_at ELSE CURRENT_TIMESTAMP END
+      WHERE id = ${user.id}
+        AND (otp_last_sent_at IS NULL
+             OR otp_last_sent_at <= CURRENT_TIMESTAMP - ${`${RESEND_COOLDOWN_MS} milliseconds`}::interval)
+        AND (otp_window_started_at IS NULL OR otp_window_started_at <= CURRENT_TIMESTAMP - ${sendWindow}::interval
+             OR COALESCE(otp_send_count, 0) < ${MAX_SENDS_PER_WINDOW})
+      RETURNING id
+    `;
+    if (sent.length === 0) {
+      await OTPService.#throttled(user.id);
+    }
+
+    try {
+      const provider = getDeliveryProvider(process.env.OTP_PROVIDER);
+      await provider.send(
+        { phone: user.phone_number, email: user.email },
+        OTPService.#message(otp, purpose)
+      );
+    } catch (error) {
+      // Let the user retry straight away when the provider itself failed
+      await sql`UPDATE users SET otp_last_sent_at = NULL WHERE id = ${user.id}`;
+      throw error;
+    }
+  }
+
+  // Throws the 429 for a send refused by issue(), with how long to wait
+  static async #throttled(userId) {
+    const [state] = await sql`
+      SELECT otp_last_sent_at, otp_window_started_at, otp_send_count FROM users WHERE id = ${userId}
+    `;
+    const now = Date.now();
+    if (state?.otp_last_sent_at) {
+      const elapsed = now - new Date(state.otp_last_sent_at).getTime();
+      if (elapsed < RESEND_COOLDOWN_MS) {
+        throw new OTPError(
+          'Please wait before requesting another OTP',
+          429,
+          Math.ceil((RESEND_COOLDOWN_MS - elapsed) / 1000)
+        );
+      }
+    }
+    const windowStart = state?.otp_window_started_at ? new Date(state.otp_window_started_at).getTime() : now;
+    throw new OTPError(
+      'Too many OTP requests. Please try again later.',
+      429,
+      Math.max(Math.ceil((windowStart + SEND_WINDOW_MS - now) / 1000), 1)
+    );
+  }
+
+  // Re-sends the OTP for whatever challenge is currently pending for the user
+  static async resend(userId) {
+    const user = await sql`SELECT * FROM users WHERE id = ${userId}`;
+    if (user.length === 0 || !user[0].otp_purpose) {
+      throw new OTPError('No pending verification for this user');
+    }
+    await OTPService.issue(user[0], user[0].otp_purpose);
+  }
+
+  // Checks the OTP for the given purpose and returns the user row on success.
+  // Every attempt is counted before comparing so parallel guesses cannot
+  // exceed the cap.
+  static async verify(userId, otp, purpose) {
+    const user = await sql`
+      UPDATE users SET otp_attempts = otp_attempts + 1
+      WHERE id = ${userId} AND otp IS NOT NULL AND otp_purpose = ${purpose} AND otp_expires_at > NOW()
+        AND otp_attempts < ${MAX_VERIFY_ATTEMPTS}
+      RETURNING *
+    `;
+
+    if (user.length === 0) {
+      const pending = await sql`
+        SELECT otp_attempts FROM users
+        WHERE id = ${userId} AND otp IS NOT NULL AND otp_purpose = ${purpose} AND otp_expires_at > NOW()
+      `;
+      if (pending.length > 0 && pending[0].otp_attempts >= MAX_VERIFY_ATTEMPTS) {
+        throw new OTPError('Too many failed attempts. Please request a new OTP.', 429);
+      }
+      throw new OTPError('Invalid or expired OTP');
+    }
+
+    const isValid = await bcrypt.compare(String(otp), user[0].otp);
+    if (!isValid) {
+      throw new OTPError('Invalid or expired OTP');
+    }
+
+    await sql`
+      UPDATE users
+      SET otp = NULL, otp_expires_at = NULL, otp_purpose = NULL, otp_attempts = 0
+      WHERE id = ${userId}
+    `;
+    return user[0];
+  }
+}
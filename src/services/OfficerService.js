@@ -0,0 +1,211 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { v4 as uuidv4 } from 'uuid';
+import { sql } from '../config/db.js';
+import { COMPLAINT_CATEGORIES } from '../config/meta.js';
+import { getDeliveryProvider } from './delivery/index.js';
+import { SessionService } from './SessionService.js';
+import { ServiceError } from './errors.js';
+
+const INVITE_TTL_MS = 72 * 60 * 60 * 1000;
+
+export class OfficerError extends ServiceError {}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Specialisations are complaint category ids, used when auto-assigning cases
+const parseSpecializations = (specializations) => {
+  if (specializations === undefined || specializations === null) return [];
+  const list = Array.isArray(specializations) ? specializations : [specializations];
+  const known = COMPLAINT_CATEGORIES.map((category) => category.id);
+  const unknown = list.filter((id) => !known.includes(id));
+  if (unknown.length > 0) {
+    throw new OfficerError(`Unknown specialisation(s): ${unknown.join(', ')}`);
+  }
+  return [...new Set(list)];
+};
+
+export class OfficerService {
+  static async #sendInvite(officer, token) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const link = `${frontendUrl}/officer/activate?token=${encodeURIComponent(token)}`;
+
+    await getDeliveryProvider(process.env.MAIL_PROVIDER).send(
+      { phone: officer.phone_number, email: officer.email },
+      {
+        subject: 'You have been invited to CyberGuard',
+        text: `Hello ${officer.full_name},\n\nAn administrator has created a CyberGuard officer account for you.\n` +
+          `Your officer ID is ${officer.id}. Set your password within 72 hours using the link below:\n\n${link}\n`
+      }
+    );
+  }
+
+  // Throws unless the proposed supervisor is an active officer outside the
+  // officer's own reporting chain
+  static async #assertValidSupervisor(officerId, supervisorId) {
+    if (!supervisorId) return;
+    if (supervisorId === officerId) {
+      throw new OfficerError('An officer cannot supervise themselves');
+    }
+
+    const supervisor = await sql`
+      SELECT u.id FROM users u JOIN officer_profiles p ON p.user_id = u.id
+      WHERE u.id = ${supervisorId} AND u.is_active = TRUE
+    `;
+    if (supervisor.length === 0) {
+      throw new OfficerError('Supervisor must be an active officer');
+    }
+
+    const chain = await OfficerService.getSupervisorChain(supervisorId);
+    if (chain.some((officer) => officer.user_id === officerId)) {
+      throw new OfficerError('Supervisor assignment would create a cycle');
+    }
+  }
+
+  static async list() {
+    return sql`
+      SELECT u.id, u.full_name, u.email, u.phone_number, u.role, u.is_active, u.is_verified,
+             p.badge_number, p.rank, p.police_station, p.district, p.specializations, p.supervisor_id,
+             p.invited_at, p.activated_at, p.deactivated_at
+      FROM users u JOIN officer_profiles p ON p.user_id = u.id
+      ORDER BY p.district, p.police_station, u.full_name
+    `;
+  }
+
+  static async get(officerId) {
+    const officer = await sql`
+      SELECT u.id, u.full_name, u.email, u.phone_number, u.role, u.is_active, u.is_verified,
+             p.badge_number, p.rank, p.police_station, p.district, p.specializations, p.supervisor_id,
+             p.invited_at, p.activated_at, p.deactivated_at
+      FROM users u JOIN officer_profiles p ON p.user_id = u.id
+      WHERE u.id = ${officerId}
+    `;
+    return officer[0] || null;
+  }
+
+  // Returns the officer's supervisors, nearest first
+  static async getSupervisorChain(officerId) {
+    return sql`
+      WITH RECURSIVE chain AS (
+        SELECT p.user_id, p.supervisor_id, 0 AS depth
+        FROM officer_profiles p WHERE p.user_id = ${officerId}
+        UNION ALL
+        SELECT p.user_id, p.supervisor_id, chain.depth + 1
+        FROM officer_profiles p JOIN chain ON p.user_id = chain.supervisor_id
+        WHERE chain.depth < 20
+      )
+      SELECT chain.user_id, chain.depth, u.full_name, p.rank, p.police_station, p.district
+      FROM chain
+      JOIN users u ON u.id = chain.user_id
+      JOIN officer_profiles p ON p.user_id = chain.user_id
+      WHERE chain.depth > 0
+      ORDER BY chain.depth
+    `;
+  }
+
+  // Creates an unverified officer account and sends a one-time invite link
+  static async invite(data, adminId) {
+    const { full_name, email, phone_number, badge_number, rank, police_station, district, supervisor_id } = data;
+    const specializations = parseSpecializations(data.specializations);
+
+    if (!full_name || !email || !phone_number || !badge_number || !rank || !police_station || !district) {
+      throw new OfficerError('Name, email, phone, badge number, rank, police station and district are required');
+    }
+
+    const existing = await sql`
+      SELECT u.id FROM users u LEFT JOIN officer_profiles p ON p.user_id = u.id
+      WHERE u.email = ${email} OR u.phone_number = ${phone_number} OR p.badge_number = ${badge_number}
+    `;
+    if (existing.length > 0) {
+      throw new OfficerError('A user with this email, phone number or badge number already exists', 409);
+    }
+
+    const officerId = uuidv4();
+    await OfficerService.#assertValidSupervisor(officerId, supervisor_id);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await sql`
+      INSERT INTO users (id, full_name, phone_number, email, role, is_verified)
+      VALUES (${officerId}, ${full_name}, ${phone_number}, ${email}, 'OFFICER', FALSE)
+    `;
+    await sql`
+      INSERT INTO officer_profiles (user_id, badge_number, rank, police_station, district, specializations,
+                                    supervisor_id, invited_by, invite_token_hash, invite_expires_at)
+      VALUES (${officerId}, ${badge_number}, ${rank}, ${police_station}, ${district}, ${specializations},
+              ${supervisor_id || null}, ${adminId}, ${hashToken(token)}, ${new Date(Date.now() + INVITE_TTL_MS)})
+    `;
+
+    await OfficerService.#sendInvite({ id: officerId, full_name, email, phone_number }, token);
+    return officerId;
+  }
+
+  // Sets the password on first login using the invite token
+  static async activate(token, password) {
+    const profile = await sql`
+      SELECT user_id FROM officer_profiles
+      WHERE invite_token_hash = ${hashToken(String(token))} AND invite_expires_at > NOW()
+    `;
+    if (profile.length === 0) {
+      throw new OfficerError('Invalid or expired invitation');
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    await sql`
+      UPDATE users
+      SET password_hash = ${passwordHash}, is_verified = TRUE, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${profile[0].user_id}
+    `;
+    await sql`
+      UPDATE officer_profiles
+      SET invite_token_hash = NULL, invite_expires_at = NULL, activated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ${profile[0].user_id}
+    `;
+    return profile[0].user_id;
+  }
+
+  static async update(officerId, data) {
+    const officer = await OfficerService.get(officerId);
+    if (!officer) {
+      throw new OfficerError('Officer not found', 404);
+    }
+
+    const supervisorId = data.supervisor_id === undefined ? officer.supervisor_id : data.supervisor_id || null;
+    const specializations = data.specializations === undefined
+      ? officer.specializations
+      : parseSpecializations(data.specializations);
+    if (supervisorId !== officer.supervisor_id) {
+      await OfficerService.#assertValidSupervisor(officerId, supervisorId);
+    }
+
+    await sql`
+      UPDATE officer_profiles
+      SET rank = ${data.rank ?? officer.rank},
+          police_station = ${data.police_station ?? officer.police_station},
+          district = ${data.district ?? officer.district},
+          specializations = ${specializations},
+          supervisor_id = ${supervisorId},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ${officerId}
+    `;
+    return OfficerService.get(officerId);
+  }
+
+  // Blocks further logins and revokes every open session
+  static async deactivate(officerId) {
+    const officer = await sql`
+      UPDATE users SET is_active = FALSE, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${officerId} AND role = 'OFFICER'
+      RETURNING id
+    `;
+    if (officer.length === 0) {
+      throw new OfficerError('Officer not found', 404);
+    }
+
+    await sql`
+      UPDATE officer_profiles SET deactivated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ${officerId}
+    `;
+    await SessionService.revokeAll(officerId);
+  }
+}
@@ -0,0 +1,186 @@
+import { spawn } from 'child_process';
+import readline from 'readline';
+
+const HEALTH_INTERVAL_MS = 30 * 1000;
+const HEALTH_TIMEOUT_MS = 10 * 1000;
+const MAX_RESTART_DELAY_MS = 30 * 1000;
+
+// A fixed set of long-lived Python processes speaking line-delimited JSON-RPC
+// over stdio. Each worker handles one request at a time, so the pool size is
+// the concurrency limit; further calls wait in a FIFO queue. A running call
+// is cancelled by killing its worker, which is then restarted.
+export class PythonWorkerPool {
+  #workers = [];
+  #queue = [];
+  #nextId = 1;
+  #healthTimer = null;
+  #closed = false;
+
+  constructor({ script, size = 2, python = 'python' }) {
+    this.script = script;
+    this.size = Math.max(1, size);
+    this.python = python;
+  }
+
+  // Workers are started on first use so importing AIService stays cheap
+  #ensureStarted() {
+    if (this.#workers.length > 0 || this.#closed) return;
+    for (let slot = 0; slot < this.size; slot++) {
+      this.#spawn(slot, 0);
+    }
+    this.#healthTimer = setInterval(() => this.#checkHealth(), HEALTH_INTERVAL_MS);
+    this.#healthTimer.unref();
+  }
+
+  #spawn(slot, restarts) {
+    const child = spawn(this.python, ['-u', this.script], { stdio: ['pipe', 'pipe', 'inherit'] });
+    const worker = { slot, child, restarts, current: null, retired: false };
+    this.#workers[slot] = worker;
+
+    readline.createInterface({ input: child.stdout }).on('line', (line) => this.#onMessage(worker, line));
+    child.on('error', (error) => this.#retire(worker, error));
+    child.on('exit', (code, signal) => {
+      this.#retire(worker, new Error(`Python worker exited with ${signal || `code ${code}`}`));
+    });
+    // Writes after the worker died surface as EPIPE on stdin
+    child.stdin.on('error', () => {});
+
+    this.#dispatch();
+  }
+
+  #onMessage(worker, line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      console.error(`Python worker ${worker.slot} wrote a non-JSON line:`, line);
+      return;
+    }
+
+    const request = worker.current;
+    if (!request || message.id !== request.id) return;
+
+    worker.current = null;
+    worker.restarts = 0;
+    request.cleanup();
+    if (message.error) {
+      request.reject(new Error(message.error.message));
+    } else {
+      request.resolve(message.result);
+    }
+    this.#dispatch();
+  }
+
+  // Fails the in-flight request and schedules a replacement with backoff
+  #retire(worker, error) {
+    if (worker.retired) return;
+    worker.retired = true;
+
+    const request = worker.current;
+    worker.current = null;
+    if (request) {
+      request.cleanup();
+      request.reject(request.cancelReason || error);
+    }
+
+    if (this.#closed) return;
+    if (!request?.cancelReason) {
+      console.error(`Python worker ${worker.slot} stopped:`, error.message);
+    }
+
+    // Cancellation is routine, so only crashes count towards the backoff
+    const restarts = request?.cancelReason ? 0 : worker.restarts + 1;
+    const delay = restarts === 0 ? 0 : Math.min(1000 * 2 ** (restarts - 1), MAX_RESTART_DELAY_MS);
+    setTimeout(() => {
+      if (!this.#closed) this.#spawn(worker.slot, restarts);
+    }, delay).unref();
+  }
+
+  #dispatch() {
+    while (this.#queue.length > 0) {
+      const worker = this.#workers.find((candidate) => candidate && !candidate.retired && !candidate.current);
+      if (!worker) return;
+      this.#send(worker, this.#queue.shift());
+    }
+  }
+
+  #send(worker, request) {
+    worker.current = request;
+    request.worker = worker;
+    worker.child.stdin.write(
+      `${JSON.stringify({ jsonrpc: '2.0', id: request.id, method: request.method, params: request.params })}\n`
+    );
+  }
+
+  #cancel(request, reason) {
+    if (request.worker) {
+      request.cancelReason = reason;
+      request.worker.child.kill('SIGKILL');
+      return;
+    }
+    this.#queue = this.#queue.filter((queued) => queued !== request);
+    request.cleanup();
+    request.reject(reason);
+  }
+
+  // Pings idle workers; one that doesn't answer in time is killed and restarted
+  #checkHealth() {
+    for (const worker of this.#workers) {
+      if (!worker || worker.retired || worker.current) continue;
+
+      const request = this.#createRequest('ping', {}, () => {}, () => {});
+      const timer = setTimeout(() => {
+        console.error(`Python worker ${worker.slot} failed its health check; restarting`);
+        this.#cancel(request, new Error('Health check timed out'));
+      }, HEALTH_TIMEOUT_MS);
+      request.cleanup = () => clearTimeout(timer);
+      this.#send(worker, request);
+    }
+  }
+
+  #createRequest(method, params, resolve, reject) {
+    return { id: this.#nextId++, method, params, resolve, reject, cleanup: () => {}, worker: null, cancelReason: null };
+  }
+
+  // Calls a worker method. Aborting `options.signal` rejects the call and,
+  // if it has started, kills the worker running it.
+  call(method, params = {}, options = {}) {
+    const { signal } = options;
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    this.#ensureStarted();
+
+    return new Promise((resolve, reject) => {
+      const request = this.#createRequest(method, params, resolve, reject);
+      if (signal) {
+        const onAbort = () => this.#cancel(request, signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        request.cleanup = () => signal.removeEventListener('abort', onAbort);
+      }
+      this.#queue.push(request);
+      this.#dispatch();
+    });
+  }
+
+  stats() {
+    return {
+      size: this.size,
+      running: this.#workers.filter((worker) => worker && !worker.retired).length,
+      busy: this.#workers.filter((worker) => worker?.current).length,
+      queued: this.#queue.length
+    };
+  }
+
+  close() {
+    this.#closed = true;
+    clearInterval(this.#healthTimer);
+    for (const request of this.#queue.splice(0)) {
+      request.cleanup();
+      request.reject(new Error('Python worker pool is closed'));
+    }
+    for (const worker of this.#workers) {
+      worker?.child.kill();
+    }
+  }
+}
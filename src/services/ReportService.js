@@ -0,0 +1,290 @@
+import { v4 as uuidv4 } from 'uuid';
+import { escapeLike, sql } from '../config/db.js';
+import { NotificationService } from './NotificationService.js';
+import { ServiceError } from './errors.js';
+
+export const REPORT_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  UNDER_REVIEW: 'under_review',
+  INVESTIGATING: 'investigating',
+  RESOLVED: 'resolved',
+  CLOSED: 'closed',
+  REJECTED: 'rejected',
+  DUPLICATE: 'duplicate',
+});
+
+// Statuses that still need work from the assigned officer
+export const OPEN_STATUSES = Object.freeze([
+  REPORT_STATUSES.PENDING, REPORT_STATUSES.UNDER_REVIEW, REPORT_STATUSES.INVESTIGATING,
+]);
+
+export const REPORT_PRIORITIES = Object.freeze(['low', 'medium', 'high', 'critical']);
+
+// Allowed next statuses for each status; an empty list means terminal
+const TRANSITIONS = {
+  [REPORT_STATUSES.PENDING]: [REPORT_STATUSES.UNDER_REVIEW, REPORT_STATUSES.REJECTED],
+  [REPORT_STATUSES.UNDER_REVIEW]: [REPORT_STATUSES.INVESTIGATING, REPORT_STATUSES.CLOSED, REPORT_STATUSES.REJECTED],
+  [REPORT_STATUSES.INVESTIGATING]: [REPORT_STATUSES.RESOLVED, REPORT_STATUSES.CLOSED, REPORT_STATUSES.REJECTED],
+  [REPORT_STATUSES.RESOLVED]: [REPORT_STATUSES.CLOSED],
+  [REPORT_STATUSES.CLOSED]: [],
+  [REPORT_STATUSES.REJECTED]: [],
+  // Duplicates are reopened through DuplicateService, which also clears the link
+  [REPORT_STATUSES.DUPLICATE]: [],
+};
+
+// Fields officers may edit directly through PUT /api/reports/:id
+const EDITABLE_FIELDS = ['category', 'subcategory', 'location', 'priority'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Sort keys for GET /api/reports. `cast` turns a cursor value (the key's
+// text form) back into something comparable with `expr`.
+const SORTS = {
+  created_at: { expr: () => sql`r.created_at`, cast: (value) => sql`${value}::timestamp` },
+  updated_at: { expr: () => sql`r.updated_at`, cast: (value) => sql`${value}::timestamp` },
+  priority: {
+    expr: () => sql`CASE r.priority WHEN 'critical' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END`,
+    cast: (value) => sql`${value}::integer`
+  },
+  relevance: {
+    expr: (q) => sql`ts_rank(to_tsvector('english', r.description), websearch_to_tsquery('english', ${q}))`,
+    cast: (value) => sql`${value}::real`
+  },
+};
+
+const encodeCursor = (sortKey, id) => Buffer.from(JSON.stringify([sortKey, id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [sortKey, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof sortKey !== 'string' || typeof id !== 'string') throw new Error('Malformed cursor');
+    return { sortKey, id };
+  } catch {
+    throw new ReportError('Invalid cursor');
+  }
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ReportError(`'${name}' must be a valid date`);
+  }
+  return date;
+};
+
+export class ReportError extends ServiceError {}
+
+export class ReportService {
+  static allowedTransitions(status) {
+    return TRANSITIONS[status] || [];
+  }
+
+  // Citizen-facing reference, e.g. CG-20240131-1A2B3C4D. Older reports are
+  // backfilled with the same format in initializeDatabase.
+  static referenceNumber(reportId, createdAt = new Date()) {
+    const day = createdAt.toISOString().slice(0, 10).replace(/-/g, '');
+    return `CG-${day}-${reportId.slice(0, 8).toUpperCase()}`;
+  }
+
+  // Optional amount (INR) lost to the scam; blank means unknown
+  static parseAmountLost(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new ReportError("'amount_lost' must be a non-negative number");
+    }
+    return Math.round(amount * 100) / 100;
+  }
+
+  static async get(reportId) {
+    const report = await sql`SELECT * FROM reports WHERE id = ${reportId} AND deleted_at IS NULL`;
+    return report[0] || null;
+  }
+
+  // Citizens may only see their own reports; officers and admins see all
+  static async getForActor(reportId, actor) {
+    const report = await ReportService.get(reportId);
+    if (!report) {
+      throw new ReportError('Report not found', 404);
+    }
+    if (actor.role === 'USER' && report.user_id !== actor.id) {
+      throw new ReportError('You can only access your own reports', 403);
+    }
+    return report;
+  }
+
+  // WHERE clause (on `reports r`) for the officer queue filters; shared
+  // with exports
+  static filterClause(filters = {}) {
+    const { status, category, subcategory, priority, location, anonymous, from, to, q, assigned_to } = filters;
+    const conditions = [sql`r.deleted_at IS NULL`];
+    if (status) conditions.push(sql`r.status = ${status}`);
+    if (category) conditions.push(sql`r.category = ${category}`);
+    if (subcategory) conditions.push(sql`r.subcategory = ${subcategory}`);
+    if (priority) conditions.push(sql`r.priority = ${priority}`);
+    if (location) conditions.push(sql`r.location ILIKE ${`%${escapeLike(location)}%`} ESCAPE '\\'`);
+    if (anonymous !== undefined && anonymous !== '') conditions.push(sql`r.anonymous = ${anonymous === 'true'}`);
+    if (from) conditions.push(sql`r.created_at >= ${parseDate(from, 'from')}`);
+    if (to) conditions.push(sql`r.created_at <= ${parseDate(to, 'to')}`);
+    if (assigned_to === 'none') conditions.push(sql`r.assigned_officer_id IS NULL`);
+    else if (assigned_to) conditions.push(sql`r.assigned_officer_id = ${assigned_to}`);
+    if (q) {
+      conditions.push(sql`to_tsvector('english', r.description) @@ websearch_to_tsquery('english', ${q})`);
+    }
+    return conditions.reduce((clause, condition) => sql`${clause} AND ${condition}`);
+  }
+
+  // Filtered, sorted, cursor-paginated listing for the officer queue. Returns
+  // the page, the total number of matching reports and the next cursor.
+  static async search(filters = {}) {
+    const { q, cursor } = filters;
+    const sort = filters.sort || (q ? 'relevance' : 'created_at');
+    const order = String(filters.order || 'desc').toLowerCase();
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    if (!SORTS[sort] || (sort === 'relevance' && !q)) {
+      throw new ReportError(`'sort' must be one of: created_at, updated_at, priority${q ? ', relevance' : ''}`);
+    }
+    if (order !== 'asc' && order !== 'desc') {
+      throw new ReportError("'order' must be 'asc' or 'desc'");
+    }
+
+    const where = ReportService.filterClause(filters);
+    const sortExpr = SORTS[sort].expr(q);
+
+    let pageWhere = where;
+    if (cursor) {
+      const { sortKey, id } = decodeCursor(cursor);
+      const after = sql`(${sortExpr}, r.id) ${sql.unsafe(order === 'desc' ? '<' : '>')} (${SORTS[sort].cast(sortKey)}, ${id})`;
+      pageWhere = sql`${where} AND ${after}`;
+    }
+
+    const direction = sql.unsafe(order === 'desc' ? 'DESC' : 'ASC');
+    const rows = await sql`
+      SELECT r.*, (${sortExpr})::text AS sort_key
+      FROM reports r
+      WHERE ${pageWhere}
+      ORDER BY ${sortExpr} ${direction}, r.id ${direction}
+      LIMIT ${limit + 1}
+    `;
+    const total = await sql`SELECT COUNT(*)::integer AS count FROM reports r WHERE ${where}`;
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      reports: page.map(({ sort_key, ...report }) => report),
+      total: total[0].count,
+      limit,
+      next_cursor: rows.length > limit ? encodeCursor(last.sort_key, last.id) : null
+    };
+  }
+
+  static async recordHistory(reportId, fromStatus, toStatus, reason, actor) {
+    await sql`
+      INSERT INTO report_status_history (id, report_id, from_status, to_status, reason, actor_id, actor_role)
+      VALUES (${uuidv4()}, ${reportId}, ${fromStatus}, ${toStatus}, ${reason}, ${actor.id}, ${actor.role})
+    `;
+  }
+
+  // Moves the report to a new status if the state machine allows it. The
+  // update is conditional on the status read so concurrent changes can't
+  // both succeed.
+  static async transition(reportId, toStatus, reason, actor) {
+    if (!reason || !String(reason).trim()) {
+      throw new ReportError('A reason is required to change the status');
+    }
+
+    const report = await ReportService.get(reportId);
+    if (!report) {
+      throw new ReportError('Report not found', 404);
+    }
+    if (!ReportService.allowedTransitions(report.status).includes(toStatus)) {
+      throw new ReportError(`Cannot change status from '${report.status}' to '${toStatus}'`, 409);
+    }
+
+    const updated = await sql`
+      UPDATE reports SET status = ${toStatus}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${reportId} AND status = ${report.status} AND deleted_at IS NULL
+      RETURNING *
+    `;
+    if (updated.length === 0) {
+      throw new ReportError('Report was modified concurrently; please retry', 409);
+    }
+
+    await ReportService.recordHistory(reportId, report.status, toStatus, String(reason).trim(), actor);
+    await NotificationService.notifyUser(report.user_id, 'status_changed', {
+      report_id: reportId,
+      reference_number: report.reference_number,
+      previous_status: report.status,
+      status: toStatus
+    });
+    return updated[0];
+  }
+
+  // Applies editable field changes and, when `status` is given, a transition
+  static async update(reportId, data, actor) {
+    let report = await ReportService.get(reportId);
+    if (!report) {
+      throw new ReportError('Report not found', 404);
+    }
+
+    if (data.priority !== undefined && !REPORT_PRIORITIES.includes(data.priority)) {
+      throw new ReportError(`Priority must be one of: ${REPORT_PRIORITIES.join(', ')}`);
+    }
+
+    // The status change goes first, since it is the step that can be refused
+    // (no reason, a disallowed or concurrent transition); nothing else is
+    // saved or alerted when it is
+    if (data.status !== undefined && data.status !== report.status) {
+      report = await ReportService.transition(reportId, data.status, data.reason, actor);
+    }
+
+    const previousPriority = report.priority;
+    const changes = Object.fromEntries(
+      EDITABLE_FIELDS.filter((field) => data[field] !== undefined).map((field) => [field, data[field]])
+    );
+    if (Object.keys(changes).length > 0) {
+      const next = { ...report, ...changes };
+      const updated = await sql`
+        UPDATE reports
+        SET category = ${next.category}, subcategory = ${next.subcategory}, location = ${next.location},
+            priority = ${next.priority},
+            priority_set_by = ${changes.priority !== undefined ? actor.id : report.priority_set_by},
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${reportId}
+        RETURNING *
+      `;
+      report = updated[0];
+      await NotificationService.alertHighPriority(report, previousPriority);
+    }
+
+    return report;
+  }
+
+  static async softDelete(reportId, reason, actor) {
+    const deleted = await sql`
+      UPDATE reports
+      SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ${actor.id}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${reportId} AND deleted_at IS NULL
+      RETURNING status
+    `;
+    if (deleted.length === 0) {
+      throw new ReportError('Report not found', 404);
+    }
+
+    await ReportService.recordHistory(
+      reportId, deleted[0].status, deleted[0].status, reason ? `Deleted: ${reason}` : 'Deleted', actor
+    );
+  }
+
+  static async history(reportId) {
+    return sql`
+      SELECT h.id, h.from_status, h.to_status, h.reason, h.actor_id, u.full_name AS actor_name,
+             h.actor_role, h.created_at
+      FROM report_status_history h LEFT JOIN users u ON u.id = h.actor_id
+      WHERE h.report_id = ${reportId}
+      ORDER BY h.created_at
+    `;
+  }
+}
@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import requestIp from 'request-ip';
+import { v4 as uuidv4 } from 'uuid';
+import { sql } from '../config/db.js';
+import { JWT_SECRET, ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL_DAYS } from '../config/auth.js';
+import { AUDIT_ACTIONS, AuditService } from './AuditService.js';
+import { ServiceError } from './errors.js';
+
+export class SessionError extends ServiceError {
+  constructor(message, status = 401) {
+    super(message, status);
+  }
+}
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+export class SessionService {
+  static #accessToken(user, sessionId) {
+    return jwt.sign(
+      { userId: user.id, role: user.role, sid: sessionId },
+      JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  // Refresh tokens are "<session id>.<secret>"; only the secret's hash is stored
+  static #refreshToken(sessionId) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+  }
+
+  static #expiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  // Opens a new session for a user who has just completed login
+  static async create(user, req) {
+    const sessionId = uuidv4();
+    const refresh = SessionService.#refreshToken(sessionId);
+
+    await sql`
+      INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+      VALUES (${sessionId}, ${user.id}, ${refresh.hash}, ${req.get('user-agent') || null},
+              ${requestIp.getClientIp(req)}, ${SessionService.#expiry()})
+    `;
+    await AuditService.record(AUDIT_ACTIONS.LOGIN, { type: 'session', id: sessionId }, user, req);
+
+    return {
+      token: SessionService.#accessToken(user, sessionId),
+      refresh_token: refresh.token
+    };
+  }
+
+  // Exchanges a refresh token for a new access token and a rotated refresh
+  // token. Presenting an already-rotated token means it was copied, so the
+  // whole session is revoked.
+  static async refresh(refreshToken, req) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret) {
+      throw new SessionError('Invalid refresh token');
+    }
+
+    const session = await sql`
+      SELECT s.*, u.role FROM sessions s JOIN users u ON u.id = s.user_id
+      WHERE s.id = ${sessionId}
+    `;
+    if (session.length === 0 || session[0].revoked_at || new Date(session[0].expires_at) <= new Date()) {
+      throw new SessionError('Session expired or revoked');
+    }
+
+    if (hashToken(secret) !== session[0].refresh_token_hash) {
+      await SessionService.revoke(sessionId, session[0].user_id);
+      throw new SessionError('Refresh token reuse detected; session revoked');
+    }
+
+    const refresh = SessionService.#refreshToken(sessionId);
+    const rotated = await sql`
+      UPDATE sessions
+      SET refresh_token_hash = ${refresh.hash}, last_used_at = CURRENT_TIMESTAMP,
+          ip_address = ${requestIp.getClientIp(req)}, expires_at = ${SessionService.#expiry()}
+      WHERE id = ${sessionId} AND refresh_token_hash = ${session[0].refresh_token_hash} AND revoked_at IS NULL
+      RETURNING id
+    `;
+    if (rotated.length === 0) {
+      throw new SessionError('Session expired or revoked');
+    }
+
+    return {
+      token: SessionService.#accessToken({ id: session[0].user_id, role: session[0].role }, sessionId),
+      refresh_token: refresh.token
+    };
+  }
+
+  static async isActive(sessionId) {
+    const session = await sql`
+      SELECT id FROM sessions WHERE id = ${sessionId} AND revoked_at IS NULL AND expires_at > NOW()
+    `;
+    return session.length > 0;
+  }
+
+  static async list(userId) {
+    return sql`
+      SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+      FROM sessions
+      WHERE user_id = ${userId} AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY COALESCE(last_used_at, created_at) DESC
+    `;
+  }
+
+  static async revoke(sessionId, userId) {
+    const revoked = await sql`
+      UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = ${sessionId} AND user_id = ${userId} AND revoked_at IS NULL
+      RETURNING id
+    `;
+    return revoked.length > 0;
+  }
+
+  static async revokeAll(userId) {
+    await sql`
+      UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE user_id = ${userId} AND revoked_at IS NULL
+    `;
+  }
+}
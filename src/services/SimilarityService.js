@@ -0,0 +1,276 @@
+import { sql } from '../config/db.js';
+import { AIService } from './AIService.js';
+import { ServiceError } from './errors.js';
+
+export const SIMILARITY_SOURCES = Object.freeze({
+  REPORT: 'report',
+  SUSPICIOUS_ENTITY: 'suspicious_entity',
+});
+
+// Weights from match_score in src/models/database_similarity/database.py:
+// each shared strong identifier type, same location, same category, and a
+// small bonus for description similarity above PATTERN_MIN_SIMILARITY
+const STRONG_WEIGHT = 0.7;
+const MEDIUM_WEIGHT = 0.3;
+const WEAK_WEIGHT = 0.2;
+const PATTERN_WEIGHT = 0.1;
+const PATTERN_MIN_SIMILARITY = 0.3;
+
+const DEFAULT_THRESHOLD = 0.3;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Nearest descriptions considered before scoring
+const SEMANTIC_CANDIDATES = 200;
+const INDEX_BATCH_SIZE = 32;
+
+// Cleared at startup when the pgvector extension can't be installed
+let semanticSearch = true;
+
+const toVector = (values) => `[${values.join(',')}]`;
+const keyOf = (type, id) => `${type}:${id}`;
+
+export class SimilarityError extends ServiceError {}
+
+export class SimilarityService {
+  static disableSemanticSearch() {
+    semanticSearch = false;
+  }
+
+  static async #upsertEmbeddings(rows, vectors, model) {
+    for (let i = 0; i < rows.length; i++) {
+      await sql`
+        INSERT INTO description_embeddings (source_type, source_id, model, embedding)
+        VALUES (${rows[i].source_type}, ${rows[i].source_id}, ${model}, ${toVector(vectors[i])}::vector)
+        ON CONFLICT (source_type, source_id) DO UPDATE
+        SET model = EXCLUDED.model, embedding = EXCLUDED.embedding, created_at = CURRENT_TIMESTAMP
+      `;
+    }
+  }
+
+  static async #descriptions(sourceType, sourceIds) {
+    return sourceType === SIMILARITY_SOURCES.REPORT
+      ? sql`SELECT ${sourceType} AS source_type, id AS source_id, description FROM reports WHERE id = ANY(${sourceIds})`
+      : sql`SELECT ${sourceType} AS source_type, id AS source_id, description FROM suspicious_entities WHERE id = ANY(${sourceIds})`;
+  }
+
+  // Stores the description embedding of one report or suspicious entity
+  static async index(sourceType, sourceId, options = {}) {
+    if (!semanticSearch) return false;
+    const rows = await SimilarityService.#descriptions(sourceType, [sourceId]);
+    if (rows.length === 0) return false;
+
+    const { model, embeddings } = await AIService.embedTexts(rows.map((row) => row.description), options);
+    await SimilarityService.#upsertEmbeddings(rows, embeddings, model);
+    return true;
+  }
+
+  // Embeds every report and suspicious entity that has no embedding yet, in
+  // batches. Used after enabling the feature on an existing database.
+  static async indexMissing(options = {}) {
+    if (!semanticSearch) {
+      throw new SimilarityError('Semantic search is disabled: the pgvector extension is not installed', 503);
+    }
+    let indexed = 0;
+    for (;;) {
+      const rows = await sql`
+        SELECT * FROM (
+          SELECT ${SIMILARITY_SOURCES.REPORT} AS source_type, r.id AS source_id, r.description FROM reports r
+          WHERE r.deleted_at IS NULL AND NOT EXISTS (
+            SELECT 1 FROM description_embeddings d
+            WHERE d.source_type = ${SIMILARITY_SOURCES.REPORT} AND d.source_id = r.id
+          )
+          UNION ALL
+          SELECT ${SIMILARITY_SOURCES.SUSPICIOUS_ENTITY}, s.id, s.description FROM suspicious_entities s
+          WHERE NOT EXISTS (
+            SELECT 1 FROM description_embeddings d
+            WHERE d.source_type = ${SIMILARITY_SOURCES.SUSPICIOUS_ENTITY} AND d.source_id = s.id
+          )
+        ) missing
+        LIMIT ${INDEX_BATCH_SIZE}
+      `;
+      if (rows.length === 0) return { indexed };
+
+      const { model, embeddings } = await AIService.embedTexts(rows.map((row) => row.description), options);
+      await SimilarityService.#upsertEmbeddings(rows, embeddings, model);
+      indexed += rows.length;
+    }
+  }
+
+  static async #loadSource(sourceType, sourceId) {
+    let source;
+    if (sourceType === SIMILARITY_SOURCES.REPORT) {
+      const rows = await sql`
+        SELECT r.id, r.category, r.location,
+               COALESCE(array_agg(re.entity_id) FILTER (WHERE re.entity_id IS NOT NULL), '{}') AS entity_ids
+        FROM reports r LEFT JOIN report_entities re ON re.report_id = r.id
+        WHERE r.id = ${sourceId} AND r.deleted_at IS NULL
+        GROUP BY r.id
+      `;
+      source = rows[0];
+    } else if (sourceType === SIMILARITY_SOURCES.SUSPICIOUS_ENTITY) {
+      const rows = await sql`
+        SELECT id, NULL AS category, NULL AS location,
+               CASE WHEN entity_id IS NULL THEN '{}' ELSE ARRAY[entity_id] END AS entity_ids
+        FROM suspicious_entities WHERE id = ${sourceId}
+      `;
+      source = rows[0];
+    } else {
+      throw new SimilarityError(`Source type must be one of: ${Object.values(SIMILARITY_SOURCES).join(', ')}`);
+    }
+
+    if (!source) {
+      throw new SimilarityError(`${sourceType === SIMILARITY_SOURCES.REPORT ? 'Report' : 'Suspicious entity'} not found`, 404);
+    }
+    return { ...source, type: sourceType };
+  }
+
+  // Makes sure the source has an embedding. When the models are unavailable
+  // the search falls back to identifiers, location and category only.
+  static async #ensureEmbedded(source, options) {
+    if (!semanticSearch) return false;
+    const existing = await sql`
+      SELECT 1 FROM description_embeddings WHERE source_type = ${source.type} AND source_id = ${source.id}
+    `;
+    if (existing.length > 0) return true;
+    try {
+      return await SimilarityService.index(source.type, source.id, options);
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      console.error(`Could not embed ${source.type} ${source.id}:`, error.message);
+      return false;
+    }
+  }
+
+  // Reports and suspicious entities sharing a registry identifier with the source
+  static async #identifierMatches(source) {
+    if (source.entity_ids.length === 0) return [];
+    return sql`
+      SELECT ${SIMILARITY_SOURCES.REPORT} AS type, re.report_id AS id, e.entity_type, e.normalized_value
+      FROM report_entities re
+      JOIN entities e ON e.id = re.entity_id
+      JOIN reports r ON r.id = re.report_id
+      WHERE re.entity_id = ANY(${source.entity_ids}) AND r.deleted_at IS NULL
+      UNION ALL
+      SELECT ${SIMILARITY_SOURCES.SUSPICIOUS_ENTITY}, s.id, e.entity_type, e.normalized_value
+      FROM suspicious_entities s JOIN entities e ON e.id = s.entity_id
+      WHERE s.entity_id = ANY(${source.entity_ids})
+    `;
+  }
+
+  // Nearest descriptions by cosine similarity, plus the similarity of any
+  // identifier matches that fell outside the nearest set
+  static async #semanticMatches(source, extraKeys) {
+    const target = sql`(
+      SELECT embedding FROM description_embeddings
+      WHERE source_type = ${source.type} AND source_id = ${source.id}
+    )`;
+    const nearest = await sql`
+      SELECT source_type AS type, source_id AS id, 1 - (embedding <=> ${target}) AS similarity
+      FROM description_embeddings
+      WHERE NOT (source_type = ${source.type} AND source_id = ${source.id})
+      ORDER BY embedding <=> ${target}
+      LIMIT ${SEMANTIC_CANDIDATES}
+    `;
+
+    const seen = new Set(nearest.map((row) => keyOf(row.type, row.id)));
+    const missing = extraKeys.filter((key) => !seen.has(key));
+    if (missing.length === 0) return nearest;
+
+    const extra = await sql`
+      SELECT source_type AS type, source_id AS id, 1 - (embedding <=> ${target}) AS similarity
+      FROM description_embeddings
+      WHERE source_type || ':' || source_id = ANY(${missing})
+    `;
+    return [...nearest, ...extra];
+  }
+
+  static async #details(candidates) {
+    const ids = (type) => candidates.filter((c) => c.type === type).map((c) => c.id);
+    const [reports, entities] = await Promise.all([
+      sql`
+        SELECT id, reference_number, category, subcategory, location, status, priority, created_at
+        FROM reports WHERE id = ANY(${ids(SIMILARITY_SOURCES.REPORT)}) AND deleted_at IS NULL
+      `,
+      sql`
+        SELECT id, entity_type, entity_value, status, created_at
+        FROM suspicious_entities WHERE id = ANY(${ids(SIMILARITY_SOURCES.SUSPICIOUS_ENTITY)})
+      `,
+    ]);
+    return new Map([
+      ...reports.map((row) => [keyOf(SIMILARITY_SOURCES.REPORT, row.id), row]),
+      ...entities.map((row) => [keyOf(SIMILARITY_SOURCES.SUSPICIOUS_ENTITY, row.id), row]),
+    ]);
+  }
+
+  // Ranks live reports and suspicious entities by how likely they concern the
+  // same scam as the source, with the reasons behind each score
+  static async findSimilar(sourceType, sourceId, filters = {}, options = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const threshold = filters.threshold !== undefined && filters.threshold !== ''
+      ? parseFloat(filters.threshold) : DEFAULT_THRESHOLD;
+    if (Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+      throw new SimilarityError("'threshold' must be a number between 0 and 1");
+    }
+
+    const source = await SimilarityService.#loadSource(sourceType, sourceId);
+    const candidates = new Map();
+    const candidate = (type, id) => {
+      const key = keyOf(type, id);
+      if (!candidates.has(key)) candidates.set(key, { type, id, shared: {}, similarity: null });
+      return candidates.get(key);
+    };
+
+    for (const match of await SimilarityService.#identifierMatches(source)) {
+      if (match.type === source.type && match.id === source.id) continue;
+      const shared = candidate(match.type, match.id).shared;
+      shared[match.entity_type] = [...new Set([...(shared[match.entity_type] || []), match.normalized_value])];
+    }
+
+    const semantic = await SimilarityService.#ensureEmbedded(source, options);
+    if (semantic) {
+      for (const match of await SimilarityService.#semanticMatches(source, [...candidates.keys()])) {
+        candidate(match.type, match.id).similarity = Number(match.similarity);
+      }
+    }
+
+    const details = await SimilarityService.#details([...candidates.values()]);
+    const matches = [];
+    for (const [key, { type, id, shared, similarity }] of candidates) {
+      const record = details.get(key);
+      if (!record) continue;
+
+      let score = 0;
+      const reasons = [];
+      for (const [entityType, values] of Object.entries(shared)) {
+        score += STRONG_WEIGHT;
+        reasons.push(`same ${entityType}: ${values.join(', ')}`);
+      }
+      if (source.location && record.location
+          && source.location.trim().toLowerCase() === record.location.trim().toLowerCase()) {
+        score += MEDIUM_WEIGHT;
+        reasons.push('same location');
+      }
+      if (source.category && record.category && source.category === record.category) {
+        score += WEAK_WEIGHT;
+        reasons.push('same category');
+      }
+      if (similarity !== null && similarity > PATTERN_MIN_SIMILARITY) {
+        score += similarity * PATTERN_WEIGHT;
+        reasons.push(`description similarity ${similarity.toFixed(2)}`);
+      }
+
+      score = Math.min(score, 1);
+      if (score >= threshold && reasons.length > 0) {
+        matches.push({ type, id, score: Number(score.toFixed(3)), reasons, description_similarity: similarity, ...record });
+      }
+    }
+
+    matches.sort((a, b) => b.score - a.score || (b.description_similarity ?? 0) - (a.description_similarity ?? 0));
+    return {
+      source: { type: source.type, id: source.id },
+      semantic_search: semantic,
+      threshold,
+      matches: matches.slice(0, limit)
+    };
+  }
+}
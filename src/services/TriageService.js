@@ -0,0 +1,112 @@
+import { v4 as uuidv4 } from 'uuid';
+import { sql } from '../config/db.js';
+import { AIService } from './AIService.js';
+import { CaseService } from './CaseService.js';
+import { NotificationService } from './NotificationService.js';
+
+export const ANALYSIS_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+});
+
+// completeAnalysis takes at most one file of each kind, keyed by these fields
+const EVIDENCE_FIELDS = [
+  ['image_path', (mime) => mime.startsWith('image/')],
+  ['pdf_path', (mime) => mime === 'application/pdf'],
+  ['audio_path', (mime) => mime.startsWith('audio/')],
+  ['video_path', (mime) => mime.startsWith('video/')],
+];
+
+// The classifier scores incidents from 1 (Very Low) to 5 (Very High)
+const priorityFromScore = (score) => {
+  const rounded = Math.round(Number(score));
+  if (!rounded) return null;
+  if (rounded <= 2) return 'low';
+  if (rounded === 3) return 'medium';
+  if (rounded === 4) return 'high';
+  return 'critical';
+};
+
+export class TriageService {
+  // Builds the completeAnalysis payload from the stored description and the
+  // earliest evidence file of each kind
+  static async #buildPayload(report) {
+    const evidence = await sql`
+      SELECT stored_path, mime_type FROM evidence
+      WHERE report_id = ${report.id}
+      ORDER BY uploaded_at
+    `;
+
+    const payload = { complaint: report.description };
+    for (const [field, matches] of EVIDENCE_FIELDS) {
+      const file = evidence.find((row) => matches(row.mime_type || ''));
+      if (file) payload[field] = file.stored_path;
+    }
+    return payload;
+  }
+
+  // Runs the AI pipeline on a report, stores the result in report_analysis
+  // and sets the report's priority from the classifier score, unless an
+  // officer has set it by hand; then the score is only kept as the analysis'
+  // suggested priority. `options` is passed through to the AI call (e.g. an
+  // abort signal from the job queue).
+  static async analyzeReport(reportId, options = {}) {
+    const report = await sql`SELECT id, description, priority FROM reports WHERE id = ${reportId} AND deleted_at IS NULL`;
+    if (report.length === 0) return null;
+
+    await sql`
+      INSERT INTO report_analysis (id, report_id, status)
+      VALUES (${uuidv4()}, ${reportId}, ${ANALYSIS_STATUSES.PENDING})
+      ON CONFLICT (report_id) DO UPDATE
+      SET status = EXCLUDED.status, error = NULL, updated_at = CURRENT_TIMESTAMP
+    `;
+
+    let result;
+    try {
+      result = await AIService.completeAnalysis(await TriageService.#buildPayload(report[0]), options);
+    } catch (error) {
+      await sql`
+        UPDATE report_analysis
+        SET status = ${ANALYSIS_STATUSES.FAILED}, error = ${error.message}, updated_at = CURRENT_TIMESTAMP
+        WHERE report_id = ${reportId}
+      `;
+      throw error;
+    }
+
+    const priority = priorityFromScore(result.priority_score);
+    const analysis = await sql`
+      UPDATE report_analysis
+      SET status = ${ANALYSIS_STATUSES.COMPLETED},
+          priority_level = ${result.classification ?? null},
+          priority_score = ${result.priority_score ?? null},
+          priority = ${priority},
+          incident_details = ${JSON.stringify(result.incident_details ?? null)},
+          narrative_summary = ${result.narrative_summary ?? null},
+          contradiction_analysis = ${JSON.stringify(result.contradiction_analysis ?? null)},
+          has_contradiction = ${Boolean(result.has_contradiction)},
+          completed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE report_id = ${reportId}
+      RETURNING *
+    `;
+
+    if (priority) {
+      const updated = await sql`
+        UPDATE reports SET priority = ${priority}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${reportId} AND priority_set_by IS NULL
+        RETURNING *
+      `;
+      if (updated.length === 0) return analysis[0];
+      await CaseService.refreshSla(reportId);
+      await NotificationService.alertHighPriority(updated[0], report[0].priority, result.narrative_summary);
+    }
+
+    return analysis[0];
+  }
+
+  static async getAnalysis(reportId) {
+    const analysis = await sql`SELECT * FROM report_analysis WHERE report_id = ${reportId}`;
+    return analysis[0] || null;
+  }
+}
@@ -0,0 +1,30 @@
+import { outboxProvider } from './outboxProvider.js';
+import { smtpProvider } from './smtpProvider.js';
+import { twilioProvider } from './twilioProvider.js';
+
+const providers = {
+  [outboxProvider.name]: outboxProvider,
+  [smtpProvider.name]: smtpProvider,
+  [twilioProvider.name]: twilioProvider,
+};
+
+export const getDeliveryProvider = (name = 'outbox') => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown delivery provider: ${name}`);
+  }
+  return provider;
+};
+
+// Fails startup when OTP_PROVIDER names no provider, or is unset in
+// production, where the outbox default would mean codes are never delivered
+export const assertOtpProvider = () => {
+  const name = process.env.OTP_PROVIDER;
+  if (!name) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('OTP_PROVIDER must be set in production (twilio or smtp)');
+    }
+    return;
+  }
+  getDeliveryProvider(name);
+};
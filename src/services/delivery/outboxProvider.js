@@ -0,0 +1,25 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+const outboxDir = () => path.resolve(process.env.OUTBOX_DIR || 'outbox');
+
+// Writes each message to a JSON file instead of sending it, for development and tests
+export const outboxProvider = {
+  name: 'outbox',
+  async send(recipient, message) {
+    const dir = outboxDir();
+    await fs.mkdir(dir, { recursive: true });
+
+    const file = path.join(dir, `${Date.now()}-${uuidv4()}.json`);
+    await fs.writeFile(file, JSON.stringify({
+      to: recipient,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      created_at: new Date().toISOString()
+    }, null, 2));
+
+    return { channel: 'outbox', to: file };
+  }
+};
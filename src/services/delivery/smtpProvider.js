@@ -0,0 +1,19 @@
+import { transporter } from '../../config/mailer.js';
+
+// Sends the message as an email through the shared MailerSend transporter
+export const smtpProvider = {
+  name: 'smtp',
+  async send(recipient, message) {
+    if (!recipient.email) {
+      throw new Error('Recipient has no email address');
+    }
+    await transporter.sendMail({
+      from: process.env.MAILERSEND_FROM,
+      to: recipient.email,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+    return { channel: 'email', to: recipient.email };
+  }
+};
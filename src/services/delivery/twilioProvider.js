@@ -0,0 +1,29 @@
+import twilio from 'twilio';
+
+let client = null;
+
+const getClient = () => {
+  if (!client) {
+    if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
+      throw new Error('Twilio credentials are not configured');
+    }
+    client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+  return client;
+};
+
+// Sends the message as an SMS to the recipient's phone number
+export const twilioProvider = {
+  name: 'twilio',
+  async send(recipient, message) {
+    if (!recipient.phone) {
+      throw new Error('Recipient has no phone number');
+    }
+    await getClient().messages.create({
+      from: process.env.TWILIO_FROM_NUMBER,
+      to: recipient.phone,
+      body: message.text
+    });
+    return { channel: 'sms', to: recipient.phone };
+  }
+};
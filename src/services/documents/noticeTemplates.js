@@ -0,0 +1,78 @@
+// Notice wording per recipient type. Each template names the default legal
+// provision and what the recipient is asked to furnish.
+export const NOTICE_TEMPLATES = {
+  bank: {
+    provision: 'Section 94 of the Bharatiya Nagarik Suraksha Sanhita, 2023 (formerly Section 91 of the Code of Criminal Procedure, 1973)',
+    furnish: [
+      'Account opening form, KYC documents and the registered mobile number and email address',
+      'Statement of account with full transaction details for the period under investigation',
+      'Beneficiary details, IP addresses and device identifiers for online or UPI transactions',
+      'Details of any lien, hold or freeze currently marked on the account',
+    ],
+  },
+  telecom: {
+    provision: 'Section 94 of the Bharatiya Nagarik Suraksha Sanhita, 2023 (formerly Section 91 of the Code of Criminal Procedure, 1973)',
+    furnish: [
+      'Customer application form and the identity and address documents submitted',
+      'Call detail records, including cell IDs and IMEI numbers, for the period under investigation',
+      'SMS and data session logs with the IP addresses allotted',
+      'Date of activation and the point of sale through which the connection was issued',
+    ],
+  },
+  platform: {
+    provision: 'Section 79(3)(b) of the Information Technology Act, 2000, read with Section 94 of the Bharatiya Nagarik Suraksha Sanhita, 2023 (formerly Section 91 of the Code of Criminal Procedure, 1973)',
+    furnish: [
+      'Subscriber information: name, registered email addresses and phone numbers',
+      'Account creation details with the IP address and timestamp of registration',
+      'Login IP addresses with timestamps for the period under investigation',
+      'Preservation of all content associated with the account pending further legal process',
+    ],
+  },
+};
+
+// Which template a data request type uses
+export const RECIPIENT_TYPE_FOR_REQUEST = {
+  'Bank Transaction History': 'bank',
+  'Phone Records': 'telecom',
+  'Social Media Data': 'platform',
+  'Email Records': 'platform',
+  'IP Address Logs': 'platform',
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit', month: 'long', year: 'numeric', timeZone: 'Asia/Kolkata'
+});
+
+// The notice as renderPdf blocks
+export const noticeBlocks = (notice) => {
+  const template = NOTICE_TEMPLATES[notice.recipient_type];
+  const station = [notice.police_station, notice.district].filter(Boolean).join(', ');
+
+  return [
+    { text: 'CYBER CRIME CELL', bold: true, size: 14, align: 'center' },
+    { text: station || 'CyberGuard', align: 'center', spaceBefore: 2 },
+    { text: `Notice No. ${notice.notice_number}`, bold: true, spaceBefore: 24 },
+    { text: `Date: ${formatDate(notice.issued_at)}`, align: 'right', spaceBefore: 0 },
+    { text: 'To,', spaceBefore: 18 },
+    { text: `The Nodal Officer\n${notice.recipient_name}${notice.recipient_address ? `\n${notice.recipient_address}` : ''}`, spaceBefore: 2 },
+    { text: `Subject: Notice under ${notice.legal_provision} for furnishing information - ${notice.request_type}`, bold: true, spaceBefore: 18 },
+    { text: `Reference: Case ${notice.reference_number || notice.report_id}, data request ${notice.request_id}`, spaceBefore: 6 },
+    {
+      text: `Whereas the information mentioned below is necessary for the investigation of the case cited above, you are hereby required under ${notice.legal_provision} to furnish the following information relating to:`,
+      spaceBefore: 18
+    },
+    { text: notice.target_entity, bold: true, align: 'center', spaceBefore: 10 },
+    ...template.furnish.map((item, index) => ({ text: `${index + 1}. ${item}`, spaceBefore: index === 0 ? 12 : 4 })),
+    { text: `Grounds: ${notice.justification}`, spaceBefore: 14 },
+    {
+      text: `The information may be furnished in electronic form, duly certified, on or before ${formatDate(notice.response_due_at)}, quoting the notice number above. The contents of this notice are confidential and must not be disclosed to the account holder or subscriber.`,
+      spaceBefore: 14
+    },
+    { text: notice.officer_name || '', bold: true, align: 'right', spaceBefore: 36 },
+    {
+      text: [notice.rank, notice.badge_number ? `Badge No. ${notice.badge_number}` : null, station].filter(Boolean).join('\n'),
+      align: 'right',
+      spaceBefore: 2
+    },
+  ];
+};
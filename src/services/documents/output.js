@@ -0,0 +1,22 @@
+// Writes to an HTTP response (or any Writable), waiting for 'drain' when its
+// buffer is full. Rejects if the stream closes first, e.g. the client went away.
+export const writeTo = (output, chunk) => new Promise((resolve, reject) => {
+  if (output.destroyed || output.writableEnded) {
+    reject(new Error('Output stream is closed'));
+    return;
+  }
+  if (output.write(chunk)) {
+    resolve();
+    return;
+  }
+  const onDrain = () => {
+    output.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    output.off('drain', onDrain);
+    reject(new Error('Output stream closed before the export finished'));
+  };
+  output.once('drain', onDrain);
+  output.once('close', onClose);
+});
@@ -0,0 +1,141 @@
+// Minimal PDF 1.4 writer for text documents: A4 pages, the standard
+// Helvetica fonts (so nothing is embedded) and word-wrapped paragraphs.
+// Text is encoded as WinAnsi; characters outside Latin-1 become '?'.
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 64;
+const LINE_HEIGHT = 1.35;
+
+// Advance widths (per 1000 units of font size) for characters 32-126
+const WIDTHS = {
+  Helvetica: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556,
+    556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778,
+    722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+    278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  'Helvetica-Bold': [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556,
+    556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778,
+    722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+    278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+const DEFAULT_WIDTH = 556;
+
+const FONTS = { Helvetica: 'F1', 'Helvetica-Bold': 'F2' };
+
+const toLatin1 = (text) => String(text ?? '')
+  .replace(/₹/g, 'Rs. ')
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/[–—]/g, '-')
+  .replace(/[^\x20-\x7e\xa0-\xff\n]/g, '?');
+
+const textWidth = (text, font, size) => {
+  let width = 0;
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    width += (code >= 32 && code <= 126 ? WIDTHS[font][code - 32] : DEFAULT_WIDTH);
+  }
+  return (width * size) / 1000;
+};
+
+const escapeText = (text) => text.replace(/[\\()]/g, (char) => `\\${char}`);
+
+// Splits a paragraph into lines no wider than maxWidth, breaking over-long
+// words where they overflow
+const wrap = (text, font, size, maxWidth) => {
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/ +/)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, font, size) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (textWidth(line, font, size) > maxWidth) {
+        let cut = line.length - 1;
+        while (cut > 1 && textWidth(line.slice(0, cut), font, size) > maxWidth) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+};
+
+const pdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+// Renders blocks of { text, bold, size, align ('left' | 'center' | 'right'),
+// spaceBefore } to a PDF Buffer. Every page carries `footer` and its number.
+export const renderPdf = (blocks, { title = '', footer = '', createdAt = new Date() } = {}) => {
+  const contentWidth = PAGE_WIDTH - 2 * MARGIN;
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const block of blocks) {
+    const font = block.bold ? 'Helvetica-Bold' : 'Helvetica';
+    const size = block.size || 11;
+    const leading = size * LINE_HEIGHT;
+    y -= block.spaceBefore ?? size * 0.6;
+
+    for (const line of wrap(toLatin1(block.text), font, size, contentWidth)) {
+      if (y - leading < MARGIN + 20) {
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      y -= leading;
+      const width = textWidth(line, font, size);
+      let x = MARGIN;
+      if (block.align === 'center') x = MARGIN + (contentWidth - width) / 2;
+      else if (block.align === 'right') x = MARGIN + contentWidth - width;
+      pages[pages.length - 1].push(
+        `BT /${FONTS[font]} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${escapeText(line)}) Tj ET`
+      );
+    }
+  }
+
+  pages.forEach((operations, index) => {
+    const label = toLatin1(`${footer}${footer ? ' - ' : ''}Page ${index + 1} of ${pages.length}`);
+    const x = MARGIN + (contentWidth - textWidth(label, 'Helvetica', 8)) / 2;
+    operations.push(`BT /F1 8 Tf ${x.toFixed(2)} ${(MARGIN / 2).toFixed(2)} Td (${escapeText(label)}) Tj ET`);
+  });
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its
+  // content stream for each page
+  const objects = [];
+  const pageIds = pages.map((_, index) => 6 + index * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  objects[5] = `<< /Title (${escapeText(toLatin1(title))}) /Producer (CyberGuard) /CreationDate (${pdfDate(createdAt)}) >>`;
+  pages.forEach((operations, index) => {
+    const stream = operations.join('\n');
+    objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+    objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(output, 'latin1');
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(output, 'latin1');
+};
@@ -0,0 +1,151 @@
+// CSV, JSON and XLSX writers for exports. Rows arrive as an async iterable
+// of batches and are written to `output` as they come, honouring
+// backpressure. `columns` is [{ key, header }]; each writer returns the
+// number of rows written.
+import { writeTo as write } from './output.js';
+import { ZipWriter } from './zip.js';
+
+const plainValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = String(plainValue(value));
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const writeCsv = async (output, columns, batches) => {
+  // The BOM makes Excel read the file as UTF-8
+  await write(output, `\ufeff${columns.map((column) => csvCell(column.header)).join(',')}\r\n`);
+  let count = 0;
+  for await (const batch of batches) {
+    if (batch.length === 0) continue;
+    await write(output, batch.map((row) => `${columns.map((column) => csvCell(row[column.key])).join(',')}\r\n`).join(''));
+    count += batch.length;
+  }
+  return count;
+};
+
+// A JSON array of objects with the column keys, plus `meta` when given
+export const writeJson = async (output, columns, batches, meta) => {
+  await write(output, meta ? `{"meta":${JSON.stringify(meta)},"rows":[` : '[');
+  let count = 0;
+  for await (const batch of batches) {
+    if (batch.length === 0) continue;
+    const objects = batch.map((row) => JSON.stringify(Object.fromEntries(columns.map((column) => [column.key, row[column.key] ?? null]))));
+    await write(output, `${count === 0 ? '\n' : ',\n'}${objects.join(',\n')}`);
+    count += batch.length;
+  }
+  await write(output, meta ? '\n]}\n' : '\n]\n');
+  return count;
+};
+
+const MAX_CELL_LENGTH = 32767;
+
+const escapeXml = (value) => String(value)
+  // Control characters are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const xlsxCell = (value, ref, style = 0) => {
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+  const text = String(plainValue(value)).slice(0, MAX_CELL_LENGTH);
+  if (text === '') return '';
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+const xlsxRow = (values, rowNumber, style) => `<row r="${rowNumber}">${
+  values.map((value, index) => xlsxCell(value, `${columnName(index)}${rowNumber}`, style)).join('')
+}</row>`;
+
+async function* sheetXml(sheet, counter) {
+  yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<sheetData>${xlsxRow(sheet.columns.map((column) => column.header), 1, 1)}`;
+  let rowNumber = 1;
+  for await (const batch of sheet.batches) {
+    if (batch.length === 0) continue;
+    yield batch.map((row) => xlsxRow(sheet.columns.map((column) => row[column.key]), ++rowNumber)).join('');
+    counter.rows += batch.length;
+  }
+  yield '</sheetData></worksheet>';
+}
+
+// Sheet names are at most 31 characters, without []:*?/\
+const sheetName = (name, index) => String(name || `Sheet${index + 1}`).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+
+// `sheets` is [{ name, columns, batches }], written in order
+export const writeXlsx = async (output, sheets) => {
+  const zip = new ZipWriter(output);
+  const sheetEntries = sheets.map((sheet, index) => ({ ...sheet, id: index + 1, name: sheetName(sheet.name, index) }));
+
+  await zip.addEntry('[Content_Types].xml', [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + sheetEntries.map((sheet) => `<Override PartName="/xl/worksheets/sheet${sheet.id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+    + '</Types>'
+  ]);
+  await zip.addEntry('_rels/.rels', [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>'
+  ]);
+  await zip.addEntry('xl/workbook.xml', [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>'
+    + sheetEntries.map((sheet) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${sheet.id}" r:id="rId${sheet.id}"/>`).join('')
+    + '</sheets></workbook>'
+  ]);
+  await zip.addEntry('xl/_rels/workbook.xml.rels', [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + sheetEntries.map((sheet) => `<Relationship Id="rId${sheet.id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${sheet.id}.xml"/>`).join('')
+    + `<Relationship Id="rId${sheetEntries.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+    + '</Relationships>'
+  ]);
+  // Style 1 is the bold header row
+  await zip.addEntry('xl/styles.xml', [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+    + '</styleSheet>'
+  ]);
+
+  const counter = { rows: 0 };
+  for (const sheet of sheetEntries) {
+    await zip.addEntry(`xl/worksheets/sheet${sheet.id}.xml`, sheetXml(sheet, counter));
+  }
+  await zip.finish();
+  return counter.rows;
+};
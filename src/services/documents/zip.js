@@ -0,0 +1,121 @@
+// Streaming ZIP writer (deflate, no ZIP64), enough for XLSX packages. Each
+// entry is compressed as it is produced; sizes and CRCs follow the data in a
+// data descriptor, so nothing is buffered beyond the current chunk.
+import { once } from 'events';
+import zlib from 'zlib';
+import { writeTo } from './output.js';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer, previous = 0) => {
+  let crc = previous ^ 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Bit 3: sizes in the data descriptor; bit 11: UTF-8 names
+const FLAGS = 0x0808;
+const DEFLATE = 8;
+
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+export class ZipWriter {
+  #output;
+  #offset = 0;
+  #entries = [];
+  #modified;
+
+  constructor(output, modified = new Date()) {
+    this.#output = output;
+    this.#modified = dosDateTime(modified);
+  }
+
+  async #write(buffer) {
+    this.#offset += buffer.length;
+    await writeTo(this.#output, buffer);
+  }
+
+  // `source` is an iterable or async iterable of strings or Buffers
+  async addEntry(name, source) {
+    const fileName = Buffer.from(name, 'utf8');
+    const entry = { fileName, offset: this.#offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(this.#modified.time, 10);
+    header.writeUInt16LE(this.#modified.date, 12);
+    header.writeUInt16LE(fileName.length, 26);
+    await this.#write(Buffer.concat([header, fileName]));
+
+    const deflate = zlib.createDeflateRaw();
+    const compressed = [];
+    deflate.on('data', (chunk) => compressed.push(chunk));
+    const flush = async () => {
+      while (compressed.length > 0) {
+        const chunk = compressed.shift();
+        entry.compressedSize += chunk.length;
+        await this.#write(chunk);
+      }
+    };
+
+    for await (const piece of source) {
+      const buffer = Buffer.isBuffer(piece) ? piece : Buffer.from(String(piece), 'utf8');
+      if (buffer.length === 0) continue;
+      entry.crc = crc32(buffer, entry.crc);
+      entry.size += buffer.length;
+      if (!deflate.write(buffer)) await once(deflate, 'drain');
+      await flush();
+    }
+    const ended = once(deflate, 'end');
+    deflate.end();
+    await ended;
+    await flush();
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.#write(descriptor);
+    this.#entries.push(entry);
+  }
+
+  // Writes the central directory; the output stream is left open
+  async finish() {
+    const start = this.#offset;
+    for (const entry of this.#entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(FLAGS, 8);
+      header.writeUInt16LE(DEFLATE, 10);
+      header.writeUInt16LE(this.#modified.time, 12);
+      header.writeUInt16LE(this.#modified.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.fileName.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await this.#write(Buffer.concat([header, entry.fileName]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.#entries.length, 8);
+    end.writeUInt16LE(this.#entries.length, 10);
+    end.writeUInt32LE(this.#offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await this.#write(end);
+  }
+}
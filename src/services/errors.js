@@ -0,0 +1,10 @@
+// Base class for expected failures raised by services. Routes translate it
+// into a JSON error response with the carried HTTP status.
+export class ServiceError extends Error {
+  constructor(message, status = 400, retryAfter) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
@@ -0,0 +1,51 @@
+// GraphML (http://graphml.graphdrawing.org) for the report/identifier graph,
+// readable by Gephi, yEd, Cytoscape and NetworkX
+
+const NODE_KEYS = [
+  ['kind', 'string'],
+  ['label', 'string'],
+  ['cluster', 'string'],
+  ['reference_number', 'string'],
+  ['category', 'string'],
+  ['status', 'string'],
+  ['amount_lost', 'double'],
+  ['created_at', 'string'],
+  ['entity_type', 'string'],
+  ['value', 'string'],
+  ['report_count', 'int'],
+  ['sighting_count', 'int'],
+  ['hub', 'boolean'],
+];
+const EDGE_KEYS = [['link', 'string']];
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const dataElements = (item, keys) => keys
+  .filter(([name]) => item[name] !== undefined && item[name] !== null)
+  .map(([name]) => {
+    const value = item[name] instanceof Date ? item[name].toISOString() : item[name];
+    return `<data key="${name}">${escapeXml(value)}</data>`;
+  })
+  .join('');
+
+// `graph` is { nodes: [{ id, ... }], edges: [{ source, target, ... }] }
+export const toGraphML = (graph, graphId = 'scam-network') => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+  ...NODE_KEYS.map(([name, type]) => `  <key id="${name}" for="node" attr.name="${name}" attr.type="${type}"/>`),
+  ...EDGE_KEYS.map(([name, type]) => `  <key id="${name}" for="edge" attr.name="${name}" attr.type="${type}"/>`),
+  `  <graph id="${escapeXml(graphId)}" edgedefault="undirected">`,
+  ...graph.nodes.map((node) => `    <node id="${escapeXml(node.id)}">${dataElements(node, NODE_KEYS)}</node>`),
+  ...graph.edges.map((edge, index) => (
+    `    <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">` +
+    `${dataElements(edge, EDGE_KEYS)}</edge>`
+  )),
+  '  </graph>',
+  '</graphml>',
+  ''
+].join('\n');
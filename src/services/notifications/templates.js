@@ -0,0 +1,85 @@
+import { categoryName } from '../../config/meta.js';
+
+const statusLabel = (status) => String(status || '').replace(/_/g, ' ');
+
+// Each template renders { subject, text, sms } from the notification data.
+// `sms` is the short form sent when the channel is SMS.
+export const NOTIFICATION_TEMPLATES = {
+  report_received: (data) => ({
+    subject: `CyberGuard: report ${data.reference_number} received`,
+    text: `We have received your ${categoryName(data.category)} report.\n\n` +
+      `Reference number: ${data.reference_number}\n\n` +
+      'Quote this number in any correspondence. You will be notified when an officer updates your case.\n',
+    sms: `CyberGuard: your report was received. Reference ${data.reference_number}.`
+  }),
+
+  status_changed: (data) => ({
+    subject: `CyberGuard: report ${data.reference_number} is now ${statusLabel(data.status)}`,
+    text: `The status of your report ${data.reference_number} changed from ` +
+      `${statusLabel(data.previous_status)} to ${statusLabel(data.status)}.\n\n` +
+      'Sign in to CyberGuard to see the details.\n',
+    sms: `CyberGuard: report ${data.reference_number} is now ${statusLabel(data.status)}.`
+  }),
+
+  info_requested: (data) => ({
+    subject: `CyberGuard: more information needed for report ${data.reference_number}`,
+    text: `The officer handling report ${data.reference_number} needs more information:\n\n` +
+      `${data.requested_items.map((item) => `- ${item}`).join('\n')}\n\n${data.message}\n\n` +
+      'Sign in to CyberGuard to reply and attach any files.\n',
+    sms: `CyberGuard: the officer on report ${data.reference_number} has requested more information. Please sign in to reply.`
+  }),
+
+  message_received: (data) => ({
+    subject: `CyberGuard: new message on report ${data.reference_number}`,
+    text: `The officer handling report ${data.reference_number} wrote:\n\n${data.message}\n\n` +
+      'Sign in to CyberGuard to reply.\n',
+    sms: `CyberGuard: the officer on report ${data.reference_number} sent you a message. Please sign in to read it.`
+  }),
+
+  duplicate_filed: (data) => ({
+    subject: `CyberGuard: new report ${data.reference_number} filed against case ${data.original_reference_number}`,
+    text: `The complainant in case ${data.original_reference_number} filed report ${data.reference_number}, ` +
+      `which was linked to the case as a likely duplicate (${data.reasons.join(', ')}).\n\n` +
+      'Sign in to CyberGuard to review its description and evidence, or reopen it if it is a separate incident.\n',
+    sms: `CyberGuard: report ${data.reference_number} was linked to your case ${data.original_reference_number} as a likely duplicate.`
+  }),
+
+  data_request_approved: (data) => ({
+    subject: `CyberGuard: data request for ${data.target_entity} approved`,
+    text: `Your ${data.request_type} request for ${data.target_entity} has been approved.\n\n` +
+      `${data.note ? `Note from the approver: ${data.note}\n\n` : ''}Sign in to CyberGuard for the next steps.\n`,
+    sms: `CyberGuard: your data request for ${data.target_entity} was approved.`
+  }),
+
+  data_request_rejected: (data) => ({
+    subject: `CyberGuard: data request for ${data.target_entity} rejected`,
+    text: `Your ${data.request_type} request for ${data.target_entity} has been rejected.\n\n` +
+      `Remarks: ${data.note}\n`,
+    sms: `CyberGuard: your data request for ${data.target_entity} was rejected.`
+  }),
+
+  data_request_pending: (data) => ({
+    subject: `CyberGuard: ${data.request_type} request awaiting your ${data.stage} approval`,
+    text: `A ${data.urgency} urgency ${data.request_type} request for ${data.target_entity} is waiting for ` +
+      `${data.stage === 'senior' ? 'senior authority sign-off' : 'supervisor approval'}.\n\n` +
+      'Sign in to CyberGuard to approve or reject it before it expires.\n',
+    sms: `CyberGuard: a data request for ${data.target_entity} needs your approval.`
+  }),
+
+  case_escalated: (data) => ({
+    subject: `CyberGuard: ${data.priority} priority report ${data.reference_number} escalated`,
+    text: `Report ${data.reference_number} (${categoryName(data.category)}, ${data.priority} priority) is still ` +
+      `pending with ${data.assigned_officer_name || 'its assigned officer'} past its SLA deadline of ` +
+      `${new Date(data.sla_due_at).toISOString()}.\n\n` +
+      'It has been escalated to you. Sign in to CyberGuard to follow up or reassign it.\n',
+    sms: `CyberGuard: ${data.priority} priority report ${data.reference_number} missed its SLA and was escalated to you.`
+  }),
+
+  high_priority_alert: (data) => ({
+    subject: `CyberGuard alert: ${data.priority} priority report ${data.reference_number}`,
+    text: `Report ${data.reference_number} (${categoryName(data.category)}) is ${data.priority} priority.\n\n` +
+      `${data.summary ? `Summary: ${data.summary}\n\n` : ''}` +
+      `Location: ${data.location || 'not given'}\n`,
+    sms: `CyberGuard alert: ${data.priority} priority report ${data.reference_number}.`
+  }),
+};